@@ -2,73 +2,93 @@ import 'dotenv/config';
 import express from 'express';
 import bodyParser from 'body-parser';
 import cors from 'cors';
-import { Sandbox } from '@e2b/code-interpreter';
+import {
+  ACCESSIBLE_FILE_LIMITS,
+  listAccessibleFiles,
+  readAccessibleFile,
+  removeAccessibleFile,
+  writeAccessibleFile
+} from './lib/accessible-files.js';
+import { ARCHIVE_FORMATS, createArchive } from './lib/archive.js';
+import { assertAuthConfigured, authenticate, authenticateMetrics } from './lib/auth.js';
+import { assertConfigValid, isOriginAllowed } from './lib/config.js';
+import { evaluateAgent } from './lib/evaluation.js';
+import { EXPORT_ROOT, buildProjectBundle } from './lib/export.js';
+import { createJob, describeJob, getJob } from './lib/jobs.js';
+import { assertLoggingConfigured, bindLogContext, logger, requestLogger } from './lib/logger.js';
+import { LOG_LIMITS, followSessionLog, readSessionLog } from './lib/logs.js';
+import { sendMessage } from './lib/messages.js';
+import { METRICS_CONTENT_TYPE, renderMetrics } from './lib/metrics.js';
+import { MultipartError, parseMultipart } from './lib/multipart.js';
+import { deployAgent, provisionBaseSandbox, reloadAgentFiles } from './lib/pipeline.js';
+import { PreflightError, runPreflight, runProjectPreflight } from './lib/preflight.js';
+import { projectFiles, resolveAgentPackages } from './lib/project.js';
+import { getSandboxProvider } from './lib/providers/index.js';
+import { drainWarmPool, getWarmPoolStats, startWarmPool } from './lib/pool.js';
+import { QuotaError, assertQuotasConfigured, getUsage, reserveLaunch } from './lib/quotas.js';
+import { getRun, listRuns, rerunOptions } from './lib/runs.js';
+import { assertSecretsConfigured, listStoredSecretNames } from './lib/secrets.js';
+import {
+  describeAgents,
+  describeSession,
+  extendSession,
+  getSession,
+  listSessions,
+  startIdleMonitor,
+  stopIdleMonitor,
+  terminateSession,
+  touchSession
+} from './lib/sessions.js';
+import {
+  ValidationError,
+  validateAccessiblePath,
+  validateBody,
+  validateDeployRequest,
+  validateEvaluateRequest,
+  validateExportRequest,
+  validateKeepaliveRequest,
+  validateLogQuery,
+  validateMessageRequest,
+  validateQuery,
+  validateRerunRequest,
+  validateRerunValues,
+  validateRunQuery,
+  validateUploadQuery
+} from './lib/validation.js';
 
 // Create Express server
 const app = express();
-const PORT = process.env.PORT || 3001;
 
 // Helper function to set CORS headers consistently
 const setCorsHeaders = (req, res) => {
   const origin = req.headers.origin;
-  const allowedOrigins = [
-    'http://localhost:8080', 
-    'https://cogentx.dev', 
-    'http://localhost:3000', 
-    'http://localhost:5173', 
-    'https://agent-flow-builder.vercel.app', 
-    'https://agent-flow-builder-api.onrender.com'
-  ];
-  
-  // Log origin for debugging
-  console.log(`CORS request from origin: ${origin || 'undefined'}, path: ${req.path}, method: ${req.method}`);
-  
-  // In production or if the origin is in our list, we'll allow it
-  if (origin && (process.env.NODE_ENV === 'production' || allowedOrigins.includes(origin))) {
+  
+  // Unknown origins get no CORS headers, so browsers refuse to hand them the response
+  if (origin && isOriginAllowed(origin)) {
     res.header('Access-Control-Allow-Origin', origin);
-    console.log(`Setting Access-Control-Allow-Origin: ${origin}`);
-  } else {
-    // If origin is not in our list or undefined, use wildcard
-    res.header('Access-Control-Allow-Origin', '*');
-    console.log('Setting Access-Control-Allow-Origin: * (wildcard)');
+    res.header('Vary', 'Origin');
   }
   
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-Request-Id');
+  res.header('Access-Control-Expose-Headers', 'X-Request-Id, Retry-After, Content-Disposition');
   res.header('Access-Control-Allow-Credentials', 'true');
 };
 
+// Correlation ID and a log line for every request
+app.use(requestLogger);
+
 // CORS middleware with proper configuration
 app.use(cors({
   origin: function(origin, callback) {
     // Allow requests with no origin (like mobile apps, curl, etc.)
     if (!origin) return callback(null, true);
     
-    const allowedOrigins = [
-      'http://localhost:8080', 
-      'https://cogentx.dev', 
-      'http://localhost:3000', 
-      'http://localhost:5173', 
-      'https://agent-flow-builder.vercel.app', 
-      'https://agent-flow-builder-api.onrender.com'
-    ];
-    
-    // In production, allow all origins
-    if (process.env.NODE_ENV === 'production') {
-      callback(null, true);
-      return;
-    }
-    
-    // Check if the origin is in our allowed list
-    if (allowedOrigins.includes(origin)) {
-      callback(null, true);
-    } else {
-      // Allow all origins if not explicitly listed
-      callback(null, true);
-    }
+    callback(null, isOriginAllowed(origin));
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['X-Requested-With', 'Content-Type', 'Accept', 'Authorization', 'Origin'],
+  allowedHeaders: ['X-Requested-With', 'Content-Type', 'Accept', 'Authorization', 'X-API-Key', 'X-Request-Id', 'Origin'],
+  exposedHeaders: ['X-Request-Id', 'Retry-After', 'Content-Disposition'],
   credentials: true,
   preflightContinue: false,
   optionsSuccessStatus: 204
@@ -86,631 +106,755 @@ app.use((req, res, next) => {
   next();
 });
 
+// Every /api route except the health check needs an API key
+app.use('/api', authenticate);
+
 // Middleware
-app.use(bodyParser.json({ limit: '50mb' }));
-app.use(bodyParser.urlencoded({ limit: '50mb', extended: true }));
+app.use(bodyParser.json({ limit: '5mb' }));
+app.use(bodyParser.urlencoded({ limit: '5mb', extended: true }));
+app.use(bindLogContext);
+
+// Deployment options taken from an /api/execute, /api/execute/stream, /api/jobs, /api/evaluate or /api/export request
+const deployOptions = (req) => ({
+  files: req.body.files,
+  agents: req.body.agents,
+  tenantId: req.tenantId,
+  secrets: req.body.secrets,
+  secretRefs: req.body.secretRefs,
+  declaredSecrets: req.body.declaredSecrets,
+  dependencies: req.body.dependencies,
+  mcpServers: req.body.mcpServers,
+  fallbackPolicy: req.body.fallbackPolicy,
+  accessibleFiles: req.body.accessibleFiles,
+  lifetimeSeconds: req.body.lifetimeSeconds
+});
+
+// Number of agent files in a deploy request, across all of its agents
+const countRequestFiles = (req) => Object.keys(projectFiles(resolveAgentPackages(req.body))).length;
+
+// Reserve one of the tenant's sandbox launches, answering 429 when it is over
+// quota. The route calls `req.releaseLaunch()` once the deploy has finished.
+const reserveLaunchQuota = (req, res, next) => {
+  try {
+    req.releaseLaunch = reserveLaunch(req.tenantId);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// A session owned by the requesting tenant, or undefined
+const getTenantSession = (req) => {
+  const session = getSession(req.params.id);
+  return session && session.tenantId === req.tenantId ? session : undefined;
+};
+
+// Format the response with the public URL
+const buildExecuteResponse = (session, startTime) => ({
+  sessionId: session.id,
+  runId: session.runId, // The deploy's entry in GET /api/runs
+  expiresAt: new Date(session.expiresAt).toISOString(),
+  output: `Agent started with ADK web command. Access the UI at ${session.serverUrl}`,
+  error: null,
+  // Every agent package the ADK UI serves, with a link that opens it
+  agents: describeAgents(session),
+  // The fallback agent without MCP tools runs instead of the submitted one
+  degraded: session.degraded,
+  importError: session.importError,
+  executionTime: Date.now() - startTime,
+  memoryUsage: process.memoryUsage().heapUsed / 1024 / 1024, // in MB
+  executionDetails: {
+    stdout: [`Agent started with ADK web command`],
+    stderr: [],
+    exitCode: 0,
+    status: 'running',
+    duration: Date.now() - startTime,
+    serverUrl: session.serverUrl, // Use the public URL that can be accessed from outside
+    secrets: Object.keys(session.secretEnv), // Names of the secrets injected, never their values
+    dependencies: session.dependencies, // Python packages with their installed versions
+    mcpServers: session.mcpServers // Health check result of each MCP server
+  },
+  // Add dedicated fields for the frontend to show an "Open Link" button
+  openUrl: session.serverUrl,
+  showOpenLink: true,
+  linkText: 'Open Agent UI'
+});
+
+const buildErrorResponse = (error, startTime) => ({
+  error: error instanceof Error ? error.message : 'Unknown error occurred',
+  stack: error instanceof Error ? error.stack : undefined,
+  executionTime: Date.now() - startTime,
+  errorDetails: {
+    name: error instanceof Error ? error.name : 'Unknown',
+    message: error instanceof Error ? error.message : String(error),
+    stack: error instanceof Error ? error.stack : undefined,
+    code: error instanceof Error ? (error.code || 'UNKNOWN') : 'UNKNOWN'
+  },
+  // Line/column problems found by the pre-flight check
+  diagnostics: error.diagnostics,
+  // Per-package results when the dependency install failed
+  dependencies: error.dependencies,
+  runId: error.runId
+});
 
 // Execute code in sandbox endpoint
-app.post('/api/execute', async (req, res) => {
+app.post('/api/execute', validateBody(validateDeployRequest), reserveLaunchQuota, async (req, res) => {
   const startTime = Date.now();
-  console.log('\n🚀 Starting code execution request...');
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  logger.info('Deploy requested', { files: countRequestFiles(req) });
   
   // Set CORS headers for this specific response
   setCorsHeaders(req, res);
   
   try {
-    const { files } = req.body;
+    const session = await deployAgent(deployOptions(req));
+    const response = buildExecuteResponse(session, startTime);
+
+    logger.info('Agent deployed', {
+      sessionId: session.id,
+      serverUrl: response.openUrl,
+      executionTimeMs: response.executionTime,
+      heapUsedMb: Math.round(response.memoryUsage * 100) / 100
+    });
     
-    if (!files || !files['agent.py']) {
-      console.log('❌ Error: No agent.py file provided');
-      return res.status(400).json({ error: 'No agent.py file provided' });
-    }
-
-    // Check if the agent code is an MCP agent
-    const isMcpAgent = files['agent.py'].includes('MCPToolset') || 
-                       files['agent.py'].includes('mcp_tool') || 
-                       files['agent.py'].includes('StdioServerParameters');
+    res.status(200).json(response);
+  } catch (error) {
+    const errorResponse = buildErrorResponse(error, startTime);
+    logger.error('Deploy failed', { error, executionTimeMs: errorResponse.executionTime });
     
-    console.log(`📊 Agent type: ${isMcpAgent ? 'MCP Agent' : 'Standard ADK Agent'}`);
+    // Set CORS headers on error response
+    setCorsHeaders(req, res);
     
-    console.log('📝 Files to create:');
-    console.log('━━━━━━━━━━━━━━━━━');
-    Object.entries(files).forEach(([filename, content]) => {
-      console.log(`• ${filename} (${content.length} characters)`);
+    return res.status(error.status || 500).json(errorResponse);
+  } finally {
+    req.releaseLaunch();
+  }
+});
+
+// Run only the pre-flight checks, without creating a sandbox
+app.post('/api/validate', validateBody(validateDeployRequest), async (req, res) => {
+  setCorsHeaders(req, res);
+  
+  try {
+    const { files, agents } = req.body;
+    const report = agents ? await runProjectPreflight(agents) : await runPreflight(files);
+    res.status(200).json(report);
+  } catch (error) {
+    logger.error('Pre-flight checks failed to run', { error });
+    return res.status(500).json({
+      error: error instanceof Error ? error.message : 'Error running pre-flight checks'
     });
-    console.log('━━━━━━━━━━━━━━━━━\n');
-
-    // Create sandbox instance
-    console.log('🔧 Creating E2B sandbox instance...');
-    const sbx = await Sandbox.create({ 
-      apiKey: process.env.E2B_API_KEY,
-      timeout: 300000, // 5 minute timeout
-      onStdout: (data) => {
-        console.log('📤 Stdout:', data);
-      },
-      onStderr: (data) => {
-        console.log('❌ Stderr:', data);
-      },
-      env: {
-        GOOGLE_API_KEY: process.env.GOOGLE_API_KEY,
-        ADK_API_KEY: process.env.ADK_API_KEY,
-        SMITHERY_API_KEY: process.env.SMITHERY_API_KEY,
-        PYTHONUNBUFFERED: '1', // Ensure Python output is not buffered
-        PATH: '/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin'
-      },
-      rootUser: true // Run as root to avoid permission issues
+  }
+});
+
+// Run test cases through the agent in a throwaway sandbox and report pass/fail per case
+app.post('/api/evaluate', validateBody(validateEvaluateRequest), reserveLaunchQuota, async (req, res) => {
+  const startTime = Date.now();
+  logger.info('Evaluation requested', { testCases: req.body.testCases.length });
+  
+  setCorsHeaders(req, res);
+  
+  try {
+    const report = await evaluateAgent({ ...deployOptions(req), testCases: req.body.testCases, agent: req.body.agent });
+    res.status(200).json(report);
+  } catch (error) {
+    logger.error('Evaluation failed', { error });
+    return res.status(error.status || 500).json(buildErrorResponse(error, startTime));
+  } finally {
+    req.releaseLaunch();
+  }
+});
+
+// Execute code in sandbox, streaming pipeline progress as Server-Sent Events
+app.post('/api/execute/stream', validateBody(validateDeployRequest), reserveLaunchQuota, async (req, res) => {
+  const startTime = Date.now();
+  logger.info('Streaming deploy requested', { files: countRequestFiles(req) });
+  
+  setCorsHeaders(req, res);
+  
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Stop proxies from buffering the stream
+  res.flushHeaders();
+  
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
+  
+  const sendEvent = (event, data) => {
+    if (clientGone) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  try {
+    const session = await deployAgent({
+      ...deployOptions(req),
+      trigger: 'stream',
+      onEvent: (event) => sendEvent(event.type, event)
     });
-    console.log('✅ Sandbox created successfully\n');
-
-    // Create proper directory structure for ADK agent detection
-    console.log('📁 Creating agent directories...');
-    await sbx.commands.run('mkdir -p workspace/multi_tool_agent');
-    console.log('✅ Workspace and multi_tool_agent directories created\n');
-
-    // Write files to the sandbox with proper ADK structure
-    console.log('📝 Writing files to sandbox...');
-    for (const [filename, content] of Object.entries(files)) {
-      await sbx.files.write(`workspace/multi_tool_agent/${filename}`, content);
-      console.log(`✅ Created ${filename}`);
+    
+    // Nobody is left to hand the URL to, so don't leave the sandbox running
+    if (clientGone) {
+      logger.info('Client disconnected, terminating session', { sessionId: session.id });
+      await terminateSession(session.id);
+      return;
     }
+    
+    sendEvent('result', buildExecuteResponse(session, startTime));
+  } catch (error) {
+    logger.error('Streaming deploy failed', { error });
+    sendEvent('error', buildErrorResponse(error, startTime));
+  } finally {
+    req.releaseLaunch();
+  }
+  
+  res.end();
+});
 
-    // Create a fallback non-MCP version of the agent if this is an MCP agent
-    if (isMcpAgent) {
-      console.log('📝 Creating fallback non-MCP agent version...');
-      const fallbackAgentContent = `from google.adk.agents import LlmAgent
-from google.adk.runners import Runner
-from google.adk.sessions import InMemorySessionService
-from google.genai import types  # For Content/Part
-import asyncio
-import os
-
-# Fallback agent without MCP tools
-root_agent = LlmAgent(
-    name="DocQueryAgent",
-    model="gemini-2.0-flash",
-    description="An LlmAgent that handles user queries about documentation.",
-    instruction="You are a helpful assistant that can answer questions and provide information. Note: MCP tools are not available in this fallback mode.",
-    tools=[]  # No tools in fallback mode
-)
-
-# Session service and runner setup - MUST INCLUDE app_name
-session_service = InMemorySessionService()
-runner = Runner(agent=root_agent, session_service=session_service, app_name="DocQueryAgent")
-
-async def main():
-    # Create a session
-    user_id = "user"
-    session = session_service.create_session(state={}, app_name="DocQueryAgent", user_id=user_id)
-    session_id = session.id
-
-    # Create an initial message (Content object)
-    new_message = types.Content(
-        role="user",
-        parts=[types.Part(text="Hello, agent!")]
-    )
-
-    # Run the agent
-    async for event in runner.run_async(
-        user_id=user_id,
-        session_id=session_id,
-        new_message=new_message
-    ):
-        print(event)
-
-if __name__ == "__main__":
-    asyncio.run(main())
-
-__all__ = ["root_agent"]
-`;
-      await sbx.files.write('workspace/multi_tool_agent/agent_fallback.py', fallbackAgentContent);
-      console.log('✅ Created fallback agent version');
+// Download the project a deploy would build, without creating a sandbox
+app.post('/api/export', validateBody(validateExportRequest), (req, res) => {
+  setCorsHeaders(req, res);
+  
+  const format = req.body.format || 'tar.gz';
+  const bundle = buildProjectBundle(deployOptions(req));
+  const archive = createArchive(format, bundle.entries);
+  logger.info('Project exported', { format, agents: bundle.agents, files: bundle.entries.length, bytes: archive.length });
+  
+  res.setHeader('Content-Type', ARCHIVE_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${EXPORT_ROOT}.${ARCHIVE_FORMATS[format].extension}"`);
+  res.status(200).send(archive);
+});
+
+// Start a background deployment job and return its ID right away
+app.post('/api/jobs', validateBody(validateDeployRequest), reserveLaunchQuota, (req, res) => {
+  setCorsHeaders(req, res);
+  
+  const options = deployOptions(req);
+  const { releaseLaunch } = req;
+  const startTime = Date.now();
+  const job = createJob(async (onEvent) => {
+    try {
+      const session = await deployAgent({ ...options, trigger: 'job', onEvent });
+      return buildExecuteResponse(session, startTime);
+    } finally {
+      releaseLaunch();
     }
-    
-    // Create __init__.py file to make multi_tool_agent a proper Python package
-    console.log('📝 Creating __init__.py file...');
-    const initPyContent = `# Try to import from the main agent, fallback to agent_fallback if MCP fails
-try:
-    from .agent import root_agent
-except ImportError as e:
-    print(f"Warning: Failed to import main agent: {e}")
-    try:
-        from .agent_fallback import root_agent
-        print("Using fallback agent without MCP tools")
-    except ImportError as fallback_error:
-        print(f"Error: Could not import fallback agent either: {fallback_error}")
-        raise
-
-__all__ = ["root_agent"]
-`;
-    await sbx.files.write('workspace/multi_tool_agent/__init__.py', initPyContent);
-    console.log('✅ Created __init__.py file with fallback support');
-    
-    // Create accessible_files directory for MCP filesystem tool
-    console.log('📁 Creating accessible_files directory for MCP filesystem tool...');
-    await sbx.commands.run('mkdir -p workspace/multi_tool_agent/accessible_files');
-    
-    // Add some sample files to the accessible_files directory
-    await sbx.files.write('workspace/multi_tool_agent/accessible_files/sample.txt', 'This is a sample text file for the MCP filesystem tool.');
-    await sbx.files.write('workspace/multi_tool_agent/accessible_files/notes.md', '# Sample Notes\n\nThis is a markdown file that can be accessed by the MCP filesystem tool.');
-    await sbx.files.write('workspace/multi_tool_agent/accessible_files/data.json', JSON.stringify({
-      name: "Sample Data",
-      items: [1, 2, 3, 4, 5],
-      nested: {
-        key: "value"
-      }
-    }, null, 2));
-    
-    console.log('✅ Created sample files for MCP filesystem tool');
-    console.log('✅ All files written successfully\n');
+  }, { tenantId: req.tenantId });
+  logger.info('Deployment job queued', { jobId: job.id });
+  
+  res.status(202).json(describeJob(job));
+});
 
-    // Set up Python environment with a compatible Python version
-    console.log('🐍 Setting up Python environment...');
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    
-    // Check Python versions available in the sandbox
-    console.log('📊 Checking available Python versions...');
-    const pythonVersions = await sbx.commands.run('ls /usr/bin/python* | grep -v config');
-    console.log(`Available Python versions:\n${pythonVersions.stdout}`);
-    
-    // Try to use Python 3.9 which is compatible with most Google Cloud libraries
-    console.log('📦 Creating virtual environment with Python 3.9...');
-    let venvResult;
+// Poll a deployment job's state, logs and result
+app.get('/api/jobs/:id', (req, res) => {
+  setCorsHeaders(req, res);
+  
+  const job = getJob(req.params.id);
+  if (!job || job.tenantId !== req.tenantId) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  const logsSince = Number.parseInt(req.query.logsSince, 10) || 0;
+  res.status(200).json(describeJob(job, { logsSince }));
+});
+
+// List the tenant's recorded deploys, newest first
+app.get('/api/runs', validateQuery(validateRunQuery), async (req, res) => {
+  setCorsHeaders(req, res);
+  
+  const { status, since, until, limit } = req.query;
+  try {
+    const runs = await listRuns(req.tenantId, { status, since, until, limit: limit === undefined ? undefined : Number(limit) });
+    res.status(200).json({ runs });
+  } catch (error) {
+    logger.error('Listing runs failed', { error });
+    return res.status(500).json({
+      error: error instanceof Error ? error.message : 'Error listing runs'
+    });
+  }
+});
+
+// A recorded deploy with its request, phases, dependencies and logs
+app.get('/api/runs/:id', async (req, res) => {
+  setCorsHeaders(req, res);
+  
+  let run;
+  try {
+    run = await getRun(req.tenantId, req.params.id);
+  } catch (error) {
+    logger.error('Reading run failed', { runId: req.params.id, error });
+    return res.status(500).json({
+      error: error instanceof Error ? error.message : 'Error reading run'
+    });
+  }
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
+  
+  res.status(200).json(run);
+});
+
+// Deploy a recorded run's request again, answering like /api/execute
+app.post('/api/runs/:id/rerun', validateBody(validateRerunRequest), reserveLaunchQuota, async (req, res, next) => {
+  const startTime = Date.now();
+  setCorsHeaders(req, res);
+  
+  try {
+    let run;
     try {
-      venvResult = await sbx.commands.run('python3.9 -m venv workspace/venv');
-      console.log('✅ Successfully created venv with Python 3.9');
+      run = await getRun(req.tenantId, req.params.id);
     } catch (error) {
-      console.log('⚠️ Python 3.9 not available, falling back to default Python version');
-      venvResult = await sbx.commands.run('python3 -m venv workspace/venv');
+      logger.error('Reading run failed', { runId: req.params.id, error });
+      return res.status(500).json({
+        error: error instanceof Error ? error.message : 'Error reading run'
+      });
+    }
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
     }
     
-    console.log(`  • Exit code: ${venvResult.exitCode}`);
-    if (venvResult.stdout) console.log(`  • Output: ${venvResult.stdout}`);
-    if (venvResult.stderr) console.log(`  • Errors: ${venvResult.stderr}`);
-    console.log('✅ Virtual environment created\n');
+    // The run kept no secret or MCP env values, and stored secrets may have
+    // been removed since, so check the request again
+    const options = rerunOptions(run.request, req.body);
+    const details = validateRerunValues(run.request, req.body);
+    if (!details.length) details.push(...validateDeployRequest(options, { tenantId: req.tenantId }));
+    if (details.length) {
+      return next(new ValidationError(details));
+    }
     
-    console.log('📦 Activating virtual environment and installing dependencies...');
-    console.log('  • Installing google-adk package...');
-
-    // First, try to install google-adk with MCP extra
-    let mcpInstallSuccess = false;
+    logger.info('Re-run requested', { runId: run.id });
     try {
-      const pipResult = await sbx.commands.run('source workspace/venv/bin/activate && pip install "google-adk[mcp]" mem0 langfuse memzero m0 -v');
-      console.log(`  • google-adk[mcp] exit code: ${pipResult.exitCode}`);
-      if (pipResult.exitCode === 0) {
-        mcpInstallSuccess = true;
-        console.log('  • ✅ Successfully installed google-adk with MCP support');
-      } else {
-        console.log('  • ⚠️ google-adk[mcp] installation failed, trying alternative approach');
-        if (pipResult.stderr) {
-          console.log('  • Error details:', pipResult.stderr);
-        }
-      }
+      const session = await deployAgent({ ...options, tenantId: req.tenantId, trigger: 'rerun', rerunOf: run.id });
+      res.status(200).json({ ...buildExecuteResponse(session, startTime), rerunOf: run.id });
     } catch (error) {
-      console.log(`  • ⚠️ Error installing google-adk[mcp]: ${error.message}`);
+      logger.error('Re-run failed', { rerunOf: run.id, error });
+      return res.status(error.status || 500).json({ ...buildErrorResponse(error, startTime), rerunOf: run.id });
     }
+  } finally {
+    req.releaseLaunch();
+  }
+});
 
-    // If MCP extra failed, install google-adk and MCP separately
-    if (!mcpInstallSuccess) {
-      console.log('  • Installing google-adk and MCP dependencies separately...');
-      try {
-        // Install base google-adk
-        const adkResult = await sbx.commands.run('source workspace/venv/bin/activate && pip install google-adk mem0 langfuse memzero m0 -v');
-        console.log(`  • google-adk exit code: ${adkResult.exitCode}`);
-
-        // Install MCP separately
-        const mcpResult = await sbx.commands.run('source workspace/venv/bin/activate && pip install mcp aiohttp -v');
-        console.log(`  • MCP dependencies exit code: ${mcpResult.exitCode}`);
-
-        if (adkResult.exitCode === 0 && mcpResult.exitCode === 0) {
-          console.log('  • ✅ Successfully installed google-adk and MCP dependencies separately');
-          mcpInstallSuccess = true;
-        } else {
-          console.log('  • ❌ Failed to install dependencies separately');
-          if (adkResult.stderr) console.log('  • ADK errors:', adkResult.stderr);
-          if (mcpResult.stderr) console.log('  • MCP errors:', mcpResult.stderr);
-        }
-      } catch (error) {
-        console.log(`  • ❌ Error installing dependencies separately: ${error.message}`);
-      }
-    }
+// List running agent sessions
+app.get('/api/sessions', (req, res) => {
+  setCorsHeaders(req, res);
+  
+  res.status(200).json({ sessions: listSessions(req.tenantId).map(describeSession) });
+});
+
+// Inspect a single agent session
+app.get('/api/sessions/:id', (req, res) => {
+  setCorsHeaders(req, res);
+  
+  const session = getTenantSession(req);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  res.status(200).json(describeSession(session));
+});
+
+// Extend a running session's lifetime, e.g. while its ADK UI is open
+app.post('/api/sessions/:id/keepalive', validateBody(validateKeepaliveRequest), async (req, res) => {
+  setCorsHeaders(req, res);
+  
+  const session = getTenantSession(req);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (session.status !== 'running') {
+    return res.status(409).json({ error: `Session is ${session.status}` });
+  }
+  
+  const { extendSeconds } = req.body;
+  try {
+    await extendSession(session, extendSeconds === undefined ? {} : { extendMs: extendSeconds * 1000 });
+  } catch (error) {
+    logger.error('Extending session failed', { sessionId: session.id, error });
+    return res.status(500).json({
+      error: error instanceof Error ? error.message : 'Error extending session'
+    });
+  }
+  
+  res.status(200).json(describeSession(session));
+});
 
-    // Install additional MCP-specific dependencies if this is an MCP agent
-    if (isMcpAgent && mcpInstallSuccess) {
-      console.log('  • Installing additional MCP-specific dependencies...');
-      try {
-        const extraMcpResult = await sbx.commands.run('source workspace/venv/bin/activate && pip install anyio pydantic websockets httpx-sse');
-        console.log(`  • Extra MCP dependencies exit code: ${extraMcpResult.exitCode}`);
-        if (extraMcpResult.stdout) console.log(`  • Extra MCP output: ${extraMcpResult.stdout}`);
-        if (extraMcpResult.stderr) console.log(`  • Extra MCP errors: ${extraMcpResult.stderr}`);
-      } catch (error) {
-        console.log(`  • ⚠️ Warning: Error installing extra MCP dependencies: ${error.message}`);
-      }
+// Hot-reload changed agent files into a running session and restart adk web
+app.put('/api/sessions/:id/files', validateBody(validateDeployRequest), async (req, res) => {
+  setCorsHeaders(req, res);
+  
+  const session = getTenantSession(req);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  const { files, agents } = req.body;
+  
+  if (session.status !== 'running') {
+    return res.status(409).json({ error: `Session is ${session.status}` });
+  }
+  
+  // adk web only picks up new agent packages on a fresh deploy
+  const names = Object.keys(resolveAgentPackages({ files, agents })).sort();
+  if (names.join() !== Object.keys(session.packages).sort().join()) {
+    return res.status(409).json({
+      error: 'A reload must send the same agents the session was deployed with; deploy again to add or remove agents',
+      agents: Object.keys(session.packages)
+    });
+  }
+  
+  // Claimed before the preflight so a concurrent reload gets the 409 above
+  touchSession(session);
+  session.status = 'reloading';
+  let result;
+  try {
+    // Don't take down a working server for code that can't be imported
+    const preflight = agents ? await runProjectPreflight(agents) : await runPreflight(files);
+    if (!preflight.ok) {
+      const error = new PreflightError(preflight);
+      return res.status(error.status).json({ error: error.message, diagnostics: error.diagnostics });
     }
     
-    // Verify the installation
-    console.log('\n📋 Verifying installation...');
-    const verifyResult = await sbx.commands.run('source workspace/venv/bin/activate && pip list | grep -E "(google-adk|mcp)"');
-    if (verifyResult.stdout) {
-      console.log(`  • Installed packages:`);
-      verifyResult.stdout.split('\n').forEach(line => {
-        if (line.trim()) console.log(`    ${line.trim()}`);
-      });
-    } else {
-      console.log('  • Warning: Could not verify package installations');
+    result = await reloadAgentFiles(session, { files, agents });
+  } catch (error) {
+    logger.error('Reloading session files failed', { sessionId: session.id, error });
+    return res.status(500).json({
+      error: error instanceof Error ? error.message : 'Error reloading agent files'
+    });
+  } finally {
+    if (session.status === 'reloading') session.status = 'running';
+  }
+  
+  res.status(result.restartError ? 500 : 200).json({ ...result, session: describeSession(session) });
+});
+
+// Content-Disposition for a download, with a plain ASCII fallback name for old clients
+const attachmentHeader = (filename) =>
+  `attachment; filename="${filename.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+
+// List the files in a running session's accessible_files directory
+app.get('/api/sessions/:id/accessible-files', async (req, res) => {
+  setCorsHeaders(req, res);
+  
+  const session = getTenantSession(req);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (session.status !== 'running') {
+    return res.status(409).json({ error: `Session is ${session.status}` });
+  }
+  
+  touchSession(session);
+  try {
+    res.status(200).json({ root: 'accessible_files', files: await listAccessibleFiles(session.sbx) });
+  } catch (error) {
+    logger.error('Listing accessible files failed', { sessionId: session.id, error });
+    return res.status(500).json({
+      error: error instanceof Error ? error.message : 'Error listing files'
+    });
+  }
+});
+
+// Download a file from a running session's accessible_files directory
+app.get('/api/sessions/:id/accessible-files/*', async (req, res, next) => {
+  setCorsHeaders(req, res);
+  
+  const filePath = req.params[0];
+  const details = validateAccessiblePath(filePath);
+  if (details.length) {
+    return next(new ValidationError(details));
+  }
+  
+  const session = getTenantSession(req);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (session.status !== 'running') {
+    return res.status(409).json({ error: `Session is ${session.status}` });
+  }
+  
+  touchSession(session);
+  let content;
+  try {
+    content = await readAccessibleFile(session.sbx, filePath);
+  } catch (error) {
+    logger.error('Reading accessible file failed', { sessionId: session.id, file: filePath, error });
+    return res.status(500).json({
+      error: error instanceof Error ? error.message : 'Error reading file'
+    });
+  }
+  if (!content) {
+    return res.status(404).json({ error: `File ${filePath} not found` });
+  }
+  
+  res.setHeader('Content-Type', 'application/octet-stream');
+  res.setHeader('Content-Disposition', attachmentHeader(filePath.split('/').pop()));
+  res.status(200).send(content);
+});
+
+// Upload files into a running session's accessible_files directory as
+// multipart/form-data, optionally below ?dir=
+const readUploadBody = express.raw({ type: 'multipart/form-data', limit: ACCESSIBLE_FILE_LIMITS.maxUploadBytes });
+
+app.post('/api/sessions/:id/accessible-files', readUploadBody, validateQuery(validateUploadQuery), async (req, res, next) => {
+  setCorsHeaders(req, res);
+  
+  let parts;
+  try {
+    parts = parseMultipart(Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0), req.headers['content-type']);
+  } catch (error) {
+    if (!(error instanceof MultipartError)) return next(error);
+    return next(new ValidationError([{ field: 'body', message: error.message }]));
+  }
+  
+  const uploads = parts.filter(part => part.filename)
+    .map(part => ({ path: req.query.dir ? `${req.query.dir}/${part.filename}` : part.filename, content: part.data }));
+  const details = uploads.length
+    ? uploads.flatMap((upload, index) => validateAccessiblePath(upload.path, `files[${index}]`))
+    : [{ field: 'body', message: 'Upload at least one file' }];
+  if (details.length) {
+    return next(new ValidationError(details));
+  }
+  
+  const session = getTenantSession(req);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (session.status !== 'running') {
+    return res.status(409).json({ error: `Session is ${session.status}` });
+  }
+  
+  touchSession(session);
+  try {
+    for (const upload of uploads) {
+      await writeAccessibleFile(session.sbx, upload.path, upload.content);
     }
+  } catch (error) {
+    logger.error('Uploading accessible files failed', { sessionId: session.id, error });
+    return res.status(500).json({
+      error: error instanceof Error ? error.message : 'Error uploading files'
+    });
+  }
+  
+  logger.info('Uploaded accessible files', { sessionId: session.id, files: uploads.map(upload => upload.path) });
+  res.status(201).json({ uploaded: uploads.map(upload => ({ path: upload.path, size: upload.content.length })) });
+});
+
+// Delete a file or directory from a running session's accessible_files directory
+app.delete('/api/sessions/:id/accessible-files/*', async (req, res, next) => {
+  setCorsHeaders(req, res);
+  
+  const filePath = req.params[0];
+  const details = validateAccessiblePath(filePath);
+  if (details.length) {
+    return next(new ValidationError(details));
+  }
+  
+  const session = getTenantSession(req);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (session.status !== 'running') {
+    return res.status(409).json({ error: `Session is ${session.status}` });
+  }
+  
+  touchSession(session);
+  let removed;
+  try {
+    removed = await removeAccessibleFile(session.sbx, filePath);
+  } catch (error) {
+    logger.error('Deleting accessible file failed', { sessionId: session.id, file: filePath, error });
+    return res.status(500).json({
+      error: error instanceof Error ? error.message : 'Error deleting file'
+    });
+  }
+  if (!removed) {
+    return res.status(404).json({ error: `File ${filePath} not found` });
+  }
+  
+  res.status(200).json({ deleted: filePath });
+});
 
-    // Test MCP import if this is an MCP agent
-    if (isMcpAgent) {
-      console.log('  • Testing MCP imports...');
-      try {
-        const mcpTestResult = await sbx.commands.run(`source workspace/venv/bin/activate && python3 -c "
-try:
-    from google.adk.tools.mcp_tool.mcp_toolset import MCPToolset, StdioServerParameters
-    from mcp import ClientSession
-    print('✅ MCP imports successful')
-except ImportError as e:
-    print(f'❌ MCP import failed: {e}')
-    exit(1)
-"`);
-        console.log(`    ${mcpTestResult.stdout.trim()}`);
-        if (mcpTestResult.exitCode !== 0) {
-          console.log('  • ⚠️ Warning: MCP imports failed, agent may not work correctly');
-          if (mcpTestResult.stderr) console.log(`    Error: ${mcpTestResult.stderr}`);
-        }
-      } catch (error) {
-        console.log(`  • ⚠️ Warning: Could not test MCP imports: ${error.message}`);
-      }
+// Read a running session's logs, or tail them as Server-Sent Events with ?follow=true
+app.get('/api/sessions/:id/logs', validateQuery(validateLogQuery), async (req, res) => {
+  setCorsHeaders(req, res);
+  
+  const session = getTenantSession(req);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (session.status !== 'running') {
+    return res.status(409).json({ error: `Session is ${session.status}` });
+  }
+  
+  const source = req.query.source || 'adk';
+  const limit = req.query.limit === undefined ? LOG_LIMITS.defaultLimit : Number(req.query.limit);
+  
+  if (req.query.follow !== 'true') {
+    try {
+      const offset = Number(req.query.offset || 0);
+      return res.status(200).json(await readSessionLog(session, { source, offset, limit }));
+    } catch (error) {
+      logger.error('Reading session log failed', { sessionId: session.id, source, error });
+      return res.status(500).json({ error: `Could not read the ${source} log: ${error.message}` });
+    }
+  }
+  
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
+  
+  const sendEvent = (event, data) => {
+    if (clientGone) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  try {
+    // Without an offset, start with the last `limit` lines like `tail -f`
+    let offset = Number(req.query.offset);
+    if (req.query.offset === undefined) {
+      const { totalLines } = await readSessionLog(session, { source, offset: 0, limit: 0 });
+      offset = Math.max(0, totalLines - limit);
     }
     
-    // Create ADK config file
-    console.log('📝 Creating ADK config file...');
-    await sbx.files.write('workspace/adk.config.json', JSON.stringify({
-      "api_key": process.env.GOOGLE_API_KEY || process.env.ADK_API_KEY || ""
-    }, null, 2));
-    console.log('✅ ADK config file created');
-    
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log('✅ Python environment ready\n');
+    const nextOffset = await followSessionLog(session, {
+      source,
+      offset,
+      onLines: (lines, firstOffset) => lines.forEach((line, index) => {
+        sendEvent('log', { source, offset: firstOffset + index, line });
+      }),
+      isStopped: () => clientGone
+    });
+    sendEvent('end', { status: session.status, nextOffset });
+  } catch (error) {
+    // Reads fail once the sandbox is killed, which just ends the tail
+    if (session.status === 'running') {
+      logger.error('Tailing session log failed', { sessionId: session.id, source, error });
+      sendEvent('error', { error: `Could not read the ${source} log: ${error.message}` });
+    } else {
+      sendEvent('end', { status: session.status });
+    }
+  }
+  
+  res.end();
+});
 
-    // Instead of executing the code directly, run the ADK web command
-    console.log('⚡ Starting agent with ADK web command...');
-    
+// Send a message to a running agent and return (or stream) the ADK events it produces
+app.post('/api/sessions/:id/messages', validateBody(validateMessageRequest), async (req, res) => {
+  setCorsHeaders(req, res);
+  
+  const session = getTenantSession(req);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (session.status !== 'running') {
+    return res.status(409).json({ error: `Session is ${session.status}` });
+  }
+  
+  const { message, agent, userId, sessionId, stream } = req.body;
+  const startTime = Date.now();
+  
+  if (agent && !Object.hasOwn(session.packages, agent)) {
+    return res.status(404).json({ error: `Agent ${agent} is not part of this session` });
+  }
+  touchSession(session);
+  
+  if (!stream) {
     try {
-      // Create a .env file with environment variables from deployed server
-      await sbx.files.write('workspace/.env', `# Google API Key
-GOOGLE_API_KEY=${process.env.GOOGLE_API_KEY || ''}
-
-# GitHub Personal Access Token
-GITHUB_PERSONAL_ACCESS_TOKEN=${process.env.GITHUB_PERSONAL_ACCESS_TOKEN || ''}
-LANGFUSE_SECRET_KEY=${process.env.LANGFUSE_SECRET_KEY || ''}
-LANGFUSE_PUBLIC_KEY=${process.env.LANGFUSE_PUBLIC_KEY || ''}
-LANGFUSE_HOST=${process.env.LANGFUSE_HOST || 'https://cloud.langfuse.com'}
-MEM0_API_KEY=${process.env.MEM0_API_KEY || ''}
-OPENAI_API_KEY=${process.env.OPENAI_API_KEY || ''}
-ADK_API_KEY=${process.env.ADK_API_KEY || process.env.GOOGLE_API_KEY || ''}
-SMITHERY_API_KEY=${process.env.SMITHERY_API_KEY || ''}
-`);
-
-      // Create requirements.txt file with all necessary packages
-      await sbx.files.write('workspace/requirements.txt', `google-adk
-python-dotenv
-mem0
-langfuse
-memzero
-m0
-mcp
-aiohttp
-anyio
-pydantic
-websockets
-httpx-sse
-`);
-      
-      // Create a Python script to check if port is open
-      await sbx.files.write('workspace/check_port.py', `import socket
-import sys
-import time
-
-def is_port_open(host, port, timeout=1):
-    sock = socket.socket(socket.AF_INET, socket.SOCK_STREAM)
-    sock.settimeout(timeout)
-    try:
-        result = sock.connect_ex((host, port))
-        sock.close()
-        return result == 0
-    except:
-        sock.close()
-        return False
-
-def wait_for_port(port, max_attempts=30, delay=1):
-    print(f"Waiting for port {port} to be available...")
-    for attempt in range(max_attempts):
-        if is_port_open('localhost', port):
-            print(f"Port {port} is now open!")
-            return True
-        time.sleep(delay)
-    print(f"Timed out waiting for port {port}")
-    return False
-
-if __name__ == '__main__':
-    port = int(sys.argv[1]) if len(sys.argv) > 1 else 8000
-    sys.exit(0 if wait_for_port(port) else 1)
-`);
-
-      // Create a startup script that properly detaches the process and binds to 0.0.0.0
-      await sbx.files.write('workspace/start_adk.sh', `#!/bin/bash
-set -e  # Exit on any error
-
-# Source virtual environment
-source ./venv/bin/activate
-
-# Set environment variables for Google ADK and Smithery
-export GOOGLE_API_KEY=\${GOOGLE_API_KEY:-${process.env.GOOGLE_API_KEY || ''}}
-export ADK_API_KEY=\${ADK_API_KEY:-${process.env.ADK_API_KEY || process.env.GOOGLE_API_KEY || ''}}
-export SMITHERY_API_KEY=\${SMITHERY_API_KEY:-${process.env.SMITHERY_API_KEY || ''}}
-
-# Change to workspace directory
-cd /home/user/workspace
-
-# Create directory for MCP filesystem access if needed
-mkdir -p multi_tool_agent/accessible_files
-chmod 777 multi_tool_agent/accessible_files
-echo "Hello from the MCP filesystem server!" > multi_tool_agent/accessible_files/hello.txt
-echo "This is a test file created for MCP filesystem access." > multi_tool_agent/accessible_files/test.txt
-
-# Check if ADK is installed correctly
-if ! command -v adk &> /dev/null; then
-    echo "ADK command not found. Installing..."
-    # Try with MCP support first, fallback to base installation
-    if ! pip install --upgrade "google-adk[mcp]" mem0 langfuse memzero m0 2>/dev/null; then
-        echo "MCP extra not available, installing base google-adk and MCP separately..."
-        pip install --upgrade google-adk mem0 langfuse memzero m0
-        pip install mcp aiohttp anyio pydantic websockets httpx-sse
-    fi
-fi
-
-# Install Node.js packages needed for MCP tools
-echo "Installing Node.js packages for MCP support..."
-if [ -d "/home/user/workspace/node_modules" ]; then
-    echo "Node modules already installed, skipping..."
-else
-    # Install MCP server packages
-    npm init -y > /dev/null 2>&1 || true
-    npm install --no-fund --no-audit --silent @modelcontextprotocol/server-filesystem > /dev/null 2>&1 || true
-    npm install --no-fund --no-audit --silent @modelcontextprotocol/server-github > /dev/null 2>&1 || true
-    npm install --no-fund --no-audit --silent @modelcontextprotocol/server-time > /dev/null 2>&1 || true
-fi
-
-# Kill any existing ADK web processes
-pkill -f "adk web" || true
-
-# Add the workspace directory to PYTHONPATH
-export PYTHONPATH=/home/user/workspace:$PYTHONPATH
-
-# Test if MCP imports work and switch to fallback if needed
-if [ -f "multi_tool_agent/agent.py" ] && grep -q "MCPToolset" multi_tool_agent/agent.py; then
-    echo "Testing MCP imports..."
-    if ! python3 -c "
-try:
-    from google.adk.tools.mcp_tool.mcp_toolset import MCPToolset, StdioServerParameters
-    from mcp import ClientSession
-    print('MCP imports successful')
-except ImportError as e:
-    print(f'MCP import failed: {e}')
-    exit(1)
-" 2>/dev/null; then
-        echo "MCP imports failed, switching to fallback agent..."
-        if [ -f "multi_tool_agent/agent_fallback.py" ]; then
-            mv multi_tool_agent/agent.py multi_tool_agent/agent_mcp.py
-            mv multi_tool_agent/agent_fallback.py multi_tool_agent/agent.py
-            echo "Switched to fallback agent without MCP tools"
-        else
-            echo "Warning: No fallback agent available"
-        fi
-    else
-        echo "MCP imports successful, using MCP-enabled agent"
-    fi
-fi
-
-# Start ADK web server
-echo "Starting ADK web server..."
-nohup adk web --host 0.0.0.0 --port 8000 > adk_web.log 2>&1 &
-
-# Wait for server to start using Python script
-python3 check_port.py 8000
-exit_code=$?
-
-if [ $exit_code -eq 0 ]; then
-    echo "ADK web server started successfully"
-    cat adk_web.log
-    exit 0
-else
-    echo "Failed to start ADK web server"
-    cat adk_web.log
-    exit 1
-fi`);
-      
-      // Make the script executable
-      await sbx.commands.run('chmod +x workspace/start_adk.sh', { timeoutMs: 30000 });
-      
-      // Execute the startup script with proper error handling
-      console.log('⚡ Starting ADK web server...');
-      try {
-        const adkWebResult = await sbx.commands.run('cd workspace && ./start_adk.sh', {
-          timeoutMs: 60000,  // Increase timeout to 60 seconds
-          shell: true,
-          env: {
-            GOOGLE_API_KEY: process.env.GOOGLE_API_KEY,
-            ADK_API_KEY: process.env.ADK_API_KEY,
-            SMITHERY_API_KEY: process.env.SMITHERY_API_KEY
-          }
-        });
-        
-        console.log('📋 ADK web server startup output:');
-        if (adkWebResult.stdout) console.log(adkWebResult.stdout);
-        if (adkWebResult.stderr) console.log(adkWebResult.stderr);
-        
-        // Verify server is running using curl
-        const isRunning = await sbx.commands.run('curl -s -o /dev/null -w "%{http_code}" http://localhost:8000 || echo "Failed"', { timeoutMs: 5000 });
-        if (isRunning.stdout === "Failed") {
-          throw new Error('ADK web server failed to start - could not connect to port 8000');
-        }
-        
-        console.log('✅ ADK web server started successfully');
-        
-        // Get the public URL for the ADK web server (port 8000)
-        const publicHost = sbx.getHost(8000);
-        const publicUrl = `https://${publicHost}`;
-        
-        // Try to verify the server is actually responding
-        try {
-          const curlCheck = await sbx.commands.run(`curl -s -o /dev/null -w "%{http_code}" http://localhost:8000 || echo "Failed to connect"`);
-          console.log(`✅ HTTP server response check: ${curlCheck.stdout}`);
-        } catch (error) {
-          console.log('⚠️ Could not verify HTTP server response');
-        }
-        
-        // Format the response with the public URL
-        const response = {
-          output: `Agent started with ADK web command. Access the UI at ${publicUrl}`,
-          error: null,
-          executionTime: Date.now() - startTime,
-          memoryUsage: process.memoryUsage().heapUsed / 1024 / 1024, // in MB
-          executionDetails: {
-            stdout: [`Agent started with ADK web command`],
-            stderr: [],
-            exitCode: 0,
-            status: 'running',
-            duration: Date.now() - startTime,
-            serverUrl: publicUrl // Use the public URL that can be accessed from outside
-          },
-          // Add dedicated fields for the frontend to show an "Open Link" button
-          openUrl: publicUrl,
-          showOpenLink: true,
-          linkText: 'Open Agent UI'
-        };
-
-        console.log('📊 Execution Results:');
-        console.log('━━━━━━━━━━━━━━━━━━');
-        
-        console.log(`📤 ADK web server is accessible at: ${publicUrl}`);
-        console.log(`Debug info:`);
-        console.log(`• Status: ${response.executionDetails.status}`);
-        console.log(`• Duration: ${response.executionDetails.duration} ms`);
-        console.log(`• Server URL: ${response.executionDetails.serverUrl}`);
-
-        console.log('\n📈 Execution Metadata:');
-        console.log(`• Execution Time: ${response.executionTime}ms`);
-        console.log(`• Memory Usage: ${response.memoryUsage.toFixed(2)}MB`);
-        console.log(`• Status: ${response.executionDetails.status}`);
-        console.log(`• Server URL: ${response.executionDetails.serverUrl}`);
-        
-        res.status(200).json(response);
-      } catch (error) {
-        console.error('\n❌ Error running ADK web command:');
-        console.error(error);
-        
-        // Cleanup sandbox
-        try {
-          if (sbx) {
-            console.log('🧹 Cleaning up sandbox after error...');
-            
-            // Try to kill the ADK web process if it's running
-            try {
-              const killResult = await sbx.commands.run('if [ -f workspace/adk_web.pid ]; then kill $(cat workspace/adk_web.pid) 2>/dev/null || true; rm workspace/adk_web.pid; fi', { timeoutMs: 10000 });
-              console.log('📋 ADK web kill result:', killResult.stdout || 'No output');
-            } catch (killError) {
-              console.error('Failed to kill ADK web process:', killError.message);
-            }
-            
-            // Destroy the sandbox
-            if (typeof sbx.destroy === 'function') {
-              await sbx.destroy();
-            } else if (typeof sbx.close === 'function') {
-              await sbx.close();
-            }
-            console.log('✅ Sandbox cleaned up after error');
-          }
-        } catch (cleanupError) {
-          console.error('Error cleaning up sandbox after error:', cleanupError);
-        }
-        
-        // Set CORS headers on error response
-        setCorsHeaders(req, res);
-        
-        return res.status(500).json({
-          error: error instanceof Error ? error.message : 'Error running ADK web command',
-          executionTime: Date.now() - startTime
-        });
-      }
+      const result = await sendMessage(session, { message, agent, userId, sessionId });
+      return res.status(200).json({ ...result, durationMs: Date.now() - startTime });
     } catch (error) {
-      console.error('\n❌ Error running ADK web command:');
-      console.error(error);
-      
-      // Cleanup sandbox
-      try {
-        if (sbx) {
-          console.log('🧹 Cleaning up sandbox after error...');
-          
-          // Try to kill the ADK web process if it's running
-          try {
-            const killResult = await sbx.commands.run('if [ -f workspace/adk_web.pid ]; then kill $(cat workspace/adk_web.pid) 2>/dev/null || true; rm workspace/adk_web.pid; fi', { timeoutMs: 10000 });
-            console.log('📋 ADK web kill result:', killResult.stdout || 'No output');
-          } catch (killError) {
-            console.error('Failed to kill ADK web process:', killError.message);
-          }
-          
-          // Destroy the sandbox
-          if (typeof sbx.destroy === 'function') {
-            await sbx.destroy();
-          } else if (typeof sbx.close === 'function') {
-            await sbx.close();
-          }
-          console.log('✅ Sandbox cleaned up after error');
-        }
-      } catch (cleanupError) {
-        console.error('Error cleaning up sandbox after error:', cleanupError);
-      }
-      
-      // Set CORS headers on error response
-      setCorsHeaders(req, res);
-      
-      return res.status(500).json({
-        error: error instanceof Error ? error.message : 'Error running ADK web command',
-        executionTime: Date.now() - startTime
+      logger.warn('Agent message failed', { sessionId: session.id, error });
+      return res.status(error.status || 500).json({
+        error: error instanceof Error ? error.message : 'Error sending message',
+        code: error.code,
+        events: error.events || []
       });
     }
+  }
+  
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
+  
+  const sendEvent = (event, data) => {
+    if (clientGone) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  try {
+    const result = await sendMessage(session, {
+      message,
+      agent,
+      userId,
+      sessionId,
+      onEvent: (event) => sendEvent(event.type, event)
+    });
+    sendEvent('done', { agent: result.agent, userId: result.userId, sessionId: result.sessionId, reply: result.reply, durationMs: Date.now() - startTime });
   } catch (error) {
-    console.error('\n❌ Sandbox execution error:');
-    console.error('━━━━━━━━━━━━━━━━━━━━');
-    console.error(error);
-    
-    const errorResponse = {
-      error: error instanceof Error ? error.message : 'Unknown error occurred',
-      stack: error instanceof Error ? error.stack : undefined,
-      executionTime: Date.now() - startTime,
-      errorDetails: {
-        name: error instanceof Error ? error.name : 'Unknown',
-        message: error instanceof Error ? error.message : String(error),
-        stack: error instanceof Error ? error.stack : undefined,
-        code: error instanceof Error ? (error.code || 'UNKNOWN') : 'UNKNOWN'
-      }
-    };
-    
-    console.error('\n📈 Error Metadata:');
-    console.error(`• Error Type: ${errorResponse.errorDetails.name}`);
-    console.error(`• Error Code: ${errorResponse.errorDetails.code}`);
-    console.error(`• Execution Time: ${errorResponse.executionTime}ms`);
-    console.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
-    
-    // Set CORS headers on error response
-    setCorsHeaders(req, res);
+    logger.warn('Streaming agent message failed', { sessionId: session.id, error });
+    sendEvent('error', { error: error.message, code: error.code });
+  }
+  
+  res.end();
+});
+
+// Stop the ADK web server and kill the session's sandbox
+app.delete('/api/sessions/:id', async (req, res) => {
+  setCorsHeaders(req, res);
+  
+  if (!getTenantSession(req)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  try {
+    const session = await terminateSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
     
-    return res.status(500).json(errorResponse);
+    logger.info('Session terminated', { sessionId: session.id });
+    res.status(200).json(describeSession(session));
+  } catch (error) {
+    logger.error('Terminating session failed', { sessionId: req.params.id, error });
+    return res.status(500).json({
+      error: error instanceof Error ? error.message : 'Error terminating session'
+    });
   }
 });
 
+// The requesting tenant's quotas and current consumption
+app.get('/api/usage', (req, res) => {
+  setCorsHeaders(req, res);
+  
+  res.status(200).json(getUsage(req.tenantId));
+});
+
+// Names of the stored secrets the tenant can reference in `secretRefs`
+app.get('/api/secrets', (req, res) => {
+  setCorsHeaders(req, res);
+  
+  res.status(200).json({ secrets: listStoredSecretNames(req.tenantId) });
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   // Set CORS headers
@@ -719,10 +863,17 @@ app.get('/api/health', (req, res) => {
   res.status(200).json({ 
     status: 'ok', 
     message: 'Server is running',
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    sandboxProvider: getSandboxProvider().name,
+    warmPool: getWarmPoolStats()
   });
 });
 
+// Prometheus metrics for deploys, pipeline phases and live sandboxes
+app.get('/metrics', authenticateMetrics, (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(renderMetrics());
+});
+
 // Home route with API info
 app.get('/', (req, res) => {
   // Set CORS headers
@@ -733,22 +884,106 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: [
       { method: 'POST', path: '/api/execute', description: 'Execute code in sandbox' },
-      { method: 'GET', path: '/api/health', description: 'Health check endpoint' }
+      { method: 'POST', path: '/api/execute/stream', description: 'Execute code in sandbox, streaming progress as Server-Sent Events' },
+      { method: 'POST', path: '/api/validate', description: 'Run pre-flight checks on agent files without creating a sandbox' },
+      { method: 'POST', path: '/api/evaluate', description: 'Run test cases against an agent and report pass/fail per case' },
+      { method: 'POST', path: '/api/export', description: 'Download agent files as a runnable project with a Dockerfile' },
+      { method: 'POST', path: '/api/jobs', description: 'Start a background deployment job' },
+      { method: 'GET', path: '/api/jobs/:id', description: 'Get a deployment job\'s state, logs and result' },
+      { method: 'GET', path: '/api/runs', description: 'List recorded deploys with their status, timing and inputs hash' },
+      { method: 'GET', path: '/api/runs/:id', description: 'Get a recorded deploy\'s request, phases, dependencies and logs' },
+      { method: 'POST', path: '/api/runs/:id/rerun', description: 'Deploy a recorded run\'s request again' },
+      { method: 'GET', path: '/api/sessions', description: 'List running agent sessions' },
+      { method: 'GET', path: '/api/sessions/:id', description: 'Inspect an agent session' },
+      { method: 'POST', path: '/api/sessions/:id/keepalive', description: 'Extend a running session\'s lifetime' },
+      { method: 'PUT', path: '/api/sessions/:id/files', description: 'Hot-reload agent files into a running session' },
+      { method: 'GET', path: '/api/sessions/:id/accessible-files', description: 'List the files in a running session\'s accessible_files directory' },
+      { method: 'GET', path: '/api/sessions/:id/accessible-files/*', description: 'Download a file from a running session\'s accessible_files directory' },
+      { method: 'POST', path: '/api/sessions/:id/accessible-files', description: 'Upload files into a running session\'s accessible_files directory (multipart)' },
+      { method: 'DELETE', path: '/api/sessions/:id/accessible-files/*', description: 'Delete a file from a running session\'s accessible_files directory' },
+      { method: 'GET', path: '/api/sessions/:id/logs', description: 'Read or tail a running session\'s adk, mcp or pip logs' },
+      { method: 'POST', path: '/api/sessions/:id/messages', description: 'Send a message to a running agent and get its events back' },
+      { method: 'DELETE', path: '/api/sessions/:id', description: 'Terminate an agent session and its sandbox' },
+      { method: 'GET', path: '/api/usage', description: 'Show the tenant\'s quotas and consumption' },
+      { method: 'GET', path: '/api/secrets', description: 'List stored secret names that requests can reference' },
+      { method: 'GET', path: '/api/health', description: 'Health check endpoint' },
+      { method: 'GET', path: '/metrics', description: 'Prometheus metrics for deploys, phases and sandboxes' }
     ],
     note: "This is a Vercel-compatible version with limited functionality. File operations that require local filesystem won't work."
   });
 });
 
+// Turn validation and body parsing failures into structured JSON errors
+app.use((err, req, res, next) => {
+  setCorsHeaders(req, res);
+  
+  if (err instanceof QuotaError) {
+    logger.warn('Tenant over quota', { quota: err.quota, limit: err.limit, path: req.path });
+    res.setHeader('Retry-After', String(err.retryAfterSeconds));
+    return res.status(err.status).json({
+      error: err.message,
+      code: err.code,
+      quota: err.quota,
+      limit: err.limit,
+      retryAfter: err.retryAfterSeconds
+    });
+  }
+  
+  if (err instanceof ValidationError) {
+    logger.info('Invalid request', { path: req.path, details: err.details });
+    return res.status(err.status).json({ error: err.message, details: err.details });
+  }
+  
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Invalid request',
+      details: [{ field: 'body', message: `Request body exceeds the ${err.limit} byte limit` }]
+    });
+  }
+  
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: [{ field: 'body', message: 'Request body is not valid JSON' }]
+    });
+  }
+  
+  logger.error('Unhandled error', { error: err });
+  res.status(500).json({ error: err instanceof Error ? err.message : 'Internal server error' });
+});
+
 // Export for Vercel serverless function
 export default app;
 
 // Start the server if not being imported
-if (process.env.NODE_ENV !== 'vercel') {
-  app.listen(PORT, () => {
-    console.log(`🚀 Server is running on http://localhost:${PORT}`);
-    console.log(`🔓 CORS is enabled with priority for http://localhost:8080`);
-    console.log(`🛡️  Full CORS headers are being set on all responses`);
-    console.log(`🔌 MCP Agent support is enabled with filesystem, github, and time tools`);
-    console.log(`👉 Ready to accept requests from http://localhost:8080`);
+if (process.env.NODE_ENV !== 'vercel' && process.env.NODE_ENV !== 'test') {
+  // Fail fast on malformed settings, an unknown SANDBOX_PROVIDER, missing API keys, malformed secret grants or quotas
+  const config = assertConfigValid();
+  const sandboxProvider = getSandboxProvider();
+  const auth = assertAuthConfigured();
+  assertSecretsConfigured();
+  assertQuotasConfigured();
+  assertLoggingConfigured();
+  
+  startWarmPool({ provision: provisionBaseSandbox });
+  startIdleMonitor();
+  
+  // Don't leave pooled sandboxes running on our bill after shutdown
+  process.on('SIGTERM', async () => {
+    logger.info('SIGTERM received, draining warm pool');
+    stopIdleMonitor();
+    await drainWarmPool();
+    process.exit(0);
+  });
+  
+  app.listen(config.port, () => {
+    logger.info('Server is running', {
+      url: `http://localhost:${config.port}`,
+      profile: config.profile,
+      sandboxProvider: sandboxProvider.name,
+      allowedOrigins: config.cors.origins,
+      authTenants: auth.tenants
+    });
+    if (auth.disabled) logger.warn('API key authentication is disabled');
   });
 } 
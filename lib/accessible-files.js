@@ -0,0 +1,74 @@
+import { logger } from './logger.js';
+
+// The directory MCP filesystem servers work in. It sits next to the agent
+// packages in the workspace, outside any of them. Deploys seed it with the
+// request's `accessibleFiles`, or else with the seed files of its MCP servers
+// (see lib/mcp.js), and a running session's files can be listed, downloaded,
+// uploaded and deleted through the API. Paths are relative to the directory.
+export const ACCESSIBLE_FILES_ROOT = 'accessible_files';
+export const ACCESSIBLE_FILES_DIR = `workspace/${ACCESSIBLE_FILES_ROOT}`;
+
+export const ACCESSIBLE_FILE_LIMITS = {
+  maxSeedFiles: 100,
+  maxSeedBytes: 3 * 1024 * 1024, // Decoded, so base64 seeds still fit the 5 MB JSON body
+  maxUploadBytes: 25 * 1024 * 1024 // Whole multipart body of an upload
+};
+
+// Encodings of an `accessibleFiles` entry given as { content, encoding }
+export const ACCESSIBLE_FILE_ENCODINGS = ['utf8', 'base64'];
+
+// Contents of an `accessibleFiles` entry: a string, or { content, encoding }
+// for binary files
+export const decodeAccessibleFile = (value) => (typeof value === 'string'
+  ? Buffer.from(value, 'utf8')
+  : Buffer.from(value.content, value.encoding || 'utf8'));
+
+// The files a deploy seeds the directory with, as { path: content }. The
+// request's `accessibleFiles` replace the MCP servers' samples.
+export const resolveSeedFiles = ({ accessibleFiles, mcpServers = [] }) => {
+  if (accessibleFiles) {
+    return Object.fromEntries(Object.entries(accessibleFiles).map(([filePath, value]) => [filePath, decodeAccessibleFile(value)]));
+  }
+  return Object.assign({}, ...mcpServers.map(server => server.seedFiles));
+};
+
+const ENTRY_TYPES = { d: 'dir', f: 'file', l: 'symlink' };
+
+// Every file and directory below the directory, as [{ path, type, size }]
+// sorted by path. `size` is only set for files.
+export const listAccessibleFiles = async (sbx) => {
+  // NUL-separated, since file names written by the agent may contain anything
+  const { stdout } = await sbx.commands.run(`find ${ACCESSIBLE_FILES_DIR} -mindepth 1 -printf '%y\\t%s\\t%P\\0' 2>/dev/null || true`);
+  return stdout.split('\0').filter(Boolean)
+    .map(line => {
+      const [type, size, ...rest] = line.split('\t');
+      const entryType = ENTRY_TYPES[type] || 'other';
+      return { path: rest.join('\t'), type: entryType, ...(entryType === 'file' ? { size: Number(size) } : {}) };
+    })
+    .sort((a, b) => a.path.localeCompare(b.path));
+};
+
+// Single-quoted for the shell; file names may contain anything
+const quotePath = (filePath) => `'${filePath.replace(/'/g, `'\\''`)}'`;
+
+// Contents of a file as a Buffer, or null if there is no regular file at the
+// path. Directories and symlinks count as missing.
+export const readAccessibleFile = async (sbx, filePath) => {
+  const target = `${ACCESSIBLE_FILES_DIR}/${filePath}`;
+  const { stdout } = await sbx.commands.run(`find ${quotePath(target)} -maxdepth 0 -type f 2>/dev/null || true`);
+  if (!stdout.trim()) return null;
+  return Buffer.from(await sbx.files.read(target, { format: 'bytes' }));
+};
+
+export const writeAccessibleFile = async (sbx, filePath, content) => {
+  await sbx.files.write(`${ACCESSIBLE_FILES_DIR}/${filePath}`, content);
+  logger.debug('Wrote accessible file', { sandboxId: sbx.sandboxId, file: `${ACCESSIBLE_FILES_ROOT}/${filePath}`, bytes: content.length });
+};
+
+// Delete a file or directory, resolving with false if there is no such path
+export const removeAccessibleFile = async (sbx, filePath) => {
+  const target = `${ACCESSIBLE_FILES_DIR}/${filePath}`;
+  if (!(await sbx.files.exists(target))) return false;
+  await sbx.files.remove(target);
+  return true;
+};
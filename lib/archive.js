@@ -0,0 +1,138 @@
+import { deflateRawSync, gzipSync } from 'zlib';
+
+// Minimal tar.gz and zip writers for project exports. An entry is
+// { path, content, executable? } with a relative, forward-slash path and
+// string or Buffer content. Directories are implied by the paths.
+
+export const ARCHIVE_FORMATS = {
+  'tar.gz': { contentType: 'application/gzip', extension: 'tar.gz' },
+  zip: { contentType: 'application/zip', extension: 'zip' }
+};
+
+const TAR_BLOCK = 512;
+
+const toBuffer = (content) => (Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8'));
+
+// Octal number field, NUL-terminated
+const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+
+const tarHeader = ({ name, size, mode, mtime, type }) => {
+  const header = Buffer.alloc(TAR_BLOCK);
+  header.write(name, 0, 100, 'utf8');
+  header.write(octal(mode, 8), 100, 'ascii');
+  header.write(octal(0, 8), 108, 'ascii'); // uid
+  header.write(octal(0, 8), 116, 'ascii'); // gid
+  header.write(octal(size, 12), 124, 'ascii');
+  header.write(octal(mtime, 12), 136, 'ascii');
+  header.write(' '.repeat(8), 148, 'ascii'); // Checksum counts as spaces while summing
+  header.write(type, 156, 'ascii');
+  header.write('ustar\0', 257, 'ascii');
+  header.write('00', 263, 'ascii');
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(octal(checksum, 7) + ' ', 148, 'ascii');
+  return header;
+};
+
+const padToBlock = (buffer) => Buffer.concat([buffer, Buffer.alloc((TAR_BLOCK - (buffer.length % TAR_BLOCK)) % TAR_BLOCK)]);
+
+// A pax extended header carrying a path too long for the 100-byte name field
+const paxPathRecord = (filePath, mtime) => {
+  const field = ` path=${filePath}\n`;
+  // The record starts with its own length in decimal, which counts itself
+  const size = Buffer.byteLength(field);
+  let length = size + String(size).length;
+  if (String(length).length > String(size).length) length++;
+  const record = Buffer.from(`${length}${field}`, 'utf8');
+  return [tarHeader({ name: 'PaxHeader', size: record.length, mode: 0o644, mtime, type: 'x' }), padToBlock(record)];
+};
+
+export const createTarGz = (entries, { mtime = Math.floor(Date.now() / 1000) } = {}) => {
+  const blocks = entries.flatMap(({ path: filePath, content, executable }) => {
+    const data = toBuffer(content);
+    const long = Buffer.byteLength(filePath) > 100;
+    return [
+      ...(long ? paxPathRecord(filePath, mtime) : []),
+      tarHeader({ name: long ? filePath.slice(0, 100) : filePath, size: data.length, mode: executable ? 0o755 : 0o644, mtime, type: '0' }),
+      padToBlock(data)
+    ];
+  });
+  // Two empty blocks end the archive
+  return gzipSync(Buffer.concat([...blocks, Buffer.alloc(TAR_BLOCK * 2)]));
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  return crc >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time fields of a zip entry
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+export const createZip = (entries, { mtime = Math.floor(Date.now() / 1000) } = {}) => {
+  const { time, date } = dosDateTime(new Date(mtime * 1000));
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { path: filePath, content, executable } of entries) {
+    const name = Buffer.from(filePath, 'utf8');
+    const data = toBuffer(content);
+    const compressed = deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // Version needed: 2.0, for deflate
+    local.writeUInt16LE(0x0800, 6); // Names are UTF-8
+    local.writeUInt16LE(8, 8); // Deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    localParts.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4); // Made by Unix, so the file mode below applies
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(((executable ? 0o100755 : 0o100644) << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+};
+
+export const createArchive = (format, entries, options) =>
+  (format === 'zip' ? createZip(entries, options) : createTarGz(entries, options));
@@ -0,0 +1,86 @@
+import { createHash } from 'crypto';
+import { checkRateLimit } from './quotas.js';
+
+// API-key authentication. Keys are configured as tenant:key pairs, e.g.
+// API_KEYS="acme:k_123,beta:k_456", and sent as `Authorization: Bearer <key>`
+// or `X-API-Key: <key>`.
+
+// Tenant that every request belongs to when AUTH_DISABLED=true
+export const ANONYMOUS_TENANT = 'anonymous';
+
+// Routes anyone can reach without a key
+const PUBLIC_PATHS = ['/health'];
+
+const hashKey = (key) => createHash('sha256').update(key).digest('hex');
+
+export const authDisabled = () => process.env.AUTH_DISABLED === 'true';
+
+// Map of key hashes to tenant IDs. Keys themselves are never kept or logged.
+const loadApiKeys = () => {
+  const keys = new Map();
+  (process.env.API_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry, index) => {
+    const separator = entry.indexOf(':');
+    const tenantId = entry.slice(0, separator);
+    const key = entry.slice(separator + 1);
+    if (separator <= 0 || !key) {
+      throw new Error(`API_KEYS entry ${index + 1} must look like tenant:key`);
+    }
+    keys.set(hashKey(key), tenantId);
+  });
+  return keys;
+};
+
+// Throws unless keys are configured or auth is explicitly disabled, so the
+// server never starts open by accident
+export const assertAuthConfigured = () => {
+  const keys = loadApiKeys();
+  if (!keys.size && !authDisabled()) {
+    throw new Error('No API keys configured: set API_KEYS=tenant:key[,tenant:key...] or AUTH_DISABLED=true');
+  }
+  return { tenants: new Set(keys.values()).size, disabled: authDisabled() };
+};
+
+const readApiKey = (req) => {
+  const authorization = req.headers.authorization || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : req.headers['x-api-key'];
+};
+
+// Express middleware that identifies the tenant as `req.tenantId` and applies
+// its request rate limit
+export const authenticate = (req, res, next) => {
+  if (req.method === 'OPTIONS' || PUBLIC_PATHS.includes(req.path)) return next();
+
+  if (authDisabled()) {
+    req.tenantId = ANONYMOUS_TENANT;
+  } else {
+    const key = readApiKey(req);
+    const tenantId = key && loadApiKeys().get(hashKey(key));
+    if (!tenantId) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: key ? 'Invalid API key' : 'Missing API key' });
+    }
+    req.tenantId = tenantId;
+  }
+
+  try {
+    checkRateLimit(req.tenantId);
+  } catch (error) {
+    return next(error);
+  }
+  next();
+};
+
+// Express middleware for GET /metrics, which sits outside /api. Scrapes are
+// open unless METRICS_TOKEN is set, then they need `Authorization: Bearer <token>`.
+export const authenticateMetrics = (req, res, next) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return next();
+
+  const key = readApiKey(req);
+  if (!key || hashKey(key) !== hashKey(token)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: key ? 'Invalid metrics token' : 'Missing metrics token' });
+  }
+  next();
+};
@@ -0,0 +1,335 @@
+import fs from 'fs';
+
+// Server settings: the HTTP port, the browser origins CORS lets through, the
+// sandbox runtime limits, the warm pool, evaluation timing and where run
+// history is kept. Each environment profile has its own defaults, which a
+// JSON file named by CONFIG_FILE and then environment variables override:
+//   { "cors": { "origins": ["https://*.example.com"] }, "sandbox": { "timeoutMs": 600000 },
+//     "profiles": { "production": { "port": 8080 } } }
+
+// Thrown when the settings are malformed; lists every problem at once
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.code = 'INVALID_CONFIG';
+    this.problems = problems;
+  }
+}
+
+export const CONFIG_PROFILES = ['development', 'test', 'production'];
+
+const PRODUCTION_ORIGINS = [
+  'https://cogentx.dev',
+  'https://agent-flow-builder.vercel.app',
+  'https://agent-flow-builder-api.onrender.com'
+];
+
+const LOCAL_ORIGINS = ['http://localhost:8080', 'http://localhost:3000', 'http://localhost:5173'];
+
+const SANDBOX_DEFAULTS = {
+  timeoutMs: 300000, // Session lifetime unless the launch asks for another one
+  maxLifetimeMs: 3600000, // Cap on requested lifetimes and keep-alive extensions, counted from launch
+  idleTimeoutMs: 180000, // Stop sessions whose ADK server had no traffic this long; 0 disables
+  idleCheckIntervalMs: 30000,
+  adkPort: 8000,
+  startupTimeoutMs: 60000, // start_adk.sh, including its own install fallbacks
+  commandTimeoutMs: 30000, // Short housekeeping commands like `pip list`
+  healthCheckTimeoutMs: 5000, // Probe of the ADK web server after startup
+  installTimeoutMs: 600000, // pip install of the whole requirements.txt
+  packageInstallTimeoutMs: 300000, // Each package when requirements.txt failed and they are retried one by one
+  npmInstallTimeoutMs: 180000, // Each MCP server's npm package
+  mcpHealthCheckTimeoutMs: 60000, // MCP health check, plus the time per server below
+  mcpHealthCheckServerTimeoutMs: 30000,
+  restartTimeoutMs: 60000, // restart_adk.sh after a file reload
+  messageTimeoutMs: 120000, // One agent turn through POST /api/sessions/:id/messages
+  logReadTimeoutMs: 15000, // One read of a session log
+  stopTimeoutMs: 10000, // Stopping the ADK web server before a sandbox is killed
+  preflightTimeoutMs: 10000, // Local Python syntax check, before any sandbox is created
+  pythonVersion: '3.9' // Preferred for the venv, most Google Cloud libraries support it
+};
+
+// Warm pool of ready sandboxes (see lib/pool.js), off unless `size` is set
+const POOL_DEFAULTS = {
+  size: 0,
+  refill: true, // Provision a replacement each time a sandbox is handed out
+  maxIdleMs: 1200000, // Pooled sandboxes waiting longer than this are killed
+  retryDelayMs: 30000, // Back off after a failed provision
+  sweepIntervalMs: 60000
+};
+
+// Timing of POST /api/evaluate (see lib/evaluation.js)
+const EVALUATION_DEFAULTS = {
+  setupTimeoutMs: 600000, // Preparing the sandbox, as long as the slowest pip install may take
+  runnerStartupMs: 60000, // The runner's own startup on top of its cases
+  caseTimeoutSeconds: 120
+};
+
+// Backends of the run store (see lib/runs.js)
+export const RUN_STORES = ['json', 'memory'];
+
+const RUNS_DEFAULTS = {
+  store: 'json',
+  dir: 'data/runs', // One JSON file per run, relative to the working directory
+  maxRuns: 500 // The oldest finished runs are deleted beyond this
+};
+
+const SHARED_DEFAULTS = { port: 3001, sandbox: SANDBOX_DEFAULTS, pool: POOL_DEFAULTS, evaluation: EVALUATION_DEFAULTS };
+
+const PROFILES = {
+  development: { ...SHARED_DEFAULTS, cors: { origins: [...LOCAL_ORIGINS, ...PRODUCTION_ORIGINS] }, runs: RUNS_DEFAULTS },
+  test: { ...SHARED_DEFAULTS, cors: { origins: [...LOCAL_ORIGINS, ...PRODUCTION_ORIGINS] }, runs: { ...RUNS_DEFAULTS, store: 'memory' } },
+  production: { ...SHARED_DEFAULTS, cors: { origins: PRODUCTION_ORIGINS }, runs: RUNS_DEFAULTS }
+};
+
+// Environment variables and the setting each one overrides
+const SANDBOX_ENV = {
+  SANDBOX_TIMEOUT_MS: 'timeoutMs',
+  SANDBOX_MAX_LIFETIME_MS: 'maxLifetimeMs',
+  SANDBOX_IDLE_TIMEOUT_MS: 'idleTimeoutMs',
+  SANDBOX_IDLE_CHECK_INTERVAL_MS: 'idleCheckIntervalMs',
+  ADK_PORT: 'adkPort',
+  ADK_STARTUP_TIMEOUT_MS: 'startupTimeoutMs',
+  SANDBOX_COMMAND_TIMEOUT_MS: 'commandTimeoutMs',
+  HEALTH_CHECK_TIMEOUT_MS: 'healthCheckTimeoutMs',
+  PIP_INSTALL_TIMEOUT_MS: 'installTimeoutMs',
+  PIP_PACKAGE_INSTALL_TIMEOUT_MS: 'packageInstallTimeoutMs',
+  NPM_INSTALL_TIMEOUT_MS: 'npmInstallTimeoutMs',
+  MCP_HEALTH_CHECK_TIMEOUT_MS: 'mcpHealthCheckTimeoutMs',
+  MCP_HEALTH_CHECK_SERVER_TIMEOUT_MS: 'mcpHealthCheckServerTimeoutMs',
+  ADK_RESTART_TIMEOUT_MS: 'restartTimeoutMs',
+  MESSAGE_TIMEOUT_MS: 'messageTimeoutMs',
+  LOG_READ_TIMEOUT_MS: 'logReadTimeoutMs',
+  ADK_STOP_TIMEOUT_MS: 'stopTimeoutMs',
+  PREFLIGHT_TIMEOUT_MS: 'preflightTimeoutMs',
+  SANDBOX_PYTHON_VERSION: 'pythonVersion'
+};
+
+const POOL_ENV = {
+  WARM_POOL_SIZE: 'size',
+  WARM_POOL_REFILL: 'refill',
+  WARM_POOL_MAX_IDLE_MS: 'maxIdleMs',
+  WARM_POOL_RETRY_DELAY_MS: 'retryDelayMs',
+  WARM_POOL_SWEEP_INTERVAL_MS: 'sweepIntervalMs'
+};
+
+const EVALUATION_ENV = {
+  EVAL_SETUP_TIMEOUT_MS: 'setupTimeoutMs',
+  EVAL_RUNNER_STARTUP_MS: 'runnerStartupMs',
+  EVAL_CASE_TIMEOUT_SECONDS: 'caseTimeoutSeconds'
+};
+
+const RUNS_ENV = {
+  RUN_STORE: 'store',
+  RUN_STORE_DIR: 'dir',
+  RUN_STORE_MAX_RUNS: 'maxRuns'
+};
+
+const SETTINGS = {
+  port: 'number',
+  cors: { origins: 'list' },
+  sandbox: Object.fromEntries(Object.keys(SANDBOX_DEFAULTS).map(name => [name, name === 'pythonVersion' ? 'string' : 'number'])),
+  pool: { size: 'number', refill: 'boolean', maxIdleMs: 'number', retryDelayMs: 'number', sweepIntervalMs: 'number' },
+  evaluation: Object.fromEntries(Object.keys(EVALUATION_DEFAULTS).map(name => [name, 'number'])),
+  runs: { store: 'string', dir: 'string', maxRuns: 'number' }
+};
+
+// APP_ENV picks the profile; without it NODE_ENV does, and the Vercel build counts as production
+const resolveProfile = (env) => {
+  if (env.APP_ENV) return env.APP_ENV;
+  if (env.NODE_ENV === 'production' || env.NODE_ENV === 'vercel') return 'production';
+  if (env.NODE_ENV === 'test') return 'test';
+  return 'development';
+};
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const readConfigFile = (file, problems) => {
+  try {
+    const settings = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (isObject(settings)) return settings;
+    problems.push(`CONFIG_FILE ${file} must contain a JSON object`);
+  } catch (error) {
+    problems.push(`CONFIG_FILE ${file} could not be read: ${error.message}`);
+  }
+  return {};
+};
+
+// Problems with the shape of one file layer: unknown settings, e.g. typos
+// like "sandbox.timeout", and sections that aren't objects
+const checkLayer = (layer, schema, prefix) => {
+  if (!isObject(layer)) return [`${prefix ? prefix.slice(0, -1) : 'CONFIG_FILE'} must be an object`];
+  return Object.entries(layer).flatMap(([key, value]) => {
+    if (!(key in schema)) return [`${prefix}${key} is not a known setting`];
+    return isObject(schema[key]) ? checkLayer(value, schema[key], `${prefix}${key}.`) : [];
+  });
+};
+
+const mergeSettings = (base, layer) => ({
+  port: layer.port ?? base.port,
+  cors: { origins: layer.cors?.origins ?? base.cors.origins },
+  sandbox: { ...base.sandbox, ...layer.sandbox },
+  pool: { ...base.pool, ...layer.pool },
+  evaluation: { ...base.evaluation, ...layer.evaluation },
+  runs: { ...base.runs, ...layer.runs }
+});
+
+const parseNumber = (value) => (/^\d+$/.test(value.trim()) ? Number(value) : value);
+
+const BOOLEAN_VALUES = { true: true, 1: true, yes: true, on: true, false: false, 0: false, no: false, off: false };
+
+const parseBoolean = (value) => BOOLEAN_VALUES[value.trim().toLowerCase()] ?? value;
+
+// The settings a map like SANDBOX_ENV picks out of `env`, parsed by their type in `schema`
+const sectionFromEnv = (env, names, schema) => Object.fromEntries(Object.entries(names)
+  .filter(([name]) => env[name] !== undefined)
+  .map(([name, setting]) => {
+    if (schema[setting] === 'number') return [setting, parseNumber(env[name])];
+    return [setting, schema[setting] === 'boolean' ? parseBoolean(env[name]) : env[name]];
+  }));
+
+// Settings taken from environment variables
+const envSettings = (env) => ({
+  port: env.PORT === undefined ? undefined : parseNumber(env.PORT),
+  sandbox: sectionFromEnv(env, SANDBOX_ENV, SETTINGS.sandbox),
+  pool: sectionFromEnv(env, POOL_ENV, SETTINGS.pool),
+  evaluation: sectionFromEnv(env, EVALUATION_ENV, SETTINGS.evaluation),
+  runs: sectionFromEnv(env, RUNS_ENV, SETTINGS.runs)
+});
+
+const HOST_LABEL = /^[a-z0-9*]([a-z0-9*-]*[a-z0-9*])?$/;
+
+// Problem with an origin pattern, or null when it's usable. `*` stands for
+// part of a host label, so https://*.example.com matches preview deploys like
+// https://pr-12.example.com but not https://a.b.example.com.
+const checkOriginPattern = (pattern) => {
+  if (typeof pattern !== 'string') return 'must be a string';
+  if (pattern === '*') return 'must not be "*", credentialed requests need explicit origins';
+  const match = pattern.match(/^(https?):\/\/([^/:]+)(:\d+)?$/);
+  if (!match) return 'must look like https://host or http://host:port, without a path';
+  const labels = match[2].split('.');
+  if (!labels.every(label => HOST_LABEL.test(label))) return 'has an invalid host name';
+  if (labels.slice(-2).some(label => label.includes('*'))) {
+    return 'may only use * below the registrable domain, e.g. https://*.example.com';
+  }
+  return null;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Regex matching the origins a pattern allows
+export const compileOriginPattern = (pattern) =>
+  new RegExp(`^${pattern.split('*').map(escapeRegExp).join('[a-z0-9-]+')}$`, 'i');
+
+const validate = (config, problems) => {
+  if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) {
+    problems.push('port must be an integer between 1 and 65535');
+  }
+  if (!Array.isArray(config.cors.origins)) {
+    problems.push('cors.origins must be a list of origins');
+  } else {
+    config.cors.origins.forEach(origin => {
+      const problem = checkOriginPattern(origin);
+      if (problem) problems.push(`cors.origins "${origin}" ${problem}`);
+    });
+  }
+
+  const { sandbox } = config;
+  Object.entries(SETTINGS.sandbox).filter(([, type]) => type === 'number').forEach(([name]) => {
+    if (name === 'idleTimeoutMs') {
+      if (!Number.isInteger(sandbox[name]) || sandbox[name] < 0) problems.push(`sandbox.${name} must be a non-negative integer`);
+    } else if (!Number.isInteger(sandbox[name]) || sandbox[name] <= 0) {
+      problems.push(`sandbox.${name} must be a positive integer`);
+    }
+  });
+  if (Number.isInteger(sandbox.adkPort) && sandbox.adkPort > 65535) {
+    problems.push('sandbox.adkPort must be at most 65535');
+  }
+  if (sandbox.timeoutMs > sandbox.maxLifetimeMs) {
+    problems.push(`sandbox.timeoutMs must not exceed sandbox.maxLifetimeMs (${sandbox.maxLifetimeMs})`);
+  }
+  ['startupTimeoutMs', 'commandTimeoutMs', 'healthCheckTimeoutMs', 'restartTimeoutMs', 'logReadTimeoutMs', 'stopTimeoutMs'].forEach(name => {
+    if (sandbox[name] > sandbox.timeoutMs) {
+      problems.push(`sandbox.${name} must not exceed sandbox.timeoutMs (${sandbox.timeoutMs})`);
+    }
+  });
+  if (typeof sandbox.pythonVersion !== 'string' || !/^3\.\d{1,2}$/.test(sandbox.pythonVersion)) {
+    problems.push('sandbox.pythonVersion must look like 3.11');
+  }
+
+  const { pool } = config;
+  if (!Number.isInteger(pool.size) || pool.size < 0) {
+    problems.push('pool.size must be a non-negative integer');
+  }
+  if (typeof pool.refill !== 'boolean') {
+    problems.push('pool.refill must be true or false');
+  }
+  ['maxIdleMs', 'retryDelayMs', 'sweepIntervalMs'].forEach(name => {
+    if (!Number.isInteger(pool[name]) || pool[name] <= 0) problems.push(`pool.${name} must be a positive integer`);
+  });
+
+  // How many test cases fit in sandbox.maxLifetimeMs follows from these (see lib/evaluation.js)
+  const { evaluation } = config;
+  Object.keys(SETTINGS.evaluation).forEach(name => {
+    if (!Number.isInteger(evaluation[name]) || evaluation[name] <= 0) problems.push(`evaluation.${name} must be a positive integer`);
+  });
+
+  const { runs } = config;
+  if (!RUN_STORES.includes(runs.store)) {
+    problems.push(`runs.store must be one of ${RUN_STORES.join(', ')}`);
+  }
+  if (typeof runs.dir !== 'string' || !runs.dir.trim()) {
+    problems.push('runs.dir must be a directory path');
+  }
+  if (!Number.isInteger(runs.maxRuns) || runs.maxRuns <= 0) {
+    problems.push('runs.maxRuns must be a positive integer');
+  }
+};
+
+// Build and validate the settings from `env`. Throws a ConfigError listing
+// every problem.
+export const loadConfig = (env = process.env) => {
+  const problems = [];
+  const profile = resolveProfile(env);
+  if (!CONFIG_PROFILES.includes(profile)) {
+    throw new ConfigError([`Unknown APP_ENV "${profile}", use one of ${CONFIG_PROFILES.join(', ')}`]);
+  }
+
+  const file = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE, problems) : {};
+  const { profiles = {}, ...fileSettings } = file;
+  const fileProfile = profiles[profile] || {};
+  Object.keys(profiles).filter(name => !CONFIG_PROFILES.includes(name))
+    .forEach(name => problems.push(`profiles.${name} is not a profile, use one of ${CONFIG_PROFILES.join(', ')}`));
+  problems.push(...checkLayer(fileSettings, SETTINGS, ''), ...checkLayer(fileProfile, SETTINGS, `profiles.${profile}.`));
+  if (problems.length) throw new ConfigError(problems);
+
+  const config = [fileSettings, fileProfile, envSettings(env)].reduce(mergeSettings, PROFILES[profile]);
+  // CORS_ORIGINS adds origins rather than replacing the profile's
+  const extraOrigins = (env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+  if (Array.isArray(config.cors.origins)) config.cors.origins = [...config.cors.origins, ...extraOrigins];
+
+  validate(config, problems);
+  if (problems.length) throw new ConfigError(problems);
+
+  return { profile, ...config };
+};
+
+let current = null;
+let originMatchers = [];
+
+// The server's settings, loaded from process.env on first use
+export const getConfig = () => {
+  if (!current) {
+    current = loadConfig();
+    originMatchers = current.cors.origins.map(compileOriginPattern);
+  }
+  return current;
+};
+
+// Throws on malformed settings, so the server can refuse to start
+export const assertConfigValid = () => getConfig();
+
+export const isOriginAllowed = (origin) => {
+  getConfig();
+  return originMatchers.some(matcher => matcher.test(origin));
+};
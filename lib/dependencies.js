@@ -0,0 +1,167 @@
+// Python dependencies for an agent sandbox: a base set every agent gets,
+// merged with what the request asks for through `files["requirements.txt"]`,
+// `files["pyproject.toml"]` (or those files of any package in `agents`) or
+// the `dependencies` field.
+
+// Installed into every sandbox
+export const BASE_REQUIREMENTS = ['google-adk', 'python-dotenv', 'mem0', 'langfuse', 'memzero', 'm0'];
+
+// Added for agents that use MCP tools
+export const MCP_REQUIREMENTS = ['mcp', 'aiohttp', 'anyio', 'pydantic', 'websockets', 'httpx-sse'];
+
+// Packages that would break the sandbox's venv tooling. PIP_BLOCKLIST adds more, comma-separated.
+const DEFAULT_BLOCKLIST = ['pip', 'setuptools', 'wheel', 'virtualenv'];
+
+export const MAX_REQUESTED_DEPENDENCIES = 50;
+
+// name[extras] followed by version specifiers and an optional environment
+// marker. Only spaces and tabs separate the parts: a line break would start
+// another line of requirements.txt.
+const REQUIREMENT_PATTERN = /^([A-Za-z0-9](?:[A-Za-z0-9._-]*[A-Za-z0-9])?)(\[[A-Za-z0-9._, \t-]*\])?[ \t]*([<>=!~][<>=!~]?[ \t]*[A-Za-z0-9.*+!_-]+(?:[ \t]*,[ \t]*[<>=!~][<>=!~]?[ \t]*[A-Za-z0-9.*+!_-]+)*)?[ \t]*(;[ \t]*[A-Za-z0-9_.<>=!~ \t"]+)?$/;
+
+// Thrown when pip cannot install the manifest. `dependencies` lists the
+// outcome for every package, so callers can see which ones failed.
+export class DependencyInstallError extends Error {
+  constructor(dependencies) {
+    const failed = dependencies.filter(dependency => dependency.status === 'failed');
+    super(`Failed to install ${failed.map(dependency => dependency.name).join(', ') || 'dependencies'}`);
+    this.name = 'DependencyInstallError';
+    this.code = 'DEPENDENCY_INSTALL_FAILED';
+    // Bad packages in the request are the caller's problem; a broken base set is ours
+    this.status = failed.length && failed.every(dependency => dependency.source === 'request') ? 422 : 500;
+    this.dependencies = dependencies;
+  }
+}
+
+// PEP 503 normalized project name
+export const normalizePackageName = (name) => name.toLowerCase().replace(/[-_.]+/g, '-');
+
+const blocklist = () => new Set([
+  ...DEFAULT_BLOCKLIST,
+  ...(process.env.PIP_BLOCKLIST || '').split(',').map(name => name.trim()).filter(Boolean)
+].map(normalizePackageName));
+
+// Parse one requirement string. Returns { name, spec } or { error }.
+export const parseRequirement = (text) => {
+  const requirement = text.trim();
+  if (requirement.startsWith('-')) {
+    return { error: `pip options are not allowed: ${requirement.split(/\s+/)[0]}` };
+  }
+  if (/(^|\s)@|:\/\//.test(requirement) || requirement.includes('/')) {
+    return { error: 'Direct URL and path references are not allowed' };
+  }
+
+  const match = requirement.match(REQUIREMENT_PATTERN);
+  if (!match) {
+    return { error: `Not a valid requirement: ${requirement}` };
+  }
+
+  const name = normalizePackageName(match[1]);
+  if (blocklist().has(name)) {
+    return { error: `Package ${name} is not allowed` };
+  }
+  return { name, spec: requirement };
+};
+
+// Requirement lines of a requirements.txt, with their line numbers
+const readRequirementsTxt = (content) => content.split('\n')
+  .map((line, index) => ({ text: line.replace(/(^|\s)#.*$/, '').trim(), line: index + 1 }))
+  .filter(({ text }) => text);
+
+// Requirement strings of a pyproject.toml's [project] dependencies array,
+// with their line numbers
+const readPyprojectDependencies = (content) => {
+  const projectStart = content.search(/^\[project\]\s*$/m);
+  if (projectStart === -1) return [];
+  const nextTable = content.slice(projectStart + 1).search(/^\[/m);
+  const project = content.slice(projectStart, nextTable === -1 ? undefined : projectStart + 1 + nextTable);
+
+  const array = project.match(/^dependencies\s*=\s*\[/m);
+  if (!array) return [];
+
+  // Read quoted strings (and skip comments) until the closing bracket
+  const item = /\s*(?:#[^\n]*|(["'])(.*?)\1\s*,?)/y;
+  item.lastIndex = array.index + array[0].length;
+  const entries = [];
+  let match;
+  while ((match = item.exec(project))) {
+    if (match[2] === undefined) continue;
+    const offset = projectStart + match.index + match[0].indexOf(match[1]);
+    entries.push({ text: match[2].trim(), line: content.slice(0, offset).split('\n').length });
+  }
+  return entries;
+};
+
+// Every dependency the request asks for, as { name, spec, field } plus
+// { field, message } problems for the ones that aren't acceptable
+export const collectRequestedDependencies = ({ files = {}, agents, dependencies }) => {
+  const entries = [];
+
+  const packages = agents
+    ? Object.entries(agents).map(([name, packageFiles]) => [`agents[${JSON.stringify(name)}]`, packageFiles])
+    : [['files', files]];
+  for (const [field, packageFiles] of packages) {
+    if (typeof packageFiles['requirements.txt'] === 'string') {
+      readRequirementsTxt(packageFiles['requirements.txt']).forEach(({ text, line }) =>
+        entries.push({ text, field: `${field}["requirements.txt"] line ${line}` }));
+    }
+    if (typeof packageFiles['pyproject.toml'] === 'string') {
+      readPyprojectDependencies(packageFiles['pyproject.toml']).forEach(({ text, line }) =>
+        entries.push({ text, field: `${field}["pyproject.toml"] line ${line}` }));
+    }
+  }
+  if (Array.isArray(dependencies)) {
+    dependencies.forEach((text, index) => entries.push({ text, field: `dependencies[${index}]` }));
+  }
+
+  const requested = [];
+  const problems = [];
+
+  if (dependencies !== undefined && !Array.isArray(dependencies)) {
+    problems.push({ field: 'dependencies', message: 'Must be an array of requirement strings' });
+  }
+  if (entries.length > MAX_REQUESTED_DEPENDENCIES) {
+    problems.push({ field: 'dependencies', message: `At most ${MAX_REQUESTED_DEPENDENCIES} dependencies are allowed, got ${entries.length}` });
+  }
+
+  for (const { text, field } of entries) {
+    if (typeof text !== 'string') {
+      problems.push({ field, message: 'Must be a requirement string' });
+      continue;
+    }
+    const parsed = parseRequirement(text);
+    if (parsed.error) {
+      problems.push({ field, message: parsed.error });
+    } else {
+      requested.push({ ...parsed, field });
+    }
+  }
+
+  return { requested, problems };
+};
+
+// Merge the base set with the requested dependencies. A requested package
+// replaces the base entry of the same name, so callers can pin versions.
+// Returns [{ name, spec, source }] where source is base, mcp or request.
+export const buildDependencyManifest = ({ files, agents, dependencies, isMcpAgent }) => {
+  const manifest = new Map();
+  const add = (spec, source) => {
+    const { name } = parseRequirement(spec);
+    manifest.set(name, { name, spec, source });
+  };
+
+  BASE_REQUIREMENTS.forEach(spec => add(spec, 'base'));
+  if (isMcpAgent) MCP_REQUIREMENTS.forEach(spec => add(spec, 'mcp'));
+  collectRequestedDependencies({ files, agents, dependencies }).requested.forEach(({ spec }) => add(spec, 'request'));
+
+  return [...manifest.values()];
+};
+
+// requirements.txt contents for a manifest
+export const buildRequirementsTxt = (manifest) => manifest.map(({ spec }) => spec).join('\n') + '\n';
+
+// The last ERROR lines of pip output, which say why an install failed
+export const summarizePipError = (output) => {
+  const errors = String(output || '').split('\n').filter(line => line.startsWith('ERROR:'));
+  return (errors.length ? errors.slice(-2) : String(output || '').trim().split('\n').slice(-2)).join('\n');
+};
@@ -0,0 +1,183 @@
+import { randomUUID } from 'crypto';
+import { ANONYMOUS_TENANT } from './auth.js';
+import { getConfig } from './config.js';
+import { logger } from './logger.js';
+import { extractReply, normalizeAdkEvent } from './messages.js';
+import { prepareAgent } from './pipeline.js';
+import { trackSessionEnd, trackSessionStart } from './quotas.js';
+import { redactDeep } from './secrets.js';
+import { destroySandbox } from './sessions.js';
+import { EVAL_RUNNER_PY } from './templates.js';
+
+// Batch evaluation: run test cases through an agent's root_agent in one
+// sandbox and grade the results. A test case looks like
+//   { name?, input, expect: { contains?, toolCalls? }, maxTurns? }
+// `contains` lists substrings the final reply must include (case-insensitive).
+// `toolCalls` lists { name, args? } calls the agent must make; `args` only
+// needs to match the keys it lists.
+
+// Timeouts are the `evaluation` settings in lib/config.js
+export const EVALUATION_LIMITS = {
+  maxTestCases: 25,
+  maxTurns: 25,
+  defaultMaxTurns: 10
+};
+
+// Time the runner gets for `caseCount` cases
+const runnerTimeoutMs = (caseCount) => {
+  const { runnerStartupMs, caseTimeoutSeconds } = getConfig().evaluation;
+  return runnerStartupMs + caseCount * caseTimeoutSeconds * 1000;
+};
+
+// Most cases one evaluation can take: the sandbox has to outlive the setup
+// and the runner, and can't live longer than sandbox.maxLifetimeMs
+export const maxEvaluationCases = () => {
+  const { maxLifetimeMs } = getConfig().sandbox;
+  const { setupTimeoutMs, caseTimeoutSeconds } = getConfig().evaluation;
+  const fitting = Math.floor((maxLifetimeMs - setupTimeoutMs - runnerTimeoutMs(0)) / (caseTimeoutSeconds * 1000));
+  return Math.max(0, Math.min(EVALUATION_LIMITS.maxTestCases, fitting));
+};
+
+const RESULT_PREFIX = 'EVAL_RESULT ';
+
+const sameValue = (actual, expected) => JSON.stringify(actual) === JSON.stringify(expected);
+
+const matchesToolCall = (event, expected) => event.type === 'tool_call'
+  && event.name === expected.name
+  && Object.entries(expected.args || {}).every(([key, value]) => sameValue(event.args?.[key], value));
+
+// Check one case's events against its expectations. Returns
+// { reply, passed, assertions: [{ type, expected, passed }] }.
+export const gradeCase = (testCase, { events, error, maxTurnsExceeded }) => {
+  const reply = extractReply(events);
+  const { contains = [], toolCalls = [] } = testCase.expect;
+
+  const assertions = [
+    ...contains.map(text => ({
+      type: 'contains',
+      expected: text,
+      passed: reply.toLowerCase().includes(text.toLowerCase())
+    })),
+    ...toolCalls.map(call => ({
+      type: 'tool_call',
+      expected: call,
+      passed: events.some(event => matchesToolCall(event, call))
+    }))
+  ];
+  if (maxTurnsExceeded) {
+    assertions.push({ type: 'max_turns', expected: testCase.maxTurns, passed: false });
+  }
+
+  return { reply, passed: !error && assertions.every(assertion => assertion.passed), assertions };
+};
+
+// Results printed by the runner script, keyed by case index. A result line
+// that isn't valid JSON becomes an error of its case rather than of the whole
+// evaluation.
+const readRunnerResults = (stdout) => {
+  const results = new Map();
+  String(stdout || '').split('\n').filter(line => line.startsWith(RESULT_PREFIX)).forEach(line => {
+    const payload = line.slice(RESULT_PREFIX.length);
+    try {
+      const result = JSON.parse(payload);
+      results.set(result.index, { ...result, events: Array.isArray(result.events) ? result.events : [] });
+    } catch (error) {
+      logger.warn('Malformed evaluation runner output', { error: error.message });
+      const index = payload.match(/"index":\s*(\d+)/)?.[1];
+      if (index !== undefined) {
+        results.set(Number(index), { events: [], turns: 0, maxTurnsExceeded: false, latencyMs: null, error: `Malformed runner output: ${error.message}` });
+      }
+    }
+  });
+  return results;
+};
+
+// Deploy the agent into a sandbox without starting `adk web`, run every test
+// case and kill the sandbox. Takes deployAgent's options plus `testCases` and,
+// for multi-agent projects, the `agent` package to test (the first one by
+// default). Resolves with the report; deploy failures are thrown like deployAgent's.
+// Unlike deployAgent it records no run in the run history.
+export const evaluateAgent = async ({ testCases, agent: agentName, tenantId = ANONYMOUS_TENANT, ...deployOptions }) => {
+  const startTime = Date.now();
+  const evaluationId = randomUUID();
+  const cases = testCases.map((testCase, index) => ({
+    name: testCase.name || `case ${index + 1}`,
+    input: testCase.input,
+    expect: testCase.expect,
+    maxTurns: testCase.maxTurns || EVALUATION_LIMITS.defaultMaxTurns
+  }));
+
+  // The sandbox has to last through the setup and every case
+  const timeoutMs = runnerTimeoutMs(cases.length);
+  const sandboxTimeoutMs = Math.min(getConfig().evaluation.setupTimeoutMs + timeoutMs, getConfig().sandbox.maxLifetimeMs);
+  const agent = await prepareAgent({ ...deployOptions, tenantId, timeoutMs: sandboxTimeoutMs });
+  const { sbx, redact } = agent;
+  const appName = agentName || Object.keys(agent.packages)[0];
+
+  // Count the sandbox against the tenant's quotas while the cases run
+  trackSessionStart(tenantId, evaluationId, { startedAt: startTime, expiresAt: startTime + sandboxTimeoutMs });
+
+  try {
+    logger.info('Running test cases', { evaluationId, agent: appName, testCases: cases.length });
+    await sbx.files.write('workspace/eval_cases.json', JSON.stringify({
+      cases: cases.map(({ input, maxTurns }) => ({ input, maxTurns })),
+      caseTimeoutSeconds: getConfig().evaluation.caseTimeoutSeconds
+    }));
+    await sbx.files.write('workspace/eval_runner.py', EVAL_RUNNER_PY);
+
+    let stdout;
+    let runnerError = null;
+    try {
+      ({ stdout } = await sbx.commands.run(
+        `cd workspace && source venv/bin/activate && export PYTHONPATH=$(pwd):$PYTHONPATH && python3 eval_runner.py eval_cases.json ${appName}`,
+        { timeoutMs, envs: agent.secretEnv }
+      ));
+    } catch (error) {
+      // Cases that finished before the runner died still count
+      stdout = error.stdout;
+      runnerError = String(error.stderr || error.message).trim().split('\n').slice(-3).join('\n');
+    }
+    const results = readRunnerResults(stdout);
+
+    const report = cases.map((testCase, index) => {
+      const result = results.get(index) || { events: [], turns: 0, maxTurnsExceeded: false, latencyMs: null, error: `Runner did not finish this case: ${runnerError || 'no output'}` };
+      const transcript = result.events.flatMap(normalizeAdkEvent);
+      const { reply, passed, assertions } = gradeCase(testCase, { ...result, events: transcript });
+
+      logger.info('Test case finished', { evaluationId, testCase: testCase.name, passed, latencyMs: result.latencyMs });
+      return redactDeep({
+        name: testCase.name,
+        input: testCase.input,
+        passed,
+        reply,
+        assertions,
+        error: result.error,
+        latencyMs: result.latencyMs,
+        turns: result.turns,
+        transcript
+      }, redact);
+    });
+
+    const passed = report.filter(testCase => testCase.passed).length;
+    logger.info('Evaluation finished', { evaluationId, passed, total: report.length });
+
+    return {
+      evaluationId,
+      agent: appName,
+      passed,
+      failed: report.length - passed,
+      total: report.length,
+      cases: report,
+      dependencies: agent.dependencies,
+      mcpServers: agent.mcpServers,
+      // root_agent fell back to the agent without MCP tools
+      degraded: Boolean(agent.mcpImportError),
+      importError: agent.mcpImportError && redact(agent.mcpImportError),
+      durationMs: Date.now() - startTime
+    };
+  } finally {
+    agent.stopTracking();
+    trackSessionEnd(tenantId, evaluationId);
+    await destroySandbox(sbx).catch(error => logger.error('Cleaning up evaluation sandbox failed', { evaluationId, error }));
+  }
+};
@@ -0,0 +1,90 @@
+import { ACCESSIBLE_FILES_ROOT, resolveSeedFiles } from './accessible-files.js';
+import { getConfig } from './config.js';
+import { buildDependencyManifest, buildRequirementsTxt } from './dependencies.js';
+import { DEFAULT_FALLBACK_POLICY, findMcpSecretReferences, resolveMcpServers } from './mcp.js';
+import { projectFiles, resolveAgentPackages } from './project.js';
+import { findDeclaredSecrets } from './secrets.js';
+import {
+  CHECK_PORT_PY,
+  DOCKERIGNORE,
+  INIT_PY,
+  MCP_STDERR_HOOK_PY,
+  buildBundleReadme,
+  buildDockerfile,
+  buildEnvFile,
+  buildFallbackAgent,
+  buildRestartScript,
+  buildStartScript
+} from './templates.js';
+
+// Project bundles: the workspace a deploy builds in its sandbox, as files a
+// user can download and run on their own machine or cloud. Secret values
+// never make it into a bundle; .env.example lists the names with empty values.
+
+// Top-level directory of every bundle, and the archive's file name
+export const EXPORT_ROOT = 'agent-project';
+
+// Build the bundle for a deploy request's `files` or `agents`. Takes the
+// deploy options that shape the workspace and returns
+// { entries, agents, secrets }, where `entries` are archive entries (see
+// lib/archive.js) under EXPORT_ROOT and `secrets` the names in .env.example.
+export const buildProjectBundle = ({
+  files,
+  agents,
+  declaredSecrets = [],
+  dependencies,
+  mcpServers: requestedMcpServers,
+  fallbackPolicy = DEFAULT_FALLBACK_POLICY,
+  accessibleFiles
+}) => {
+  const packages = resolveAgentPackages({ files, agents });
+  const mcpServers = resolveMcpServers({ files, agents, mcpServers: requestedMcpServers });
+  const isMcpAgent = mcpServers.length > 0;
+  const manifest = buildDependencyManifest({ files, agents, dependencies, isMcpAgent });
+  const secrets = [...new Set([
+    ...findDeclaredSecrets(projectFiles(packages)),
+    ...declaredSecrets,
+    ...findMcpSecretReferences(mcpServers)
+  ])];
+  const { adkPort, pythonVersion } = getConfig().sandbox;
+
+  const workspace = {};
+  const fallbackAgent = buildFallbackAgent(fallbackPolicy);
+  for (const [name, packageFiles] of Object.entries(packages)) {
+    Object.entries(packageFiles).forEach(([filename, content]) => {
+      workspace[`${name}/${filename}`] = content;
+    });
+    if (isMcpAgent && fallbackAgent) workspace[`${name}/agent_fallback.py`] = fallbackAgent;
+    workspace[`${name}/__init__.py`] = INIT_PY;
+  }
+  Object.entries(resolveSeedFiles({ accessibleFiles, mcpServers })).forEach(([filePath, content]) => {
+    workspace[`${ACCESSIBLE_FILES_ROOT}/${filePath}`] = content;
+  });
+
+  Object.assign(workspace, {
+    'requirements.txt': buildRequirementsTxt(manifest),
+    '.env.example': buildEnvFile(Object.fromEntries(secrets.map(name => [name, '']))),
+    'check_port.py': CHECK_PORT_PY,
+    ...(isMcpAgent ? { 'sitecustomize.py': MCP_STDERR_HOOK_PY } : {}),
+    'start_adk.sh': buildStartScript({ fallbackPolicy }),
+    'restart_adk.sh': buildRestartScript({ fallbackPolicy }),
+    'Dockerfile': buildDockerfile({
+      pythonVersion,
+      adkPort,
+      npmPackages: mcpServers.map(server => server.package).filter(Boolean)
+    }),
+    '.dockerignore': DOCKERIGNORE,
+    'README.md': buildBundleReadme({ agents: Object.keys(packages), secrets, adkPort, pythonVersion, usesMcp: isMcpAgent })
+  });
+
+  const executables = ['start_adk.sh', 'restart_adk.sh'];
+  return {
+    entries: Object.entries(workspace).map(([filePath, content]) => ({
+      path: `${EXPORT_ROOT}/${filePath}`,
+      content,
+      executable: executables.includes(filePath)
+    })),
+    agents: Object.keys(packages),
+    secrets
+  };
+};
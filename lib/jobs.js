@@ -0,0 +1,108 @@
+import { randomUUID } from 'crypto';
+
+// Background deployment jobs, so clients don't have to hold a connection
+// open for the whole sandbox bootstrap. Jobs live in memory only.
+const jobs = new Map();
+
+const MAX_JOB_LOGS = 2000;
+const JOB_RETENTION_MS = 60 * 60 * 1000; // Forget finished jobs after an hour
+
+export const JOB_STATES = ['queued', 'provisioning', 'installing', 'starting', 'running', 'failed'];
+
+// Which job state each deploy pipeline phase belongs to
+const PHASE_STATES = {
+  sandbox: 'provisioning',
+  files: 'provisioning',
+  venv: 'installing',
+  install: 'installing',
+  mcp_check: 'installing',
+  mcp_servers: 'installing',
+  config: 'starting',
+  startup: 'starting'
+};
+
+const transition = (job, state) => {
+  if (job.state === state) return;
+  const at = new Date().toISOString();
+  job.state = state;
+  job.updatedAt = at;
+  job.transitions.push({ state, at });
+};
+
+const recordEvent = (job, event) => {
+  if (event.type === 'phase_start') {
+    job.phase = event.phase;
+    if (PHASE_STATES[event.phase]) transition(job, PHASE_STATES[event.phase]);
+  }
+
+  job.logs.push(event);
+  if (job.logs.length > MAX_JOB_LOGS) {
+    job.logs.shift();
+    job.droppedLogs++;
+  }
+};
+
+// Public view of a job. `logsSince` skips log entries the client already has.
+export const describeJob = (job, { logsSince = 0 } = {}) => {
+  const firstIndex = job.droppedLogs;
+  const start = Math.max(logsSince - firstIndex, 0);
+  return {
+    id: job.id,
+    state: job.state,
+    phase: job.phase,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    transitions: job.transitions,
+    logs: job.logs.slice(start),
+    logsSince: firstIndex + start,
+    nextLogIndex: firstIndex + job.logs.length,
+    result: job.result,
+    error: job.error,
+    diagnostics: job.diagnostics,
+    dependencies: job.dependencies,
+    runId: job.runId
+  };
+};
+
+// Queue a job and start running it in the background.
+// `task` receives an event callback and resolves with the job result.
+export const createJob = (task, { tenantId } = {}) => {
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    tenantId,
+    state: 'queued',
+    phase: null,
+    createdAt: now,
+    updatedAt: now,
+    transitions: [{ state: 'queued', at: now }],
+    logs: [],
+    droppedLogs: 0,
+    result: null,
+    error: null,
+    diagnostics: null,
+    dependencies: null,
+    runId: null // Known once the deploy has started, see lib/runs.js
+  };
+  jobs.set(job.id, job);
+
+  setImmediate(async () => {
+    try {
+      job.result = await task((event) => recordEvent(job, event));
+      job.runId = job.result.runId ?? null;
+      transition(job, 'running');
+    } catch (error) {
+      job.error = error instanceof Error ? error.message : String(error);
+      job.diagnostics = error.diagnostics || null;
+      job.dependencies = error.dependencies || null;
+      job.runId = error.runId || null;
+      transition(job, 'failed');
+    }
+
+    setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+  });
+
+  return job;
+};
+
+export const getJob = (id) => jobs.get(id);
@@ -0,0 +1,122 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+import { MODEL_KEY_NAMES, createRedactor, redactDeep } from './secrets.js';
+
+// Structured logging: one JSON object per line on stdout (stderr for warn and
+// error), e.g.
+//   {"time":"...","level":"info","msg":"Phase finished","requestId":"...","phase":"install","durationMs":5120}
+// LOG_LEVEL picks the lowest level written: debug, info (default), warn or error.
+// Entries written while a request is handled carry its `requestId` and
+// `tenantId`, including the deploy pipeline's phase logs.
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Accepted from a client's X-Request-Id header; anything else gets a fresh ID
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+
+const context = new AsyncLocalStorage();
+
+const minimumLevel = () => {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LOG_LEVELS.includes(level) ? LOG_LEVELS.indexOf(level) : LOG_LEVELS.indexOf('info');
+};
+
+export const isLevelEnabled = (level) => LOG_LEVELS.indexOf(level) >= minimumLevel();
+
+// Throws on an unknown LOG_LEVEL, so the server can refuse to start
+export const assertLoggingConfigured = () => {
+  if (process.env.LOG_LEVEL && !LOG_LEVELS.includes(process.env.LOG_LEVEL.toLowerCase())) {
+    throw new Error(`Unknown LOG_LEVEL "${process.env.LOG_LEVEL}", use one of ${LOG_LEVELS.join(', ')}`);
+  }
+};
+
+// Secrets the server itself holds: stored secrets, model and provider keys, API keys
+const serverSecretValues = () => [
+  ...Object.entries(process.env)
+    .filter(([name]) => name.startsWith('SECRET_') || MODEL_KEY_NAMES.includes(name) || name === 'E2B_API_KEY')
+    .map(([, value]) => value),
+  ...(process.env.API_KEYS || '').split(',').map(entry => entry.slice(entry.indexOf(':') + 1).trim())
+].filter(Boolean);
+
+// Errors are logged by name, message and code; stacks only at debug level
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code ? { code: error.code } : {}),
+  ...(isLevelEnabled('debug') && error.stack ? { stack: error.stack } : {})
+});
+
+const write = (level, msg, fields = {}) => {
+  if (!isLevelEnabled(level)) return;
+
+  const store = context.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(store ? { requestId: store.requestId, tenantId: store.tenantId } : {}),
+    ...Object.fromEntries(Object.entries(fields).map(([key, value]) =>
+      [key, value instanceof Error ? serializeError(value) : value]))
+  };
+
+  // Redact the server's secrets and whatever the current request registered
+  const redactServerSecrets = createRedactor(serverSecretValues());
+  const redact = (text) => (store?.redactors || []).reduce((result, redactor) => redactor(result), redactServerSecrets(text));
+  const line = JSON.stringify(redactDeep(entry, redact));
+
+  if (LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf('warn')) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+};
+
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+// Redact `redact`'s secrets from every later entry of the current request,
+// e.g. the inline secrets a deploy was given
+export const addLogRedactor = (redact) => {
+  context.getStore()?.redactors.push(redact);
+};
+
+// The current request's ID, or undefined outside a request
+export const currentRequestId = () => context.getStore()?.requestId;
+
+// Express middleware that gives each request a correlation ID, taken from the
+// X-Request-Id header when it looks safe, returns it in X-Request-Id and logs
+// the request once the response is sent
+export const requestLogger = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  req.logContext = { requestId: req.id, tenantId: undefined, redactors: [] };
+  res.setHeader('X-Request-Id', req.id);
+
+  const startTime = Date.now();
+  res.on('finish', () => {
+    context.run(req.logContext, () => {
+      const level = res.statusCode >= 500 ? 'error' : req.path.endsWith('/health') || req.path === '/metrics' ? 'debug' : 'info';
+      logger[level]('Request finished', {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Date.now() - startTime
+      });
+    });
+  });
+
+  context.run(req.logContext, next);
+};
+
+// Re-enter the request's log context after middleware that loses it (body
+// parsing runs its callback from the socket's context) and record the tenant
+// once authentication has identified it
+export const bindLogContext = (req, res, next) => {
+  if (!req.logContext) return next();
+  req.logContext.tenantId = req.tenantId;
+  context.run(req.logContext, next);
+};
@@ -0,0 +1,59 @@
+import { getConfig } from './config.js';
+import { createRedactor } from './secrets.js';
+import { MCP_LOG_FILE } from './templates.js';
+
+// Log files of a running agent sandbox, by source:
+//   adk: the `adk web` server output
+//   mcp: stderr of the MCP servers, from the deploy-time health check and
+//        from the servers the agent starts at runtime (see MCP_STDERR_HOOK_PY
+//        in lib/templates.js)
+//   pip: pip's log of the dependency install
+export const LOG_SOURCES = {
+  adk: 'workspace/adk_web.log',
+  mcp: `workspace/${MCP_LOG_FILE}`,
+  pip: 'workspace/logs/pip.log'
+};
+
+export const LOG_LIMITS = {
+  defaultLimit: 200,
+  maxLimit: 1000,
+  pollIntervalMs: 1000 // How often a live tail checks for new lines
+};
+
+// Read up to `limit` complete lines of a session's log, starting at line
+// `offset` (0-based). A trailing line without a newline is still being
+// written, so it is left for the next read.
+// Resolves with { source, offset, lines, nextOffset, totalLines }.
+export const readSessionLog = async (session, { source = 'adk', offset = 0, limit = LOG_LIMITS.defaultLimit }) => {
+  const file = LOG_SOURCES[source];
+  const { stdout } = await session.sbx.commands.run(
+    `f='${file}'; if [ -f "$f" ]; then wc -l < "$f"; tail -n +${offset + 1} "$f" | head -n ${limit}; else echo 0; fi`,
+    { timeoutMs: getConfig().sandbox.logReadTimeoutMs }
+  );
+
+  const [count, ...rest] = String(stdout).split('\n');
+  const totalLines = Number.parseInt(count, 10) || 0;
+  const redact = createRedactor(Object.values(session.secretEnv));
+  const lines = rest.slice(0, Math.max(0, Math.min(limit, totalLines - offset))).map(redact);
+
+  return { source, offset, lines, nextOffset: offset + lines.length, totalLines };
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Follow a session's log like `tail -f`, calling `onLines(lines, offset)` for
+// each batch of new lines. Stops when `isStopped()` returns true or the
+// session is no longer running. Resolves with the offset it stopped at.
+export const followSessionLog = async (session, { source, offset, onLines, isStopped }) => {
+  let nextOffset = offset;
+  while (!isStopped() && session.status === 'running') {
+    const result = await readSessionLog(session, { source, offset: nextOffset, limit: LOG_LIMITS.maxLimit });
+    if (result.lines.length) {
+      onLines(result.lines, nextOffset);
+      nextOffset = result.nextOffset;
+    } else {
+      await sleep(LOG_LIMITS.pollIntervalMs);
+    }
+  }
+  return nextOffset;
+};
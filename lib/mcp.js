@@ -0,0 +1,105 @@
+import { ACCESSIBLE_FILES_ROOT } from './accessible-files.js';
+import { detectMcpAgent } from './preflight.js';
+import { resolveAgentPackages } from './project.js';
+
+// MCP servers an agent uses, declared in the request's `mcpServers` manifest:
+//   { name, package?, command?, args?, env?, seedFiles? }
+// `package` is an npm package installed into the workspace; without a
+// `command` the server runs as `npx -y <package> ...args`. `env` values may
+// reference the agent's secrets as ${NAME}. `seedFiles` are written into
+// accessible_files before the agent starts.
+
+export const MAX_MCP_SERVERS = 10;
+
+// Servers installed for requests that don't send a manifest but whose agent
+// code uses MCP tools, matching what every MCP deploy used to get
+export const DEFAULT_MCP_SERVERS = [
+  {
+    name: 'filesystem',
+    package: '@modelcontextprotocol/server-filesystem',
+    args: [ACCESSIBLE_FILES_ROOT],
+    seedFiles: {
+      'hello.txt': 'Hello from the MCP filesystem server!\n',
+      'test.txt': 'This is a test file created for MCP filesystem access.\n',
+      'sample.txt': 'This is a sample text file for the MCP filesystem tool.',
+      'notes.md': '# Sample Notes\n\nThis is a markdown file that can be accessed by the MCP filesystem tool.',
+      'data.json': JSON.stringify({
+        name: "Sample Data",
+        items: [1, 2, 3, 4, 5],
+        nested: {
+          key: "value"
+        }
+      }, null, 2)
+    }
+  },
+  {
+    name: 'github',
+    package: '@modelcontextprotocol/server-github',
+    env: { GITHUB_PERSONAL_ACCESS_TOKEN: '${GITHUB_PERSONAL_ACCESS_TOKEN}' }
+  },
+  {
+    name: 'time',
+    package: '@modelcontextprotocol/server-time'
+  }
+];
+
+export const MCP_SERVER_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// npm package name with an optional version or range, e.g. @scope/pkg@^1.2.
+// Ranges may contain spaces but no line breaks, which would start another
+// line of the exported Dockerfile.
+export const NPM_PACKAGE_PATTERN = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*(@[A-Za-z0-9.^~<>=*| -]+)?$/;
+
+// Names of the secrets referenced as ${NAME} in the servers' env values
+export const findMcpSecretReferences = (servers) => [...new Set(servers.flatMap(({ env = {} }) =>
+  Object.values(env).flatMap(value => [...String(value).matchAll(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g)].map(match => match[1]))))];
+
+// The servers this deploy installs: the request's manifest if it sent one,
+// otherwise the defaults when any agent package's code uses MCP tools
+export const resolveMcpServers = ({ files, agents, mcpServers }) => {
+  const usesMcp = Object.values(resolveAgentPackages({ files, agents }))
+    .some(packageFiles => detectMcpAgent(packageFiles['agent.py'] || ''));
+  const servers = Array.isArray(mcpServers) ? mcpServers : (usesMcp ? DEFAULT_MCP_SERVERS : []);
+
+  return servers.map(server => ({
+    name: server.name,
+    package: server.package || null,
+    command: server.command || 'npx',
+    args: server.command ? [...(server.args || [])] : ['-y', server.package, ...(server.args || [])],
+    env: { ...server.env },
+    seedFiles: { ...server.seedFiles }
+  }));
+};
+
+// Startup config for the health check script. Secret references stay as
+// ${NAME}; the script expands them from its own environment.
+export const buildMcpServersConfig = (servers) => JSON.stringify(
+  servers.map(({ name, command, args, env }) => ({ name, command, args, env })),
+  null,
+  2
+);
+
+// What a deploy does when the MCP packages can't be imported:
+//   fail                   stop the deploy with an McpImportError
+//   fallback               start a generic assistant without tools
+//   preserve_instructions  start the agent's own name, model and instruction without tools
+export const FALLBACK_POLICIES = ['fail', 'fallback', 'preserve_instructions'];
+
+export const DEFAULT_FALLBACK_POLICY = 'preserve_instructions';
+
+// Thrown when MCP imports fail and the request's fallback policy is `fail`
+export class McpImportError extends Error {
+  constructor(importError) {
+    super(`MCP imports failed: ${importError}`);
+    this.name = 'McpImportError';
+    this.code = 'MCP_IMPORT_FAILED';
+    this.status = 500;
+    this.importError = importError;
+  }
+}
+
+// The import error printed by the sandbox's MCP import checks, or null
+export const readMcpImportError = (output) => {
+  const match = String(output || '').match(/MCP import failed: (.+)/);
+  return match ? match[1].trim() : null;
+};
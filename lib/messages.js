@@ -0,0 +1,154 @@
+import { randomUUID } from 'crypto';
+import { getConfig } from './config.js';
+import { logger } from './logger.js';
+import { createRedactor, redactDeep } from './secrets.js';
+
+// Talk to a deployed agent without the adk web UI. Messages go through the
+// running `adk web` server's /run_sse endpoint, called with curl inside the
+// sandbox so it works the same with every sandbox provider.
+
+export const MESSAGE_LIMITS = {
+  maxMessageBytes: 32 * 1024
+};
+
+// User and ADK session IDs end up in URLs, so keep them to a safe alphabet
+export const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_.-]{1,128}$/;
+
+// Thrown when the agent run fails; `events` holds whatever came back before the failure
+export class AgentRunError extends Error {
+  constructor(message, events = []) {
+    super(message);
+    this.name = 'AgentRunError';
+    this.code = 'AGENT_RUN_FAILED';
+    this.status = 502;
+    this.events = events;
+  }
+}
+
+// Shell script that creates the ADK session if needed and posts the message
+// to /run_sse. `appName` is the agent package. The request body is read from
+// `bodyPath`, which is removed afterwards.
+const buildRunScript = ({ appName, userId, sessionId, bodyPath }) => {
+  const base = 'http://localhost:${ADK_PORT:-8000}';
+  const sessionUrl = `${base}/apps/${appName}/users/${userId}/sessions/${sessionId}`;
+  return [
+    'cd workspace',
+    `code=$(curl -s -o /dev/null -w '%{http_code}' "${sessionUrl}")`,
+    `if [ "$code" != "200" ]; then curl -sS --fail -X POST -H 'Content-Type: application/json' -d '{}' "${sessionUrl}" > /dev/null || { rm -f ${bodyPath}; exit 1; }; fi`,
+    `curl -sS -N --fail-with-body -X POST -H 'Content-Type: application/json' --data-binary @${bodyPath} "${base}/run_sse"`,
+    'status=$?',
+    `rm -f ${bodyPath}`,
+    'exit $status'
+  ].join('\n');
+};
+
+// Turn one ADK event into our flat events, one per content part:
+//   { type: 'text', author, text, partial }
+//   { type: 'tool_call', author, id, name, args }
+//   { type: 'tool_result', author, id, name, response }
+// ADK versions differ in whether fields are camelCase or snake_case.
+export const normalizeAdkEvent = (adkEvent) => {
+  const parts = adkEvent.content?.parts || [];
+  const base = { eventId: adkEvent.id || null, author: adkEvent.author || null };
+
+  return parts.flatMap(part => {
+    const functionCall = part.functionCall || part.function_call;
+    const functionResponse = part.functionResponse || part.function_response;
+    if (functionCall) {
+      return [{ ...base, type: 'tool_call', id: functionCall.id || null, name: functionCall.name, args: functionCall.args || {} }];
+    }
+    if (functionResponse) {
+      return [{ ...base, type: 'tool_result', id: functionResponse.id || null, name: functionResponse.name, response: functionResponse.response ?? null }];
+    }
+    if (typeof part.text === 'string' && !part.thought) {
+      return [{ ...base, type: 'text', text: part.text, partial: Boolean(adkEvent.partial) }];
+    }
+    return [];
+  });
+};
+
+// The agent's answer: the text of the last event that had any
+export const extractReply = (events) => {
+  const textEvents = events.filter(event => event.type === 'text' && !event.partial);
+  const lastEventId = textEvents.length ? textEvents[textEvents.length - 1].eventId : undefined;
+  return textEvents
+    .filter(event => event.eventId === lastEventId)
+    .map(event => event.text)
+    .join('');
+};
+
+// Splits streamed output into complete lines
+const createLineReader = (onLine) => {
+  let buffer = '';
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(onLine);
+    },
+    flush() {
+      if (buffer) onLine(buffer);
+      buffer = '';
+    }
+  };
+};
+
+// Send a user message to the root_agent of one of the session's agent
+// packages (the first one unless `agent` names another) and collect the
+// events it produces. `onEvent` receives each normalized event as it arrives.
+// Resolves with { agent, userId, sessionId, reply, events }.
+export const sendMessage = async (session, { message, agent, userId = 'user', sessionId = randomUUID(), onEvent = () => {} }) => {
+  const { sbx } = session;
+  const appName = agent || Object.keys(session.packages)[0];
+  const redact = createRedactor(Object.values(session.secretEnv));
+  const events = [];
+  let runError = null;
+
+  const reader = createLineReader((line) => {
+    if (!line.startsWith('data:')) return;
+    let adkEvent;
+    try {
+      adkEvent = JSON.parse(line.slice('data:'.length).trim());
+    } catch (error) {
+      return; // Not an event, e.g. a keep-alive
+    }
+    if (adkEvent.error) {
+      runError = adkEvent.error;
+      return;
+    }
+    normalizeAdkEvent(adkEvent).forEach(event => {
+      const redacted = redactDeep(event, redact);
+      events.push(redacted);
+      onEvent(redacted);
+    });
+  });
+
+  const bodyPath = `.messages/${randomUUID()}.json`;
+  await sbx.files.write(`workspace/${bodyPath}`, JSON.stringify({
+    app_name: appName,
+    user_id: userId,
+    session_id: sessionId,
+    new_message: { role: 'user', parts: [{ text: message }] },
+    streaming: false
+  }));
+
+  logger.info('Sending message to agent', { sessionId: session.id, agent: appName, userId, conversationId: sessionId });
+  try {
+    await sbx.commands.run(buildRunScript({ appName, userId, sessionId, bodyPath }), {
+      timeoutMs: getConfig().sandbox.messageTimeoutMs,
+      onStdout: (data) => reader.push(String(data))
+    });
+    reader.flush();
+  } catch (error) {
+    reader.flush();
+    const detail = String(error.stdout || error.stderr || error.message).trim().split('\n').slice(-3).join('\n');
+    throw new AgentRunError(redact(`Agent run failed: ${detail}`), events);
+  }
+
+  if (runError) {
+    throw new AgentRunError(redact(`Agent run failed: ${runError}`), events);
+  }
+
+  return { agent: appName, userId, sessionId, reply: extractReply(events), events };
+};
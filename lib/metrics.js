@@ -0,0 +1,145 @@
+import { getWarmPoolStats } from './pool.js';
+import { listSessions } from './sessions.js';
+
+// Prometheus metrics, served in the text exposition format by GET /metrics.
+// Values live in memory and reset when the server restarts.
+
+// Phase durations range from sub-second file writes to multi-minute pip installs
+const PHASE_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300, 600];
+
+const registry = [];
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}` : '';
+};
+
+// Series are keyed by their label values in `labelNames` order
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+
+const checkLabels = (name, labelNames, labels) => {
+  const unknown = Object.keys(labels).filter(label => !labelNames.includes(label));
+  if (unknown.length) throw new Error(`Metric ${name} has no label ${unknown.join(', ')}`);
+};
+
+const createCounter = ({ name, help, labelNames = [] }) => {
+  const series = new Map();
+  const counter = {
+    inc(labels = {}, value = 1) {
+      checkLabels(name, labelNames, labels);
+      const key = seriesKey(labelNames, labels);
+      const current = series.get(key) || { labels, value: 0 };
+      series.set(key, { labels, value: current.value + value });
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    ]
+  };
+  registry.push(counter);
+  return counter;
+};
+
+const createHistogram = ({ name, help, labelNames = [], buckets }) => {
+  const series = new Map();
+  const histogram = {
+    observe(labels, value) {
+      checkLabels(name, labelNames, labels);
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} histogram`,
+      ...[...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`
+      ])
+    ]
+  };
+  registry.push(histogram);
+  return histogram;
+};
+
+// A gauge whose series are read from `collect()` at scrape time
+const createGauge = ({ name, help, collect }) => {
+  const gauge = {
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} gauge`,
+      ...collect().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    ]
+  };
+  registry.push(gauge);
+  return gauge;
+};
+
+// Sandboxes that are being deployed into but don't have a session yet
+let deployingSandboxes = 0;
+
+export const trackDeployingSandbox = () => {
+  deployingSandboxes++;
+  let done = false;
+  return () => {
+    if (done) return;
+    done = true;
+    deployingSandboxes--;
+  };
+};
+
+// outcome: success, preflight_failed, dependencies_failed or failed
+export const executionsTotal = createCounter({
+  name: 'agent_executions_total',
+  help: 'Agent deploys by outcome and agent type (mcp or standard).',
+  labelNames: ['outcome', 'agent_type']
+});
+
+export const phaseDuration = createHistogram({
+  name: 'agent_phase_duration_seconds',
+  help: 'Duration of each deploy pipeline phase.',
+  labelNames: ['phase', 'status'],
+  buckets: PHASE_BUCKETS
+});
+
+export const fallbackAgentActivations = createCounter({
+  name: 'agent_fallback_activations_total',
+  help: 'Deploys where MCP imports failed and the fallback agent without MCP tools was started.'
+});
+
+// path: per_package (requirements.txt failed, packages retried one by one)
+// or startup_install (adk was missing when the server started)
+export const pipFallbacks = createCounter({
+  name: 'agent_pip_fallbacks_total',
+  help: 'pip installs that had to take a fallback path.',
+  labelNames: ['path']
+});
+
+createGauge({
+  name: 'agent_live_sandboxes',
+  help: 'Sandboxes currently alive, by state.',
+  collect: () => {
+    const pool = getWarmPoolStats();
+    return [
+      { labels: { state: 'session' }, value: listSessions().length },
+      { labels: { state: 'deploying' }, value: deployingSandboxes },
+      { labels: { state: 'warm_pool' }, value: pool.idle },
+      { labels: { state: 'warm_pool_provisioning' }, value: pool.provisioning }
+    ];
+  }
+});
+
+// Every metric in the Prometheus text exposition format
+export const renderMetrics = () => registry.flatMap(metric => metric.render()).join('\n') + '\n';
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
@@ -0,0 +1,61 @@
+// Parser for multipart/form-data bodies that have already been read into a
+// Buffer (see express.raw). Good enough for file uploads from browsers and
+// curl; it doesn't stream and doesn't support nested multipart parts.
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+// Thrown for a body that doesn't match its multipart/form-data content type
+export class MultipartError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MultipartError';
+    this.code = 'INVALID_MULTIPART';
+    this.status = 400;
+  }
+}
+
+// Parameter of a header value, e.g. `filename` of a Content-Disposition
+const headerParam = (value, name) => {
+  const match = value.match(new RegExp(`;\\s*${name}="((?:[^"\\\\]|\\\\.)*)"`, 'i')) || value.match(new RegExp(`;\\s*${name}=([^;\\s]+)`, 'i'));
+  return match ? match[1].replace(/\\(.)/g, '$1') : null;
+};
+
+const parseHeaders = (text) => Object.fromEntries(text.split('\r\n')
+  .map(line => [line.slice(0, line.indexOf(':')).trim().toLowerCase(), line.slice(line.indexOf(':') + 1).trim()]));
+
+// The parts of a multipart body as [{ name, filename, contentType, data }];
+// `filename` is null for plain form fields
+export const parseMultipart = (body, contentType = '') => {
+  if (!/^multipart\/form-data/i.test(contentType)) {
+    throw new MultipartError('Content-Type must be multipart/form-data');
+  }
+  const boundaryValue = headerParam(contentType, 'boundary');
+  if (!boundaryValue) throw new MultipartError('Content-Type has no multipart boundary');
+  const boundary = Buffer.from(`--${boundaryValue}`);
+  const delimiter = Buffer.concat([CRLF, boundary]);
+
+  let position = body.indexOf(boundary);
+  if (position === -1) throw new MultipartError('Body has no multipart parts');
+
+  const parts = [];
+  for (;;) {
+    position += boundary.length;
+    if (body.subarray(position, position + 2).toString() === '--') return parts;
+    position += CRLF.length;
+
+    const headerEnd = body.indexOf(HEADER_END, position);
+    const end = headerEnd === -1 ? -1 : body.indexOf(delimiter, headerEnd + HEADER_END.length);
+    if (end === -1) throw new MultipartError('Multipart body is truncated');
+
+    const headers = parseHeaders(body.subarray(position, headerEnd).toString('utf8'));
+    const disposition = headers['content-disposition'] || '';
+    parts.push({
+      name: headerParam(disposition, 'name'),
+      filename: headerParam(disposition, 'filename'),
+      contentType: headers['content-type'] || 'text/plain',
+      data: body.subarray(headerEnd + HEADER_END.length, end)
+    });
+    position = end + CRLF.length;
+  }
+};
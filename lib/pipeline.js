@@ -0,0 +1,735 @@
+import { ACCESSIBLE_FILES_DIR, ACCESSIBLE_FILES_ROOT, resolveSeedFiles, writeAccessibleFile } from './accessible-files.js';
+import { getConfig } from './config.js';
+import {
+  DependencyInstallError,
+  buildDependencyManifest,
+  buildRequirementsTxt,
+  normalizePackageName,
+  summarizePipError
+} from './dependencies.js';
+import {
+  DEFAULT_FALLBACK_POLICY,
+  DEFAULT_MCP_SERVERS,
+  McpImportError,
+  buildMcpServersConfig,
+  findMcpSecretReferences,
+  readMcpImportError,
+  resolveMcpServers
+} from './mcp.js';
+import { addLogRedactor, currentRequestId, logger } from './logger.js';
+import {
+  executionsTotal,
+  fallbackAgentActivations,
+  phaseDuration,
+  pipFallbacks,
+  trackDeployingSandbox
+} from './metrics.js';
+import { acquireWarmSandbox } from './pool.js';
+import { PreflightError, detectMcpAgent, runPreflight, runProjectPreflight } from './preflight.js';
+import { DEFAULT_AGENT_PACKAGE, projectFiles, resolveAgentPackages } from './project.js';
+import { getSandboxProvider, sandboxUrl } from './providers/index.js';
+import { createRedactor, redactDeep, resolveSecrets } from './secrets.js';
+import { finishRun, recordRunEvent, startRun, storedRequest } from './runs.js';
+import { destroySandbox, registerSession, resolveLifetimeMs } from './sessions.js';
+import {
+  CHECK_PORT_PY,
+  INIT_PY,
+  MCP_HEALTH_CHECK_PY,
+  MCP_IMPORT_TEST_PY,
+  MCP_STDERR_HOOK_PY,
+  buildAdkConfig,
+  buildEnvFile,
+  buildFallbackAgent,
+  buildRestartScript,
+  buildStartScript
+} from './templates.js';
+
+// Phases of the deploy pipeline, in the order they run
+export const PHASES = ['preflight', 'sandbox', 'files', 'venv', 'install', 'mcp_check', 'mcp_servers', 'config', 'startup'];
+
+// Run one pipeline phase, reporting its start, end and duration
+const runPhase = async (phase, emit, fn) => {
+  const phaseStart = Date.now();
+  emit({ type: 'phase_start', phase });
+  try {
+    const result = await fn();
+    const durationMs = Date.now() - phaseStart;
+    phaseDuration.observe({ phase, status: 'ok' }, durationMs / 1000);
+    emit({ type: 'phase_end', phase, status: 'ok', durationMs });
+    return result;
+  } catch (error) {
+    const durationMs = Date.now() - phaseStart;
+    phaseDuration.observe({ phase, status: 'failed' }, durationMs / 1000);
+    emit({ type: 'phase_end', phase, status: 'failed', durationMs, error: error.message });
+    throw error;
+  }
+};
+
+// Command callbacks that forward each line of output as an event
+const streamOutput = (emit, phase) => {
+  const forward = (stream) => (data) => {
+    String(data).split('\n').forEach(line => {
+      if (line.trim()) emit({ type: 'output', phase, stream, line });
+    });
+  };
+  return { onStdout: forward('stdout'), onStderr: forward('stderr') };
+};
+
+// Server log entry for each pipeline event. Command output is only logged at debug level.
+const logEvent = ({ type, timestamp, ...fields }) => {
+  switch (type) {
+    case 'phase_start':
+      return logger.info('Phase started', fields);
+    case 'phase_end':
+      return logger[fields.status === 'ok' ? 'info' : 'warn']('Phase finished', fields);
+    case 'phase_skipped':
+      return logger.info('Phase skipped', fields);
+    case 'warning':
+      return logger.warn('Pipeline warning', fields);
+    case 'mcp_server':
+      return logger.info('MCP server checked', { ...fields, tools: fields.tools.length });
+    case 'output':
+      return logger.debug('Command output', fields);
+    default:
+      return logger.debug(type, fields);
+  }
+};
+
+// Event and warning callbacks for one pipeline run. Secret values are
+// redacted from everything reported, and events carry the request's
+// correlation ID so client-side logs can be matched with the server's.
+const createReporter = (onEvent, redact = (text) => text) => {
+  const requestId = currentRequestId();
+  const emit = (event) => {
+    const reported = redactDeep({ ...event, ...(requestId ? { requestId } : {}), timestamp: new Date().toISOString() }, redact);
+    logEvent(reported);
+    onEvent(reported);
+  };
+  const warn = (phase, message) => emit({ type: 'warning', phase, message });
+  return { emit, warn };
+};
+
+// Create a new sandbox instance with the configured provider. Secrets are
+// not set here: they are passed to the agent's own processes at startup.
+export const createSandbox = async ({ timeoutMs = getConfig().sandbox.timeoutMs } = {}) => {
+  return getSandboxProvider().create({
+    timeoutMs,
+    envs: {
+      PYTHONUNBUFFERED: '1', // Ensure Python output is not buffered
+      ADK_PORT: String(getConfig().sandbox.adkPort)
+    }
+  });
+};
+
+// Create the Python venv. Packages are installed by installDependencies.
+export const createVirtualEnv = async (sbx, { emit, warn }) => {
+  // Set up Python environment with a compatible Python version
+  await runPhase('venv', emit, async () => {
+    // Check Python versions available in the sandbox
+    const pythonVersions = await sbx.commands.run('ls /usr/bin/python* | grep -v config');
+    logger.debug('Available Python versions', { versions: pythonVersions.stdout.trim().split('\n') });
+
+    // Try the configured Python version (3.9 by default, which most Google Cloud libraries support)
+    const { pythonVersion } = getConfig().sandbox;
+    let venvResult;
+    try {
+      venvResult = await sbx.commands.run(`python${pythonVersion} -m venv workspace/venv`);
+    } catch (error) {
+      warn('venv', `Python ${pythonVersion} not available, falling back to default Python version`);
+      venvResult = await sbx.commands.run('python3 -m venv workspace/venv');
+    }
+
+    logger.debug('Virtual environment created', { exitCode: venvResult.exitCode, stdout: venvResult.stdout, stderr: venvResult.stderr });
+  });
+};
+
+// pip inside the sandbox's venv
+const pip = (args) => `source workspace/venv/bin/activate && pip ${args}`;
+
+// Install commands append pip's log here, for GET /api/sessions/:id/logs?source=pip
+const pipInstall = (args) => pip(`install --disable-pip-version-check ${args} --log workspace/logs/pip.log`);
+
+// Shell-quote a requirement; parseRequirement never lets single quotes through
+const quoteRequirement = (spec) => `'${spec}'`;
+
+// Installed versions of the manifest's packages, as reported by `pip list`
+const resolveInstalledVersions = async (sbx, manifest) => {
+  let installed = [];
+  try {
+    const { stdout } = await sbx.commands.run(pip('list --format=json --disable-pip-version-check'), { timeoutMs: getConfig().sandbox.commandTimeoutMs });
+    installed = JSON.parse(stdout);
+  } catch (error) {
+    logger.warn('Could not list installed packages', { error });
+  }
+
+  const versions = new Map(installed.map(({ name, version }) => [normalizePackageName(name), version]));
+  return manifest.map(({ name, spec, source }) => ({ name, requested: spec, source, version: versions.get(name) || null }));
+};
+
+// Install the dependency manifest with a single pip run. When that fails,
+// each package is tried on its own so the error can say which ones broke.
+// Resolves with [{ name, requested, source, version }].
+export const installDependencies = async (sbx, manifest, { emit }) => {
+  await sbx.files.write('workspace/requirements.txt', buildRequirementsTxt(manifest));
+
+  logger.info('Installing Python packages', { packages: manifest.length });
+  try {
+    await sbx.commands.run(pipInstall('-r workspace/requirements.txt'), {
+      timeoutMs: getConfig().sandbox.installTimeoutMs,
+      ...streamOutput(emit, 'install')
+    });
+  } catch (error) {
+    pipFallbacks.inc({ path: 'per_package' });
+    logger.warn('Installing requirements.txt failed, checking packages one by one', { reason: summarizePipError(error.stderr || error.message) });
+
+    const results = [];
+    for (const { name, spec, source } of manifest) {
+      try {
+        await sbx.commands.run(pipInstall(quoteRequirement(spec)), { timeoutMs: getConfig().sandbox.packageInstallTimeoutMs });
+        results.push({ name, requested: spec, source, status: 'installed' });
+      } catch (packageError) {
+        const reason = summarizePipError(packageError.stderr || packageError.message);
+        logger.warn('Package failed to install', { requirement: spec, reason });
+        results.push({ name, requested: spec, source, status: 'failed', error: reason });
+      }
+    }
+
+    // If every package installs on its own, the failure was a version conflict between them
+    if (!results.some(result => result.status === 'failed')) {
+      const reason = summarizePipError(error.stderr || error.message);
+      results.forEach(result => {
+        result.status = 'failed';
+        result.error = `Conflicts with other requirements: ${reason}`;
+      });
+    }
+    throw new DependencyInstallError(results);
+  }
+
+  const dependencies = await resolveInstalledVersions(sbx, manifest);
+  logger.debug('Python packages installed', {
+    versions: Object.fromEntries(dependencies.map(({ name, version }) => [name, version]))
+  });
+  return dependencies;
+};
+
+// npm install the servers' packages into the workspace, one at a time so a
+// bad package only fails its own server. Resolves with a Map of server name
+// to install error for the servers whose package failed.
+export const installMcpPackages = async (sbx, servers) => {
+  const failures = new Map();
+  const withPackages = servers.filter(server => server.package);
+  if (!withPackages.length) return failures;
+
+  await sbx.commands.run('cd workspace && ([ -f package.json ] || npm init -y > /dev/null 2>&1)', { timeoutMs: getConfig().sandbox.commandTimeoutMs });
+  for (const server of withPackages) {
+    logger.debug('Installing MCP server package', { server: server.name, package: server.package });
+    try {
+      // NPM_PACKAGE_PATTERN never lets single quotes through
+      await sbx.commands.run(`cd workspace && npm install --no-fund --no-audit --silent '${server.package}'`, { timeoutMs: getConfig().sandbox.npmInstallTimeoutMs });
+    } catch (error) {
+      const reason = String(error.stderr || error.message).trim().split('\n').slice(-2).join('\n');
+      logger.warn('MCP server package failed to install', { server: server.name, package: server.package, reason });
+      failures.set(server.name, reason);
+    }
+  }
+  return failures;
+};
+
+// Start each MCP server once and check it answers the MCP handshake.
+// Resolves with [{ name, package, status, tools, error }].
+const checkMcpServers = async (sbx, servers, { envs, installFailures }) => {
+  const reachable = servers.filter(server => !installFailures.has(server.name));
+  let results = [];
+
+  if (reachable.length) {
+    const { mcpHealthCheckTimeoutMs, mcpHealthCheckServerTimeoutMs } = getConfig().sandbox;
+    await sbx.files.write('workspace/mcp_servers.json', buildMcpServersConfig(reachable));
+    await sbx.files.write('workspace/mcp_health_check.py', MCP_HEALTH_CHECK_PY);
+    try {
+      const { stdout } = await sbx.commands.run(
+        `cd workspace && source venv/bin/activate && python3 mcp_health_check.py mcp_servers.json ${mcpHealthCheckServerTimeoutMs / 1000}`,
+        { timeoutMs: mcpHealthCheckTimeoutMs + reachable.length * mcpHealthCheckServerTimeoutMs, envs }
+      );
+      results = JSON.parse(stdout.trim().split('\n').pop());
+    } catch (error) {
+      const reason = String(error.stderr || error.message).trim().split('\n').slice(-1)[0];
+      results = reachable.map(({ name }) => ({ name, status: 'failed', tools: [], error: `Health check did not run: ${reason}` }));
+    }
+  }
+
+  return servers.map(server => {
+    if (installFailures.has(server.name)) {
+      return { name: server.name, package: server.package, status: 'failed', tools: [], error: `npm install failed: ${installFailures.get(server.name)}` };
+    }
+    const result = results.find(({ name }) => name === server.name) || { status: 'failed', tools: [], error: 'No health check result' };
+    return { name: server.name, package: server.package, status: result.status, tools: result.tools, error: result.error };
+  });
+};
+
+// Create a sandbox with the venv, Python packages and MCP server packages
+// already in place, ready to be handed out by the warm pool
+export const provisionBaseSandbox = async ({ timeoutMs }) => {
+  const sbx = await createSandbox({ timeoutMs });
+  try {
+    const { emit, warn } = createReporter(() => {});
+    await sbx.commands.run('mkdir -p workspace');
+    await createVirtualEnv(sbx, { emit, warn });
+    await installDependencies(sbx, buildDependencyManifest({ files: {}, isMcpAgent: true }), { emit });
+    await installMcpPackages(sbx, resolveMcpServers({ files: {}, mcpServers: DEFAULT_MCP_SERVERS }));
+    return sbx;
+  } catch (error) {
+    await destroySandbox(sbx).catch(() => {});
+    throw error;
+  }
+};
+
+// Redact the failed deploy's error and kill its sandbox
+const cleanUpFailedDeploy = async (sbx, error, redact) => {
+  // Command output attached to the error can echo secret values
+  for (const key of ['message', 'stack', 'stdout', 'stderr']) {
+    if (typeof error[key] === 'string') error[key] = redact(error[key]);
+  }
+
+  logger.error('Deploy failed, cleaning up sandbox', { error });
+
+  // Cleanup sandbox
+  try {
+    await destroySandbox(sbx);
+  } catch (cleanupError) {
+    logger.error('Cleaning up sandbox after error failed', { error: cleanupError });
+  }
+};
+
+// Run every phase of the deploy except starting `adk web`: the sandbox ends
+// up with the agent files, Python packages, MCP servers and config in place.
+// Takes the same options as deployAgent and resolves with
+// { sbx, packages, isMcpAgent, dependencies, mcpServers, fallbackPolicy,
+//   mcpImportError, secretEnv, redact, emit, warn, stopTracking }.
+// `packages` maps each agent package to its files (see lib/project.js).
+// `mcpImportError` is set when the MCP import check failed and the fallback
+// policy let the deploy go on. The sandbox counts as deploying in the metrics
+// until `stopTracking()` is called. On failure the sandbox is cleaned up and
+// the error is rethrown.
+export const prepareAgent = async ({
+  files,
+  timeoutMs = getConfig().sandbox.timeoutMs,
+  agents,
+  tenantId,
+  secrets = {},
+  secretRefs = {},
+  declaredSecrets = [],
+  dependencies: requestedDependencies,
+  mcpServers: requestedMcpServers,
+  fallbackPolicy = DEFAULT_FALLBACK_POLICY,
+  accessibleFiles,
+  onEvent = () => {}
+}) => {
+  // An explicit manifest decides whether this is an MCP agent; without one
+  // the agent code is checked for MCP tools
+  const mcpServers = resolveMcpServers({ files, agents, mcpServers: requestedMcpServers });
+  const isMcpAgent = mcpServers.length > 0;
+  const packages = resolveAgentPackages({ files, agents });
+
+  const resolvedSecrets = resolveSecrets({
+    files: projectFiles(packages),
+    tenantId,
+    secrets,
+    secretRefs,
+    declaredSecrets: [...declaredSecrets, ...findMcpSecretReferences(mcpServers)]
+  });
+  const redact = createRedactor([...Object.values(secrets), ...Object.values(resolvedSecrets.env)]);
+  addLogRedactor(redact);
+  const { emit, warn } = createReporter(onEvent, redact);
+
+  // Catch syntax errors and a missing root_agent before paying for a sandbox
+  await runPhase('preflight', emit, async () => {
+    const report = agents ? await runProjectPreflight(agents) : await runPreflight(files);
+    report.diagnostics.forEach(diagnostic => {
+      if (diagnostic.severity === 'warning') warn('preflight', diagnostic.message);
+    });
+    if (!report.ok) {
+      throw new PreflightError(report);
+    }
+
+    if (resolvedSecrets.missing.length) {
+      warn('preflight', `No value supplied for declared secrets: ${resolvedSecrets.missing.join(', ')}`);
+    }
+    if (resolvedSecrets.ignored.length) {
+      warn('preflight', `Ignoring secrets the agent does not declare: ${resolvedSecrets.ignored.join(', ')}`);
+    }
+    return report;
+  });
+
+  const manifest = buildDependencyManifest({ files, agents, dependencies: requestedDependencies, isMcpAgent });
+  logger.info('Deploying agent', {
+    agentType: isMcpAgent ? 'mcp' : 'standard',
+    agents: Object.keys(packages),
+    files: Object.fromEntries(Object.entries(files || projectFiles(packages)).map(([filename, content]) => [filename, content.length])),
+    mcpServers: mcpServers.map(({ name }) => name)
+  });
+
+  // Take a pre-provisioned sandbox from the warm pool, or create one
+  let pooled = false;
+  const sbx = await runPhase('sandbox', emit, async () => {
+    const warmSandbox = await acquireWarmSandbox({ timeoutMs });
+    if (warmSandbox) {
+      pooled = true;
+      logger.info('Using pre-provisioned sandbox from warm pool', { sandboxId: warmSandbox.sandboxId });
+      return warmSandbox;
+    }
+
+    const sandbox = await createSandbox({ timeoutMs });
+    logger.info('Sandbox created', { provider: getSandboxProvider().name, sandboxId: sandbox.sandboxId });
+    return sandbox;
+  });
+  const stopTracking = trackDeployingSandbox();
+
+  try {
+    await runPhase('files', emit, async () => {
+      // Every agent package is a directory of the workspace, which is how adk web finds it
+      const fallbackAgent = buildFallbackAgent(fallbackPolicy);
+      for (const [name, packageFiles] of Object.entries(packages)) {
+        await sbx.commands.run(`mkdir -p workspace/${name}`);
+
+        // Write files to the sandbox with proper ADK structure
+        for (const [filename, content] of Object.entries(packageFiles)) {
+          await sbx.files.write(`workspace/${name}/${filename}`, content);
+        }
+
+        // Create a fallback non-MCP version of the agent if this is an MCP agent
+        // and its fallback policy allows one
+        if (isMcpAgent && fallbackAgent) {
+          await sbx.files.write(`workspace/${name}/agent_fallback.py`, fallbackAgent);
+        }
+
+        // Create __init__.py file to make the package a proper Python package
+        await sbx.files.write(`workspace/${name}/__init__.py`, INIT_PY);
+      }
+
+      // The accessible_files directory only exists for deploys that seed it
+      // with files (the request's, or the ones the MCP servers asked for) or
+      // whose MCP servers work in it
+      const seedFiles = resolveSeedFiles({ accessibleFiles, mcpServers });
+      if (Object.keys(seedFiles).length || mcpServers.some(server => (server.args || []).some(arg => arg.includes(ACCESSIBLE_FILES_ROOT)))) {
+        await sbx.commands.run(`mkdir -p ${ACCESSIBLE_FILES_DIR} && chmod 777 ${ACCESSIBLE_FILES_DIR}`);
+      }
+      for (const [filePath, content] of Object.entries(seedFiles)) {
+        await writeAccessibleFile(sbx, filePath, content);
+      }
+    });
+
+    if (pooled) {
+      // The warm pool already created the venv
+      emit({ type: 'phase_skipped', phase: 'venv', reason: 'warm_pool' });
+    } else {
+      await createVirtualEnv(sbx, { emit, warn });
+    }
+
+    // Pooled sandboxes come with the base and MCP packages installed, so
+    // they only need pip when the request adds packages of its own
+    let dependencies;
+    if (pooled && !manifest.some(({ source }) => source === 'request')) {
+      emit({ type: 'phase_skipped', phase: 'install', reason: 'warm_pool' });
+      await sbx.files.write('workspace/requirements.txt', buildRequirementsTxt(manifest));
+      dependencies = await resolveInstalledVersions(sbx, manifest);
+    } else {
+      dependencies = await runPhase('install', emit, () => installDependencies(sbx, manifest, { emit }));
+    }
+
+    // Test MCP import if this is an MCP agent
+    let mcpImportError = null;
+    if (isMcpAgent) {
+      await runPhase('mcp_check', emit, async () => {
+        try {
+          const mcpTestResult = await sbx.commands.run(`source workspace/venv/bin/activate && python3 -c "${MCP_IMPORT_TEST_PY}"`);
+          logger.debug('MCP import test', { stdout: mcpTestResult.stdout.trim(), stderr: mcpTestResult.stderr });
+        } catch (error) {
+          mcpImportError = readMcpImportError(error.stdout);
+          if (!mcpImportError) {
+            warn('mcp_check', `Could not test MCP imports: ${error.message}`);
+          } else if (fallbackPolicy === 'fail') {
+            throw new McpImportError(mcpImportError);
+          } else {
+            warn('mcp_check', `MCP imports failed, the agent will start without MCP tools: ${mcpImportError}`);
+          }
+        }
+      });
+    }
+
+    // Install and health-check exactly the MCP servers this agent uses
+    let mcpServerStatus = [];
+    if (mcpServers.length) {
+      mcpServerStatus = await runPhase('mcp_servers', emit, async () => {
+        const installFailures = await installMcpPackages(sbx, mcpServers);
+        const status = await checkMcpServers(sbx, mcpServers, { envs: resolvedSecrets.env, installFailures });
+
+        status.forEach(({ name, status: serverStatus, tools, error }) => {
+          if (serverStatus !== 'ok') {
+            warn('mcp_servers', `MCP server ${name} failed its health check: ${error}`);
+          }
+          emit({ type: 'mcp_server', name, status: serverStatus, tools, error });
+        });
+        return status;
+      });
+    }
+
+    await runPhase('config', emit, async () => {
+      // Create ADK config file
+      await sbx.files.write('workspace/adk.config.json', buildAdkConfig(resolvedSecrets.env));
+
+      // Create a .env file with the secrets resolved for this agent
+      await sbx.files.write('workspace/.env', buildEnvFile(resolvedSecrets.env));
+
+      // Create a Python script to check if port is open
+      await sbx.files.write('workspace/check_port.py', CHECK_PORT_PY);
+
+      // Send the stderr of the agent's MCP servers to their own log
+      if (isMcpAgent) await sbx.files.write('workspace/sitecustomize.py', MCP_STDERR_HOOK_PY);
+
+      // Create a startup script that properly detaches the process and binds to 0.0.0.0
+      await sbx.files.write('workspace/start_adk.sh', buildStartScript({ fallbackPolicy }));
+
+      // Script used to restart the server when agent files are hot-reloaded
+      await sbx.files.write('workspace/restart_adk.sh', buildRestartScript({ fallbackPolicy }));
+
+      // Make the scripts executable
+      await sbx.commands.run('chmod +x workspace/start_adk.sh workspace/restart_adk.sh', { timeoutMs: getConfig().sandbox.commandTimeoutMs });
+    });
+
+    return {
+      sbx,
+      packages,
+      isMcpAgent,
+      dependencies,
+      mcpServers: redactDeep(mcpServerStatus, redact),
+      fallbackPolicy,
+      mcpImportError,
+      secretEnv: resolvedSecrets.env,
+      redact,
+      emit,
+      warn,
+      stopTracking
+    };
+  } catch (error) {
+    stopTracking();
+    await cleanUpFailedDeploy(sbx, error, redact);
+    throw error;
+  }
+};
+
+// Metrics outcome label for a failed deploy
+const failureOutcome = (error) => {
+  if (error instanceof PreflightError) return 'preflight_failed';
+  if (error instanceof DependencyInstallError) return 'dependencies_failed';
+  return 'failed';
+};
+
+// Deploy the agent files into a fresh sandbox and start the ADK web server.
+// Takes either `files` for a single agent or `agents` for a multi-agent
+// project (see lib/project.js).
+//
+// Progress is reported through `onEvent` as structured events:
+//   { type: 'phase_start', phase }
+//   { type: 'phase_end', phase, status, durationMs, error? }
+//   { type: 'output', phase, stream, line }
+//   { type: 'warning', phase, message }
+//   { type: 'phase_skipped', phase, reason }
+// Every event also carries an ISO `timestamp`.
+//
+// The sandbox only gets the secrets the agent declares (see lib/secrets.js),
+// and their values are redacted from events and errors.
+//
+// `accessibleFiles` maps paths to the files the agent's MCP filesystem
+// server starts with (see lib/accessible-files.js), replacing its samples.
+//
+// `lifetimeSeconds` asks for a session lifetime other than the default; it is
+// capped by the sandbox.maxLifetimeMs setting.
+//
+// Every deploy is recorded in the run history (see lib/runs.js). `trigger`
+// says how it was started and `rerunOf` names the run it repeats. The
+// session, or the error a failed deploy throws, carries the `runId`.
+//
+// Resolves with the registered session. On failure the sandbox is cleaned up
+// and the error is rethrown.
+export const deployAgent = async ({ files, tenantId, lifetimeSeconds, trigger = 'execute', rerunOf, onEvent = () => {}, ...options }) => {
+  const timeoutMs = resolveLifetimeMs(lifetimeSeconds);
+  const agentType = resolveMcpServers({ files, agents: options.agents, mcpServers: options.mcpServers }).length ? 'mcp' : 'standard';
+  const run = startRun({
+    tenantId,
+    trigger,
+    rerunOf,
+    agentType,
+    agents: Object.keys(resolveAgentPackages({ files, agents: options.agents })),
+    request: storedRequest({ files, lifetimeSeconds, ...options })
+  });
+  const recordEvent = (event) => {
+    recordRunEvent(run, event);
+    onEvent(event);
+  };
+
+  let prepared;
+  try {
+    prepared = await prepareAgent({ files, timeoutMs, tenantId, ...options, onEvent: recordEvent });
+  } catch (error) {
+    executionsTotal.inc({ outcome: failureOutcome(error), agent_type: agentType });
+    await finishRun(run, { error });
+    error.runId = run.id;
+    throw error;
+  }
+  const { sbx, packages, isMcpAgent, dependencies, mcpServers, fallbackPolicy, secretEnv, redact, emit, warn, stopTracking } = prepared;
+
+  try {
+    // Set when the fallback agent runs instead of the submitted one
+    let importError = null;
+
+    // Instead of executing the code directly, run the ADK web command
+    const publicUrl = await runPhase('startup', emit, async () => {
+      // Execute the startup script; its output is reported as `output` events
+      let startResult;
+      try {
+        startResult = await sbx.commands.run('cd workspace && ./start_adk.sh', {
+          timeoutMs: getConfig().sandbox.startupTimeoutMs,
+          envs: secretEnv,
+          ...streamOutput(emit, 'startup')
+        });
+      } catch (error) {
+        // Under the `fail` policy the script refuses to start without MCP
+        const startImportError = fallbackPolicy === 'fail' && readMcpImportError(error.stdout);
+        throw startImportError ? new McpImportError(startImportError) : error;
+      }
+
+      // The script reinstalls requirements.txt when adk is missing, and swaps
+      // in the fallback agent when MCP imports fail
+      if (startResult.stdout.includes('ADK command not found')) {
+        pipFallbacks.inc({ path: 'startup_install' });
+      }
+      if (startResult.stdout.includes('Switched to fallback agent')) {
+        importError = readMcpImportError(startResult.stdout) || prepared.mcpImportError || 'unknown import error';
+        fallbackAgentActivations.inc();
+        warn('startup', `MCP imports failed, started the fallback agent without MCP tools: ${importError}`);
+      }
+
+      // Verify server is running using curl
+      const { adkPort, healthCheckTimeoutMs } = getConfig().sandbox;
+      const isRunning = await sbx.commands.run('curl -s -o /dev/null -w "%{http_code}" http://localhost:${ADK_PORT:-8000} || echo "Failed"', { timeoutMs: healthCheckTimeoutMs });
+      if (isRunning.stdout === "Failed") {
+        throw new Error(`ADK web server failed to start - could not connect to port ${adkPort}`);
+      }
+
+      // Try to verify the server is actually responding
+      try {
+        const curlCheck = await sbx.commands.run('curl -s -o /dev/null -w "%{http_code}" http://localhost:${ADK_PORT:-8000} || echo "Failed to connect"');
+        logger.debug('ADK web server responded', { httpStatus: curlCheck.stdout });
+      } catch (error) {
+        warn('startup', 'Could not verify HTTP server response');
+      }
+
+      // Get the public URL for the ADK web server
+      return sandboxUrl(sbx, adkPort);
+    });
+
+    // Keep a handle on the sandbox so it can be inspected or terminated later
+    const session = registerSession({
+      sbx,
+      tenantId,
+      agentType: isMcpAgent ? 'mcp' : 'standard',
+      serverUrl: publicUrl,
+      packages,
+      dependencies,
+      mcpServers,
+      fallbackPolicy,
+      degraded: Boolean(importError),
+      importError: importError && redact(importError),
+      secretEnv,
+      timeoutMs,
+      runId: run.id
+    });
+    logger.info('Session registered', { sessionId: session.id, serverUrl: publicUrl });
+    stopTracking();
+    executionsTotal.inc({ outcome: 'success', agent_type: agentType });
+    await finishRun(run, { session });
+
+    return session;
+  } catch (error) {
+    stopTracking();
+    executionsTotal.inc({ outcome: failureOutcome(error), agent_type: agentType });
+    await cleanUpFailedDeploy(sbx, error, redact);
+    await finishRun(run, { error });
+    error.runId = run.id;
+    throw error;
+  }
+};
+
+// Write changed agent files into a running session and restart `adk web`.
+// Takes the request's `files` or `agents`, which replace the previous set:
+// new and modified files are written, files that are no longer submitted are
+// removed. The caller makes sure the set of agent packages stays the same.
+// Reported file names are relative to the package for `files` and start with
+// the package name for `agents`.
+//
+// The restart script checks the MCP imports again, so a degraded session gets
+// its MCP tools back once they import, and `degraded`/`importError` are
+// updated from the restart.
+export const reloadAgentFiles = async (session, { files, agents }) => {
+  const { sbx } = session;
+  const packages = resolveAgentPackages({ files, agents });
+  const previous = projectFiles(session.packages);
+  const next = projectFiles(packages);
+  const label = (filePath) => (agents ? filePath : filePath.slice(DEFAULT_AGENT_PACKAGE.length + 1));
+
+  const changed = Object.keys(next).filter(filePath => previous[filePath] !== next[filePath]);
+  const removed = Object.keys(previous).filter(filePath => !(filePath in next));
+  const unchanged = Object.keys(next).filter(filePath => previous[filePath] === next[filePath]);
+  const result = { changed: changed.map(label), removed: removed.map(label), unchanged: unchanged.map(label) };
+
+  if (!changed.length && !removed.length) {
+    return { ...result, restarted: false, restartError: null };
+  }
+
+  logger.info('Reloading session files', { sessionId: session.id, changed, removed });
+  // A degraded session runs the fallback as agent.py, so the submitted
+  // agent.py files go back in for the import check
+  const rewritten = session.degraded
+    ? [...new Set([...changed, ...Object.keys(next).filter(filePath => filePath.endsWith('/agent.py'))])]
+    : changed;
+  for (const filePath of rewritten) {
+    await sbx.files.write(`workspace/${filePath}`, next[filePath]);
+  }
+  for (const filePath of removed) {
+    await sbx.files.remove(`workspace/${filePath}`);
+  }
+
+  // MCP agents need the fallback the pipeline writes for them; a previous
+  // swap to the fallback has used it up
+  const isMcpAgent = session.mcpServers.length > 0
+    || Object.values(packages).some(packageFiles => detectMcpAgent(packageFiles['agent.py']));
+  const fallbackAgent = buildFallbackAgent(session.fallbackPolicy);
+  if (isMcpAgent && fallbackAgent) {
+    for (const name of Object.keys(packages)) {
+      await sbx.files.write(`workspace/${name}/agent_fallback.py`, fallbackAgent);
+    }
+  }
+  if (isMcpAgent) await sbx.files.write('workspace/sitecustomize.py', MCP_STDERR_HOOK_PY);
+  session.agentType = isMcpAgent ? 'mcp' : 'standard';
+  session.packages = Object.fromEntries(Object.entries(packages).map(([name, packageFiles]) => [name, { ...packageFiles }]));
+
+  // Restart the server so the new code is imported
+  const redact = createRedactor(Object.values(session.secretEnv || {}));
+  try {
+    const { stdout } = await sbx.commands.run('./workspace/restart_adk.sh', { timeoutMs: getConfig().sandbox.restartTimeoutMs, envs: session.secretEnv });
+    const importError = stdout.includes('Switched to fallback agent')
+      ? readMcpImportError(stdout) || 'unknown import error'
+      : null;
+    if (importError) fallbackAgentActivations.inc();
+    session.degraded = Boolean(importError);
+    session.importError = importError && redact(importError);
+    logger.info('ADK web server restarted', { sessionId: session.id, degraded: session.degraded });
+    return { ...result, restarted: true, restartError: null };
+  } catch (error) {
+    logger.error('Restarting ADK web server failed', { sessionId: session.id, error });
+    // Under the `fail` policy the script refuses to restart without MCP and
+    // leaves the previous server running
+    const importError = session.fallbackPolicy === 'fail' && readMcpImportError(error.stdout);
+    return { ...result, restarted: false, restartError: redact(importError ? `MCP import failed: ${importError}` : error.stderr || error.message) };
+  }
+};
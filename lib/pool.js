@@ -0,0 +1,142 @@
+import { getConfig } from './config.js';
+import { logger } from './logger.js';
+
+// Warm pool of pre-provisioned sandboxes with the venv and node_modules
+// already installed, so a deploy only has to write the agent files and start
+// `adk web`. Disabled unless WARM_POOL_SIZE is set; see the `pool` settings in
+// lib/config.js.
+
+const poolConfig = () => getConfig().pool;
+
+const idle = []; // { sbx, readyAt }, oldest first
+let provisioning = 0;
+let provisionSandbox = null;
+let retryTimer = null;
+let sweepTimer = null;
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  provisioned: 0,
+  provisionFailures: 0,
+  evicted: 0
+};
+
+const killQuietly = async (sbx) => {
+  try {
+    await sbx.kill();
+  } catch (error) {
+    logger.warn('Killing pooled sandbox failed', { error });
+  }
+};
+
+const provisionOne = async () => {
+  provisioning++;
+  try {
+    // Pooled sandboxes must outlive their idle period; the timeout is reset on handout
+    const { maxIdleMs, sweepIntervalMs } = poolConfig();
+    const sbx = await provisionSandbox({ timeoutMs: maxIdleMs + sweepIntervalMs });
+    if (!provisionSandbox) {
+      // The pool was drained while this sandbox was being set up
+      await killQuietly(sbx);
+      return;
+    }
+    idle.push({ sbx, readyAt: Date.now() });
+    stats.provisioned++;
+    logger.info('Warm pool sandbox ready', { idle: idle.length, size: poolConfig().size });
+  } catch (error) {
+    stats.provisionFailures++;
+    logger.error('Provisioning warm pool sandbox failed', { error });
+
+    // Don't hammer the sandbox provider while it's failing
+    if (!retryTimer) {
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        fillPool();
+      }, poolConfig().retryDelayMs);
+      retryTimer.unref();
+    }
+  } finally {
+    provisioning--;
+  }
+};
+
+const fillPool = () => {
+  if (!provisionSandbox || retryTimer) return;
+  while (idle.length + provisioning < poolConfig().size) {
+    provisionOne();
+  }
+};
+
+// Kill sandboxes that have sat idle longer than the configured maximum
+const evictStale = async () => {
+  const cutoff = Date.now() - poolConfig().maxIdleMs;
+  while (idle.length && idle[0].readyAt < cutoff) {
+    const { sbx } = idle.shift();
+    stats.evicted++;
+    await killQuietly(sbx);
+  }
+  if (poolConfig().refill) fillPool();
+};
+
+// Start filling the pool. `provision` creates one ready-to-use sandbox.
+export const startWarmPool = ({ provision }) => {
+  if (poolConfig().size <= 0) return;
+
+  provisionSandbox = provision;
+  logger.info('Warm pool enabled', poolConfig());
+  fillPool();
+
+  sweepTimer = setInterval(evictStale, poolConfig().sweepIntervalMs);
+  sweepTimer.unref();
+};
+
+// Hand out a pooled sandbox with its timeout reset to `timeoutMs`.
+// Resolves with null when the pool is empty or disabled.
+export const acquireWarmSandbox = async ({ timeoutMs }) => {
+  if (poolConfig().size <= 0) return null;
+
+  while (idle.length) {
+    const { sbx, readyAt } = idle.shift();
+    if (Date.now() - readyAt > poolConfig().maxIdleMs) {
+      stats.evicted++;
+      killQuietly(sbx);
+      continue;
+    }
+
+    try {
+      await sbx.setTimeout(timeoutMs);
+      stats.hits++;
+      if (poolConfig().refill) fillPool();
+      return sbx;
+    } catch (error) {
+      // The sandbox died while it was waiting in the pool
+      logger.warn('Discarding unreachable pooled sandbox', { error });
+      stats.evicted++;
+    }
+  }
+
+  stats.misses++;
+  if (poolConfig().refill) fillPool();
+  return null;
+};
+
+export const getWarmPoolStats = () => ({
+  enabled: poolConfig().size > 0,
+  size: poolConfig().size,
+  refill: poolConfig().refill,
+  maxIdleMs: poolConfig().maxIdleMs,
+  idle: idle.length,
+  provisioning,
+  ...stats
+});
+
+// Kill every idle sandbox, e.g. before the server shuts down
+export const drainWarmPool = async () => {
+  clearInterval(sweepTimer);
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  provisionSandbox = null;
+  const drained = idle.splice(0, idle.length);
+  await Promise.all(drained.map(({ sbx }) => killQuietly(sbx)));
+};
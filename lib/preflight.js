@@ -0,0 +1,170 @@
+import { spawn } from 'child_process';
+import { getConfig } from './config.js';
+
+const PREFLIGHT_PYTHON = process.env.PREFLIGHT_PYTHON || 'python3';
+
+// Substrings that mark agent code as using MCP tools
+export const MCP_MARKERS = ['MCPToolset', 'mcp_tool', 'StdioServerParameters'];
+
+// Check if the agent code is an MCP agent
+export const detectMcpAgent = (agentCode) => MCP_MARKERS.some(marker => agentCode.includes(marker));
+
+// Parses (never executes) the submitted Python files and reports syntax errors
+// and where root_agent is bound in agent.py. Reads {"files": {...}} on stdin.
+const CHECK_SCRIPT = `
+import ast, json, sys
+
+files = json.load(sys.stdin)["files"]
+diagnostics = []
+root_agent_line = None
+
+for name, source in files.items():
+    if not name.endswith(".py"):
+        continue
+    try:
+        tree = ast.parse(source, filename=name)
+    except SyntaxError as e:
+        diagnostics.append({
+            "file": name,
+            "line": e.lineno,
+            "column": e.offset,
+            "severity": "error",
+            "message": f"{type(e).__name__}: {e.msg}",
+        })
+        continue
+
+    if name != "agent.py":
+        continue
+    for node in tree.body:
+        targets = []
+        if isinstance(node, ast.Assign):
+            targets = [t.id for t in node.targets if isinstance(t, ast.Name)]
+        elif isinstance(node, ast.AnnAssign) and isinstance(node.target, ast.Name):
+            targets = [node.target.id]
+        elif isinstance(node, (ast.Import, ast.ImportFrom)):
+            targets = [alias.asname or alias.name for alias in node.names]
+        elif isinstance(node, (ast.FunctionDef, ast.AsyncFunctionDef, ast.ClassDef)):
+            targets = [node.name]
+        if "root_agent" in targets:
+            root_agent_line = node.lineno
+
+print(json.dumps({"diagnostics": diagnostics, "rootAgentLine": root_agent_line}))
+`;
+
+// Thrown by the deploy pipeline when the submitted agent fails pre-flight
+export class PreflightError extends Error {
+  constructor(report) {
+    super(`Pre-flight check failed: ${report.diagnostics.filter(d => d.severity === 'error').map(d => `${d.agent ? `${d.agent}/` : ''}${d.file}${d.line ? `:${d.line}` : ''} ${d.message}`).join('; ')}`);
+    this.name = 'PreflightError';
+    this.code = 'PREFLIGHT_FAILED';
+    this.status = 422;
+    this.diagnostics = report.diagnostics;
+    this.report = report;
+  }
+}
+
+// Run the check script with the local Python interpreter
+const runPythonCheck = (files) => new Promise((resolve, reject) => {
+  const child = spawn(PREFLIGHT_PYTHON, ['-c', CHECK_SCRIPT], { stdio: ['pipe', 'pipe', 'pipe'] });
+  let stdout = '';
+  let stderr = '';
+
+  const { preflightTimeoutMs } = getConfig().sandbox;
+  const timer = setTimeout(() => {
+    child.kill('SIGKILL');
+    reject(new Error(`Python pre-flight check timed out after ${preflightTimeoutMs}ms`));
+  }, preflightTimeoutMs);
+
+  child.stdout.on('data', (data) => { stdout += data; });
+  child.stderr.on('data', (data) => { stderr += data; });
+  child.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  child.on('close', (code) => {
+    clearTimeout(timer);
+    if (code !== 0) {
+      return reject(new Error(`Python pre-flight check exited with code ${code}: ${stderr.trim()}`));
+    }
+    try {
+      resolve(JSON.parse(stdout));
+    } catch (error) {
+      reject(new Error(`Could not parse pre-flight output: ${error.message}`));
+    }
+  });
+
+  child.stdin.on('error', () => {}); // Reported through 'error'/'close' instead
+  child.stdin.end(JSON.stringify({ files }));
+});
+
+// Best-effort root_agent check when no Python interpreter is available
+const findRootAgentLine = (source) => {
+  const index = source.split('\n').findIndex(line => /^(root_agent\s*(:[^=]+)?=|from\s+\S+\s+import\s+.*\broot_agent\b|(async\s+)?def\s+root_agent\b|class\s+root_agent\b)/.test(line));
+  return index === -1 ? null : index + 1;
+};
+
+// Check the submitted agent files without creating a sandbox.
+// Resolves with { ok, pythonChecked, isMcpAgent, mcpMarkers, rootAgent, diagnostics }.
+export const runPreflight = async (files) => {
+  const diagnostics = [];
+  let rootAgentLine = null;
+  let pythonChecked = true;
+
+  try {
+    const result = await runPythonCheck(files);
+    diagnostics.push(...result.diagnostics);
+    rootAgentLine = result.rootAgentLine;
+  } catch (error) {
+    // Don't block deploys on hosts without Python; the sandbox will still catch syntax errors
+    pythonChecked = false;
+    rootAgentLine = findRootAgentLine(files['agent.py']);
+    diagnostics.push({
+      file: null,
+      line: null,
+      column: null,
+      severity: 'warning',
+      message: `Python syntax check skipped: ${error.message}`
+    });
+  }
+
+  const syntaxOk = !diagnostics.some(d => d.severity === 'error' && d.file === 'agent.py');
+  if (syntaxOk && !rootAgentLine) {
+    diagnostics.push({
+      file: 'agent.py',
+      line: null,
+      column: null,
+      severity: 'error',
+      message: 'agent.py must define a module-level root_agent'
+    });
+  }
+
+  const agentCode = files['agent.py'];
+  return {
+    ok: !diagnostics.some(d => d.severity === 'error'),
+    pythonChecked,
+    isMcpAgent: detectMcpAgent(agentCode),
+    mcpMarkers: MCP_MARKERS.filter(marker => agentCode.includes(marker)),
+    rootAgent: { defined: Boolean(rootAgentLine), line: rootAgentLine },
+    diagnostics
+  };
+};
+
+// Check every package of a multi-agent project (see lib/project.js).
+// Resolves with runPreflight's report for the whole project, where each
+// diagnostic names its package as `agent`, plus `agents`: one
+// { name, rootAgent, isMcpAgent } entry per package.
+export const runProjectPreflight = async (packages) => {
+  const reports = [];
+  for (const [name, files] of Object.entries(packages)) {
+    reports.push({ name, report: await runPreflight(files) });
+  }
+
+  return {
+    ok: reports.every(({ report }) => report.ok),
+    pythonChecked: reports.every(({ report }) => report.pythonChecked),
+    isMcpAgent: reports.some(({ report }) => report.isMcpAgent),
+    mcpMarkers: [...new Set(reports.flatMap(({ report }) => report.mcpMarkers))],
+    agents: reports.map(({ name, report }) => ({ name, rootAgent: report.rootAgent, isMcpAgent: report.isMcpAgent })),
+    diagnostics: reports.flatMap(({ name, report }) => report.diagnostics.map(diagnostic => ({ agent: name, ...diagnostic })))
+  };
+};
@@ -0,0 +1,25 @@
+// Agent projects. A deploy request sends either `files`, a single agent
+// package deployed as multi_tool_agent, or `agents`, several named packages:
+//   { "agents": { "researcher": { "agent.py": "...", "tools/search.py": "..." }, "writer": { ... } } }
+// Each package becomes a directory of the sandbox workspace with its own
+// root_agent, and `adk web` serves every one of them as an app.
+
+export const DEFAULT_AGENT_PACKAGE = 'multi_tool_agent';
+
+export const MAX_AGENT_PACKAGES = 10;
+
+// Package names are Python identifiers, since ADK imports them as modules
+export const AGENT_PACKAGE_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+
+// Workspace directories the server itself uses
+export const RESERVED_PACKAGE_NAMES = ['venv', 'logs', 'node_modules', 'accessible_files'];
+
+// The request's agent packages as { name: files }
+export const resolveAgentPackages = ({ files, agents }) => (agents ? { ...agents } : { [DEFAULT_AGENT_PACKAGE]: files });
+
+// Every file of a project keyed by its path under workspace/, e.g. researcher/agent.py
+export const projectFiles = (packages) => Object.fromEntries(Object.entries(packages).flatMap(([name, files]) =>
+  Object.entries(files).map(([filename, content]) => [`${name}/${filename}`, content])));
+
+// Link that opens one agent in the ADK dev UI
+export const agentUiUrl = (serverUrl, name) => `${serverUrl}/dev-ui/?app=${encodeURIComponent(name)}`;
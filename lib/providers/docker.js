@@ -0,0 +1,125 @@
+import { randomUUID } from 'crypto';
+import path from 'path';
+import { getConfig } from '../config.js';
+import { logger } from '../logger.js';
+import { findFreePort, runProcess } from './process.js';
+
+const CONTAINER_HOME = '/home/user';
+
+// Needs Python 3.9+, Node.js/npm for the MCP servers, and curl
+const DOCKER_SANDBOX_IMAGE = process.env.DOCKER_SANDBOX_IMAGE || 'nikolaik/python-nodejs:python3.9-nodejs20';
+
+const docker = (args, opts) => runProcess('docker', args, opts);
+
+// A sandbox backed by a local Docker container. The container keeps the same
+// /home/user working directory as an E2B sandbox, and its ADK port is
+// published on a free localhost port.
+export class DockerSandbox {
+  constructor({ containerId, hostPort }) {
+    this.sandboxId = containerId;
+    this.hostPort = hostPort;
+    this.expiryTimer = null;
+
+    this.commands = {
+      run: (cmd, { timeoutMs = 60000, envs = {}, onStdout, onStderr } = {}) => {
+        const envArgs = Object.entries(envs)
+          .filter(([, value]) => value !== undefined)
+          .flatMap(([key, value]) => ['-e', `${key}=${value}`]);
+        return docker(['exec', ...envArgs, '-w', CONTAINER_HOME, containerId, 'bash', '-c', cmd], { timeoutMs, onStdout, onStderr });
+      }
+    };
+
+    const resolve = (filePath) => this.resolve(filePath);
+
+    this.files = {
+      write: async (filePath, data) => {
+        const target = resolve(filePath);
+        await docker(['exec', '-i', containerId, 'sh', '-c', 'mkdir -p "$(dirname "$1")" && cat > "$1"', 'sh', target], {
+          input: typeof data === 'string' ? data : Buffer.from(data)
+        });
+        return { name: path.posix.basename(target), type: 'file', path: target };
+      },
+      read: async (filePath, { format = 'text' } = {}) => {
+        const { stdout } = await docker(['exec', containerId, 'cat', resolve(filePath)], { encoding: 'buffer' });
+        return format === 'bytes' ? new Uint8Array(stdout) : stdout.toString('utf8');
+      },
+      list: async (dirPath) => {
+        const target = resolve(dirPath);
+        const { stdout } = await docker(['exec', containerId, 'find', target, '-mindepth', '1', '-maxdepth', '1', '-printf', '%y %f\\n']);
+        return stdout.split('\n').filter(Boolean).map(line => {
+          const name = line.slice(2);
+          return { name, type: line[0] === 'd' ? 'dir' : 'file', path: path.posix.join(target, name) };
+        });
+      },
+      exists: async (filePath) => {
+        try {
+          await docker(['exec', containerId, 'test', '-e', resolve(filePath)]);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      makeDir: async (dirPath) => {
+        await docker(['exec', containerId, 'mkdir', '-p', resolve(dirPath)]);
+        return true;
+      },
+      remove: async (filePath) => {
+        await docker(['exec', containerId, 'rm', '-rf', resolve(filePath)]);
+      }
+    };
+  }
+
+  // Paths are relative to the container's home directory, as in E2B. Anything
+  // outside it is refused, like the local provider does.
+  resolve(filePath) {
+    const target = path.posix.resolve(CONTAINER_HOME, filePath);
+    if (target !== CONTAINER_HOME && !target.startsWith(`${CONTAINER_HOME}/`)) {
+      throw new Error(`Path ${filePath} is outside the sandbox`);
+    }
+    return target;
+  }
+
+  getHost(port) {
+    return `localhost:${port === getConfig().sandbox.adkPort ? this.hostPort : port}`;
+  }
+
+  async setTimeout(timeoutMs) {
+    clearTimeout(this.expiryTimer);
+    this.expiryTimer = setTimeout(() => {
+      this.kill().catch(error => logger.warn('Removing expired sandbox failed', { sandboxId: this.sandboxId, error }));
+    }, timeoutMs);
+    this.expiryTimer.unref();
+  }
+
+  async kill() {
+    clearTimeout(this.expiryTimer);
+    await docker(['rm', '-f', this.sandboxId], { timeoutMs: 30000 });
+  }
+}
+
+export const dockerProvider = {
+  name: 'docker',
+
+  create: async ({ timeoutMs, envs = {} }) => {
+    const hostPort = await findFreePort();
+    const envArgs = Object.entries(envs)
+      .filter(([, value]) => value !== undefined)
+      .flatMap(([key, value]) => ['-e', `${key}=${value}`]);
+
+    const { stdout } = await docker([
+      'run', '-d', '--rm',
+      '--name', `agent-sandbox-${randomUUID()}`,
+      '-p', `127.0.0.1:${hostPort}:${getConfig().sandbox.adkPort}`,
+      '-w', CONTAINER_HOME,
+      ...envArgs,
+      DOCKER_SANDBOX_IMAGE,
+      'sleep', 'infinity'
+    ], { timeoutMs: 120000 });
+
+    const sandbox = new DockerSandbox({ containerId: stdout.trim(), hostPort });
+    await sandbox.setTimeout(timeoutMs);
+    return sandbox;
+  },
+
+  publicUrl: (sbx, port) => `http://${sbx.getHost(port)}`
+};
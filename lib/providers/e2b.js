@@ -0,0 +1,16 @@
+import { Sandbox } from '@e2b/code-interpreter';
+
+// Sandboxes hosted by E2B. This is the default provider.
+export const e2bProvider = {
+  name: 'e2b',
+
+  create: ({ timeoutMs, envs }) => Sandbox.create({
+    apiKey: process.env.E2B_API_KEY,
+    timeoutMs,
+    envs,
+    rootUser: true // Run as root to avoid permission issues
+  }),
+
+  // E2B exposes every sandbox port through its own HTTPS host
+  publicUrl: (sbx, port) => `https://${sbx.getHost(port)}`
+};
@@ -0,0 +1,41 @@
+import { dockerProvider } from './docker.js';
+import { e2bProvider } from './e2b.js';
+import { localProvider } from './local.js';
+
+// Sandbox providers, picked with the SANDBOX_PROVIDER environment variable.
+//
+// A provider is { name, create({ timeoutMs, envs }), publicUrl(sbx, port) }.
+// `create` resolves with a sandbox exposing the part of the E2B Sandbox API
+// this server uses:
+//   sandboxId
+//   commands.run(cmd, { timeoutMs, envs, onStdout, onStderr })
+//     resolves with { exitCode, stdout, stderr }, rejects on a non-zero exit
+//   files.write / read / list / exists / makeDir / remove
+//   getHost(port), setTimeout(timeoutMs), kill()
+// Relative paths are resolved against the sandbox's working directory.
+export const SANDBOX_PROVIDERS = {
+  e2b: e2bProvider,
+  local: localProvider,
+  docker: dockerProvider
+};
+
+let activeProvider = null;
+
+export const getSandboxProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.SANDBOX_PROVIDER || 'e2b';
+    activeProvider = SANDBOX_PROVIDERS[name];
+    if (!activeProvider) {
+      throw new Error(`Unknown SANDBOX_PROVIDER "${name}", expected one of ${Object.keys(SANDBOX_PROVIDERS).join(', ')}`);
+    }
+  }
+  return activeProvider;
+};
+
+// Swap the provider at runtime, e.g. for an in-memory fake in tests
+export const setSandboxProvider = (provider) => {
+  activeProvider = provider;
+};
+
+// URL where a port inside the sandbox can be reached from outside
+export const sandboxUrl = (sbx, port) => getSandboxProvider().publicUrl(sbx, port);
@@ -0,0 +1,146 @@
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getConfig } from '../config.js';
+import { logger } from '../logger.js';
+import { findFreePort, runProcess } from './process.js';
+
+const LOCAL_SANDBOX_ROOT = process.env.LOCAL_SANDBOX_ROOT || path.join(os.tmpdir(), 'agent-sandboxes');
+
+// A sandbox that is just a directory on this machine. Commands run through
+// bash with the directory as working directory, so the workspace layout is the
+// same as in an E2B sandbox. There is no isolation: only use it for development,
+// CI and trusted self-hosting.
+export class LocalSandbox {
+  constructor({ root, hostPort, envs }) {
+    this.sandboxId = path.basename(root);
+    this.root = root;
+    this.hostPort = hostPort;
+    this.envs = envs;
+    this.processGroups = new Set();
+    this.killed = false;
+    this.expiryTimer = null;
+
+    this.commands = {
+      run: (cmd, opts = {}) => this.run(cmd, opts)
+    };
+
+    this.files = {
+      write: async (filePath, data) => {
+        const target = this.resolve(filePath);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, typeof data === 'string' ? data : Buffer.from(data));
+        return { name: path.basename(target), type: 'file', path: target };
+      },
+      read: async (filePath, { format = 'text' } = {}) => {
+        const content = await fs.readFile(this.resolve(filePath));
+        return format === 'bytes' ? new Uint8Array(content) : content.toString('utf8');
+      },
+      list: async (dirPath) => {
+        const target = this.resolve(dirPath);
+        const entries = await fs.readdir(target, { withFileTypes: true });
+        return entries.map(entry => ({
+          name: entry.name,
+          type: entry.isDirectory() ? 'dir' : 'file',
+          path: path.join(target, entry.name)
+        }));
+      },
+      exists: async (filePath) => {
+        try {
+          await fs.access(this.resolve(filePath));
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      makeDir: async (dirPath) => {
+        await fs.mkdir(this.resolve(dirPath), { recursive: true });
+        return true;
+      },
+      remove: async (filePath) => {
+        await fs.rm(this.resolve(filePath), { recursive: true, force: true });
+      }
+    };
+  }
+
+  // Map a sandbox path onto the host, refusing anything outside the sandbox directory
+  resolve(filePath) {
+    const target = path.resolve(this.root, filePath);
+    if (target !== this.root && !target.startsWith(this.root + path.sep)) {
+      throw new Error(`Path ${filePath} is outside the sandbox`);
+    }
+    return target;
+  }
+
+  run(cmd, { timeoutMs = 60000, envs = {}, onStdout, onStderr } = {}) {
+    if (this.killed) {
+      return Promise.reject(new Error(`Sandbox ${this.sandboxId} has been killed`));
+    }
+
+    const env = {
+      PATH: process.env.PATH,
+      HOME: process.env.HOME,
+      LANG: process.env.LANG || 'C.UTF-8',
+      ...this.envs,
+      ...envs,
+      ADK_PORT: String(this.hostPort)
+    };
+    // Unset values would otherwise reach the process as the string "undefined"
+    Object.keys(env).forEach(key => env[key] === undefined && delete env[key]);
+
+    return runProcess('bash', ['-c', cmd], {
+      cwd: this.root,
+      env,
+      timeoutMs,
+      onStdout,
+      onStderr,
+      // Background processes (like `nohup adk web &`) stay in this group until kill()
+      onSpawn: (child) => this.processGroups.add(child.pid)
+    });
+  }
+
+  // The configured ADK port is mapped to a free host port per sandbox, so
+  // several local agents can run side by side
+  getHost(port) {
+    return `localhost:${port === getConfig().sandbox.adkPort ? this.hostPort : port}`;
+  }
+
+  async setTimeout(timeoutMs) {
+    clearTimeout(this.expiryTimer);
+    this.expiryTimer = setTimeout(() => {
+      this.kill().catch(error => logger.warn('Removing expired sandbox failed', { sandboxId: this.sandboxId, error }));
+    }, timeoutMs);
+    this.expiryTimer.unref();
+  }
+
+  async kill() {
+    if (this.killed) return;
+    this.killed = true;
+    clearTimeout(this.expiryTimer);
+
+    for (const pgid of this.processGroups) {
+      try {
+        process.kill(-pgid, 'SIGTERM');
+      } catch (error) {
+        // The group has already exited
+      }
+    }
+    await fs.rm(this.root, { recursive: true, force: true });
+  }
+}
+
+export const localProvider = {
+  name: 'local',
+
+  create: async ({ timeoutMs, envs = {} }) => {
+    const root = path.join(LOCAL_SANDBOX_ROOT, `sbx-${randomUUID()}`);
+    await fs.mkdir(root, { recursive: true });
+
+    const sandbox = new LocalSandbox({ root, hostPort: await findFreePort(), envs });
+    await sandbox.setTimeout(timeoutMs);
+    return sandbox;
+  },
+
+  publicUrl: (sbx, port) => `http://${sbx.getHost(port)}`
+};
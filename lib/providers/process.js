@@ -0,0 +1,76 @@
+import { spawn } from 'child_process';
+import net from 'net';
+
+// Thrown when a sandbox command exits with a non-zero code. Mirrors the
+// CommandExitError the E2B SDK throws, so callers can treat providers alike.
+export class CommandExitError extends Error {
+  constructor({ exitCode, stdout, stderr }) {
+    super(`Command exited with code ${exitCode}${stderr ? ` and error:\n${stderr}` : ''}`);
+    this.name = 'CommandExitError';
+    this.exitCode = exitCode;
+    this.stdout = stdout;
+    this.stderr = stderr;
+  }
+}
+
+// Run a host process and collect its output the way E2B's `commands.run` does.
+// The process gets its own process group so it can be killed with everything it started.
+export const runProcess = (command, args, { cwd, env, timeoutMs = 60000, input, onStdout, onStderr, onSpawn, encoding = 'utf8' } = {}) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(command, args, { cwd, env, detached: true, stdio: ['pipe', 'pipe', 'pipe'] });
+    onSpawn?.(child);
+
+    const stdoutChunks = [];
+    let stderr = '';
+    let timedOut = false;
+
+    const timer = timeoutMs ? setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        // Already gone
+      }
+    }, timeoutMs) : null;
+
+    child.stdout.on('data', (data) => {
+      stdoutChunks.push(data);
+      onStdout?.(data.toString());
+    });
+    child.stderr.on('data', (data) => {
+      stderr += data;
+      onStderr?.(data.toString());
+    });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      const stdoutBuffer = Buffer.concat(stdoutChunks);
+      const stdout = encoding === 'buffer' ? stdoutBuffer : stdoutBuffer.toString(encoding);
+
+      if (timedOut) {
+        return reject(new Error(`Command timed out after ${timeoutMs}ms`));
+      }
+      const result = { exitCode: code ?? 1, stdout, stderr };
+      if (result.exitCode !== 0) {
+        return reject(new CommandExitError(result));
+      }
+      resolve(result);
+    });
+
+    child.stdin.on('error', () => {}); // The process may exit without reading its input
+    child.stdin.end(input);
+  });
+
+// Ask the OS for a free TCP port on the loopback interface
+export const findFreePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.unref();
+  server.on('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
@@ -0,0 +1,201 @@
+// Per-tenant quotas and rate limits. Usage is tracked in memory, so it resets
+// when the server restarts.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MINUTE_MS = 60 * 1000;
+
+// Thrown when a tenant is over one of its quotas; answered with 429 and Retry-After
+export class QuotaError extends Error {
+  constructor(message, { quota, limit, retryAfterSeconds }) {
+    super(message);
+    this.name = 'QuotaError';
+    this.code = 'QUOTA_EXCEEDED';
+    this.status = 429;
+    this.quota = quota;
+    this.limit = limit;
+    this.retryAfterSeconds = Math.max(1, Math.ceil(retryAfterSeconds));
+  }
+}
+
+const parseLimit = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const QUOTA_NAMES = ['maxConcurrent', 'launchesPerHour', 'sandboxMinutesPerDay', 'requestsPerMinute'];
+
+// Limits every tenant gets unless TENANT_QUOTAS overrides them
+const defaultQuotas = () => ({
+  maxConcurrent: parseLimit(process.env.QUOTA_MAX_CONCURRENT, 2),
+  launchesPerHour: parseLimit(process.env.QUOTA_LAUNCHES_PER_HOUR, 20),
+  sandboxMinutesPerDay: parseLimit(process.env.QUOTA_SANDBOX_MINUTES_PER_DAY, 120),
+  requestsPerMinute: parseLimit(process.env.RATE_LIMIT_PER_MINUTE, 120)
+});
+
+// Per-tenant overrides, e.g. TENANT_QUOTAS='{"acme":{"maxConcurrent":5}}'
+const tenantOverrides = () => {
+  if (!process.env.TENANT_QUOTAS) return {};
+
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.TENANT_QUOTAS);
+  } catch (error) {
+    throw new Error(`TENANT_QUOTAS is not valid JSON: ${error.message}`);
+  }
+
+  for (const [tenantId, quotas] of Object.entries(overrides)) {
+    for (const [name, value] of Object.entries(quotas)) {
+      if (!QUOTA_NAMES.includes(name)) {
+        throw new Error(`TENANT_QUOTAS.${tenantId}: unknown quota "${name}", use one of ${QUOTA_NAMES.join(', ')}`);
+      }
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`TENANT_QUOTAS.${tenantId}.${name} must be a non-negative integer`);
+      }
+    }
+  }
+  return overrides;
+};
+
+export const getTenantQuotas = (tenantId) => ({ ...defaultQuotas(), ...tenantOverrides()[tenantId] });
+
+// Throws if the quota settings are malformed, so the server can refuse to start
+export const assertQuotasConfigured = () => {
+  tenantOverrides();
+};
+
+const tenants = new Map();
+
+const startOfDay = (now) => now - (now % DAY_MS); // UTC midnight
+
+const getUsageRecord = (tenantId) => {
+  if (!tenants.has(tenantId)) {
+    tenants.set(tenantId, {
+      requestWindowStart: 0,
+      requestCount: 0,
+      launches: [], // Launch timestamps in the last hour, oldest first
+      inFlight: 0, // Launches that haven't produced a session yet
+      activeSessions: new Map(), // Session ID -> { startedAt, expiresAt }
+      day: 0,
+      sandboxMsToday: 0 // From sessions that ended today
+    });
+  }
+
+  const record = tenants.get(tenantId);
+  const now = Date.now();
+  while (record.launches.length && record.launches[0] <= now - HOUR_MS) record.launches.shift();
+  if (record.day !== startOfDay(now)) {
+    record.day = startOfDay(now);
+    record.sandboxMsToday = 0;
+  }
+  return record;
+};
+
+const sandboxMinutesToday = (record) => {
+  const now = Date.now();
+  const runningMs = [...record.activeSessions.values()]
+    .reduce((total, { startedAt }) => total + now - Math.max(startedAt, record.day), 0);
+  return (record.sandboxMsToday + runningMs) / MINUTE_MS;
+};
+
+// Count one API request against the tenant's per-minute rate limit
+export const checkRateLimit = (tenantId) => {
+  const { requestsPerMinute } = getTenantQuotas(tenantId);
+  const record = getUsageRecord(tenantId);
+  const now = Date.now();
+
+  if (now - record.requestWindowStart >= MINUTE_MS) {
+    record.requestWindowStart = now;
+    record.requestCount = 0;
+  }
+  if (record.requestCount >= requestsPerMinute) {
+    throw new QuotaError(`Rate limit of ${requestsPerMinute} requests per minute exceeded`, {
+      quota: 'requestsPerMinute',
+      limit: requestsPerMinute,
+      retryAfterSeconds: (record.requestWindowStart + MINUTE_MS - now) / 1000
+    });
+  }
+  record.requestCount++;
+};
+
+// Check the launch quotas and reserve a slot for a new sandbox.
+// Returns a function that releases the reservation once the deploy has
+// finished, whether or not it produced a session.
+export const reserveLaunch = (tenantId) => {
+  const quotas = getTenantQuotas(tenantId);
+  const record = getUsageRecord(tenantId);
+  const now = Date.now();
+
+  const concurrent = record.inFlight + record.activeSessions.size;
+  if (concurrent >= quotas.maxConcurrent) {
+    const nextExpiry = Math.min(...[...record.activeSessions.values()].map(({ expiresAt }) => expiresAt));
+    throw new QuotaError(`Concurrent sandbox limit of ${quotas.maxConcurrent} reached`, {
+      quota: 'maxConcurrent',
+      limit: quotas.maxConcurrent,
+      retryAfterSeconds: Number.isFinite(nextExpiry) ? (nextExpiry - now) / 1000 : 30
+    });
+  }
+
+  if (record.launches.length >= quotas.launchesPerHour) {
+    throw new QuotaError(`Launch limit of ${quotas.launchesPerHour} per hour reached`, {
+      quota: 'launchesPerHour',
+      limit: quotas.launchesPerHour,
+      retryAfterSeconds: (record.launches[0] + HOUR_MS - now) / 1000
+    });
+  }
+
+  if (sandboxMinutesToday(record) >= quotas.sandboxMinutesPerDay) {
+    throw new QuotaError(`Daily limit of ${quotas.sandboxMinutesPerDay} sandbox minutes reached`, {
+      quota: 'sandboxMinutesPerDay',
+      limit: quotas.sandboxMinutesPerDay,
+      retryAfterSeconds: (record.day + DAY_MS - now) / 1000
+    });
+  }
+
+  record.launches.push(now);
+  record.inFlight++;
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    record.inFlight--;
+  };
+};
+
+// Called by the session registry when a tenant's sandbox starts and stops
+export const trackSessionStart = (tenantId, sessionId, { startedAt, expiresAt }) => {
+  getUsageRecord(tenantId).activeSessions.set(sessionId, { startedAt, expiresAt });
+};
+
+// Called when a session's lifetime is extended
+export const trackSessionExpiry = (tenantId, sessionId, expiresAt) => {
+  const session = getUsageRecord(tenantId).activeSessions.get(sessionId);
+  if (session) session.expiresAt = expiresAt;
+};
+
+export const trackSessionEnd = (tenantId, sessionId) => {
+  const record = getUsageRecord(tenantId);
+  const session = record.activeSessions.get(sessionId);
+  if (!session) return;
+
+  record.activeSessions.delete(sessionId);
+  record.sandboxMsToday += Date.now() - Math.max(session.startedAt, record.day);
+};
+
+// A tenant's quotas and current consumption
+export const getUsage = (tenantId) => {
+  const record = getUsageRecord(tenantId);
+  const now = Date.now();
+  return {
+    tenant: tenantId,
+    quotas: getTenantQuotas(tenantId),
+    usage: {
+      concurrentSandboxes: record.inFlight + record.activeSessions.size,
+      launchesLastHour: record.launches.length,
+      sandboxMinutesToday: Math.round(sandboxMinutesToday(record) * 100) / 100,
+      requestsThisMinute: now - record.requestWindowStart < MINUTE_MS ? record.requestCount : 0
+    },
+    sandboxMinutesResetAt: new Date(record.day + DAY_MS).toISOString()
+  };
+};
@@ -0,0 +1,376 @@
+import { createHash, randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { getConfig } from './config.js';
+import { logger } from './logger.js';
+
+// Run history: every deploy is recorded with its inputs, the outcome and
+// duration of each pipeline phase, its final status and its progress events,
+// and kept after the response is gone. Runs are stored as one JSON file each
+// by default; see the `runs` settings in lib/config.js. Secret values and
+// MCP server env values never reach the store, only their names.
+//
+// Evaluations (POST /api/evaluate) are deliberately not runs: they never
+// start a session, a re-run couldn't repeat their test cases, and their
+// report already holds the outcome.
+
+// `interrupted` runs were still deploying when the server stopped
+export const RUN_STATUSES = ['running', 'succeeded', 'failed', 'interrupted'];
+
+// How a run was started: the /api/execute, /api/execute/stream or /api/jobs
+// route, or a re-run of an earlier run
+export const RUN_TRIGGERS = ['execute', 'stream', 'job', 'rerun'];
+
+export const RUN_LIMITS = {
+  maxLogEvents: 2000,
+  defaultListLimit: 50,
+  maxListLimit: 200
+};
+
+export const RUN_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Deploy request fields a run keeps, enough to launch it again
+const STORED_FIELDS = [
+  'files',
+  'agents',
+  'secretRefs',
+  'declaredSecrets',
+  'dependencies',
+  'mcpServers',
+  'fallbackPolicy',
+  'accessibleFiles',
+  'lifetimeSeconds'
+];
+
+// The part of a deploy request a run stores. Inline `secrets` are reduced to
+// their names, and so is each MCP server's `env` (as `envNames`), since it may
+// hold credentials. A re-run has to send the values again (see rerunOptions).
+export const storedRequest = (options) => {
+  const request = Object.fromEntries(STORED_FIELDS.filter(field => options[field] !== undefined).map(field => [field, options[field]]));
+  if (Array.isArray(request.mcpServers)) {
+    request.mcpServers = request.mcpServers.map(({ env, ...server }) => (env ? { ...server, envNames: Object.keys(env).sort() } : server));
+  }
+  const secretNames = Object.keys(options.secrets || {}).sort();
+  return secretNames.length ? { ...request, secretNames } : request;
+};
+
+// Deploy options that launch a stored request again, with the values a re-run
+// sends: inline `secrets`, and the MCP servers' env values as
+// `mcpServerEnv: { <server name>: { NAME: value } }`
+export const rerunOptions = (request, { secrets, mcpServerEnv = {} } = {}) => {
+  const { secretNames, ...options } = request;
+  if (Array.isArray(options.mcpServers)) {
+    options.mcpServers = options.mcpServers.map(({ envNames, ...server }) => (envNames
+      ? { ...server, env: Object.fromEntries(envNames.map(name => [name, mcpServerEnv[server.name]?.[name]])) }
+      : server));
+  }
+  return { ...options, secrets };
+};
+
+// JSON with object keys sorted, so equal requests hash the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// sha256 of a stored request, to spot deploys of the same inputs
+export const hashInputs = (request) => createHash('sha256').update(canonicalJson(request)).digest('hex');
+
+// The fields GET /api/runs lists; the full run adds the request, phases,
+// dependencies and logs
+export const summarizeRun = (run) => ({
+  id: run.id,
+  tenantId: run.tenantId,
+  trigger: run.trigger,
+  rerunOf: run.rerunOf,
+  status: run.status,
+  agentType: run.agentType,
+  agents: run.agents,
+  inputsHash: run.inputsHash,
+  sessionId: run.sessionId,
+  degraded: run.degraded,
+  error: run.error,
+  createdAt: run.createdAt,
+  finishedAt: run.finishedAt,
+  durationMs: run.durationMs
+});
+
+// Backends: { save(run), get(id), list(), remove(id) }, all async. `list`
+// resolves with the summaries of every stored run (see summarizeRun).
+const createMemoryStore = () => {
+  const runs = new Map();
+  return {
+    save: async (run) => {
+      runs.set(run.id, structuredClone(run));
+    },
+    get: async (id) => (runs.has(id) ? structuredClone(runs.get(id)) : null),
+    list: async () => [...runs.values()].map(run => structuredClone(summarizeRun(run))),
+    remove: async (id) => {
+      runs.delete(id);
+    }
+  };
+};
+
+// The JSON store's summaries of every run, so listing runs doesn't read each
+// run's logs. A missing or unreadable index is rebuilt from the run files.
+const INDEX_FILE = 'index.json';
+
+const createJsonStore = (dir) => {
+  const runFile = (id) => path.join(dir, `${id}.json`);
+  let summaries = null; // Run ID -> summary, loaded on first use
+  let indexWrite = Promise.resolve();
+
+  // Write then rename, so a crash never leaves half a file behind
+  const writeFileAtomic = async (file, data) => {
+    await fs.mkdir(dir, { recursive: true });
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, data);
+    await fs.rename(tempFile, file);
+  };
+
+  const readRunFiles = async () => {
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const runs = [];
+    for (const name of names.filter(name => name.endsWith('.json') && name !== INDEX_FILE)) {
+      try {
+        runs.push(JSON.parse(await fs.readFile(path.join(dir, name), 'utf8')));
+      } catch (error) {
+        logger.warn('Skipping unreadable run file', { file: name, error });
+      }
+    }
+    return runs;
+  };
+
+  const loadSummaries = async () => {
+    if (summaries) return summaries;
+    try {
+      summaries ??= new Map(Object.entries(JSON.parse(await fs.readFile(path.join(dir, INDEX_FILE), 'utf8'))));
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.warn('Rebuilding unreadable run index', { error });
+      const rebuilt = new Map((await readRunFiles()).map(run => [run.id, summarizeRun(run)]));
+      if (!summaries) {
+        summaries = rebuilt;
+        await saveSummaries();
+      }
+    }
+    return summaries;
+  };
+
+  // Index writes are chained, so the last one to land has every change
+  const saveSummaries = () => {
+    const write = indexWrite.then(() => writeFileAtomic(path.join(dir, INDEX_FILE), JSON.stringify(Object.fromEntries(summaries))));
+    indexWrite = write.catch(() => {});
+    return write;
+  };
+
+  return {
+    save: async (run) => {
+      await writeFileAtomic(runFile(run.id), JSON.stringify(run, null, 2));
+      const runs = await loadSummaries();
+      const summary = summarizeRun(run);
+      // Most saves only add phases and logs, which the index doesn't hold
+      if (JSON.stringify(runs.get(run.id)) === JSON.stringify(summary)) return;
+      runs.set(run.id, summary);
+      await saveSummaries();
+    },
+    get: async (id) => {
+      try {
+        return JSON.parse(await fs.readFile(runFile(id), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    list: async () => [...(await loadSummaries()).values()].map(summary => structuredClone(summary)),
+    remove: async (id) => {
+      await fs.rm(runFile(id), { force: true });
+      (await loadSummaries()).delete(id);
+      await saveSummaries();
+    }
+  };
+};
+
+export const createRunStore = ({ store, dir }) => (store === 'memory' ? createMemoryStore() : createJsonStore(dir));
+
+let runStore = null;
+let index = null; // Run ID -> summary, loaded from the store on first use
+let indexLoading = null;
+const pendingWrites = new Map(); // Run ID -> its last queued save
+const activeRuns = new Set(); // IDs of the runs this process is still deploying
+
+const getRunStore = () => {
+  if (!runStore) runStore = createRunStore(getConfig().runs);
+  return runStore;
+};
+
+// Saves of one run are chained, so they land in order. A failed save is
+// logged; it never fails the deploy.
+const persist = (run) => {
+  const snapshot = structuredClone(run);
+  const previous = pendingWrites.get(run.id) || Promise.resolve();
+  const write = previous
+    .then(() => getRunStore().save(snapshot))
+    .catch(error => logger.error('Saving run failed', { runId: run.id, error }))
+    .finally(() => {
+      if (pendingWrites.get(run.id) === write) pendingWrites.delete(run.id);
+    });
+  pendingWrites.set(run.id, write);
+  return write;
+};
+
+const loadIndex = async () => {
+  if (index) return index;
+  indexLoading ??= (async () => {
+    const loaded = new Map();
+    for (const summary of await getRunStore().list()) {
+      loaded.set(summary.id, summary);
+      // Nothing is left to finish a run that was deploying when the server stopped
+      if (summary.status === 'running' && !activeRuns.has(summary.id)) {
+        const run = await getRunStore().get(summary.id);
+        if (!run) continue;
+        run.status = 'interrupted';
+        run.error = { message: 'The server stopped before the deploy finished', code: 'INTERRUPTED' };
+        await persist(run);
+        loaded.set(run.id, summarizeRun(run));
+      }
+    }
+    index = loaded;
+    return index;
+  })();
+  try {
+    return await indexLoading;
+  } finally {
+    indexLoading = null;
+  }
+};
+
+// Delete the oldest finished runs beyond the runs.maxRuns setting
+const pruneRuns = async () => {
+  const runs = await loadIndex();
+  const excess = runs.size - getConfig().runs.maxRuns;
+  if (excess <= 0) return;
+  const oldest = [...runs.values()]
+    .filter(run => run.status !== 'running')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .slice(0, excess);
+  for (const run of oldest) {
+    runs.delete(run.id);
+    await pendingWrites.get(run.id);
+    await getRunStore().remove(run.id);
+  }
+};
+
+// Start recording a deploy. `request` is the deploy's storedRequest.
+export const startRun = ({ tenantId, trigger, rerunOf = null, agentType, agents, request }) => {
+  const run = {
+    id: randomUUID(),
+    tenantId,
+    trigger,
+    rerunOf,
+    status: 'running',
+    agentType,
+    agents,
+    inputsHash: hashInputs(request),
+    sessionId: null,
+    serverUrl: null,
+    degraded: false,
+    error: null,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    phases: [], // { phase, status, durationMs, error? } or { phase, status: 'skipped', reason }
+    dependencies: null, // Python packages with their installed versions, or the failed install
+    diagnostics: null, // Pre-flight problems of a deploy that failed them
+    logs: [], // The deploy's progress events, which already have secret values redacted
+    droppedLogs: 0,
+    request
+  };
+  activeRuns.add(run.id);
+  loadIndex()
+    .then(runs => runs.set(run.id, summarizeRun(run)))
+    .catch(error => logger.error('Loading run history failed', { error }));
+  persist(run);
+  return run;
+};
+
+// Record one of the deploy's progress events (see deployAgent)
+export const recordRunEvent = (run, event) => {
+  if (run.logs.length < RUN_LIMITS.maxLogEvents) {
+    run.logs.push(event);
+  } else {
+    run.droppedLogs++;
+  }
+
+  if (event.type === 'phase_end') {
+    run.phases.push({ phase: event.phase, status: event.status, durationMs: event.durationMs, ...(event.error ? { error: event.error } : {}) });
+    persist(run);
+  } else if (event.type === 'phase_skipped') {
+    run.phases.push({ phase: event.phase, status: 'skipped', reason: event.reason });
+  }
+};
+
+// Record how the deploy ended: with a registered `session` or an `error`.
+// Resolves once the run is saved.
+export const finishRun = async (run, { session, error }) => {
+  const finishedAt = new Date();
+  activeRuns.delete(run.id);
+  Object.assign(run, {
+    status: error ? 'failed' : 'succeeded',
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - Date.parse(run.createdAt)
+  });
+  if (session) {
+    Object.assign(run, {
+      sessionId: session.id,
+      serverUrl: session.serverUrl,
+      degraded: session.degraded,
+      dependencies: session.dependencies
+    });
+  } else {
+    Object.assign(run, {
+      error: { message: error instanceof Error ? error.message : String(error), code: error.code || 'UNKNOWN' },
+      dependencies: error.dependencies || null,
+      diagnostics: error.diagnostics || null
+    });
+  }
+
+  try {
+    (await loadIndex()).set(run.id, summarizeRun(run));
+    await persist(run);
+    await pruneRuns();
+  } catch (storeError) {
+    logger.error('Recording run failed', { runId: run.id, error: storeError });
+  }
+};
+
+// A tenant's runs, newest first. `since` and `until` are dates or timestamps
+// Date.parse understands.
+export const listRuns = async (tenantId, { status, since, until, limit = RUN_LIMITS.defaultListLimit } = {}) => {
+  const runs = await loadIndex();
+  const after = since && new Date(since).toISOString();
+  const before = until && new Date(until).toISOString();
+  return [...runs.values()]
+    .filter(run => run.tenantId === tenantId)
+    .filter(run => !status || run.status === status)
+    .filter(run => !after || run.createdAt >= after)
+    .filter(run => !before || run.createdAt < before)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+};
+
+// The full run, or null if the tenant has no run with that ID
+export const getRun = async (tenantId, id) => {
+  if (!RUN_ID_PATTERN.test(id)) return null;
+  await pendingWrites.get(id);
+  const run = await getRunStore().get(id);
+  return run && run.tenantId === tenantId ? run : null;
+};
@@ -0,0 +1,141 @@
+import { ANONYMOUS_TENANT, authDisabled } from './auth.js';
+
+// Secrets handed to agent sandboxes. A sandbox only receives the environment
+// variables its agent declares, with values the caller supplies in the request
+// (`secrets`) or references from the server's stored secrets (`secretRefs`).
+// A tenant can only reference the stored secrets granted to it.
+
+// Prefix of environment variables that hold the server's stored secrets:
+// SECRET_GITHUB_TOKEN is the stored secret named GITHUB_TOKEN
+const STORED_SECRET_PREFIX = 'SECRET_';
+
+// ADK reads the model key implicitly, so every agent declares it
+export const MODEL_KEY_NAMES = ['GOOGLE_API_KEY', 'ADK_API_KEY'];
+
+export const SECRET_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const REDACTED = '[REDACTED]';
+const MIN_REDACTED_LENGTH = 4; // Don't mangle output by redacting tiny values
+
+// Agents only fall back to the operator's Gemini key when the operator opts in
+const shareServerModelKey = () => process.env.SHARE_SERVER_MODEL_KEY === 'true';
+
+// Tenant in a STORED_SECRET_TENANTS grant that stands for every tenant
+const ALL_TENANTS = '*';
+
+// Map of stored secret names to the tenants granted them. Grants are
+// configured as tenant:NAME pairs, e.g.
+// STORED_SECRET_TENANTS="acme:GITHUB_TOKEN,beta:GITHUB_TOKEN,*:MEM0_API_KEY".
+const loadSecretGrants = () => {
+  const grants = new Map();
+  (process.env.STORED_SECRET_TENANTS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry, index) => {
+    const separator = entry.indexOf(':');
+    const tenantId = entry.slice(0, separator);
+    const name = entry.slice(separator + 1);
+    if (separator <= 0 || !SECRET_NAME_PATTERN.test(name)) {
+      throw new Error(`STORED_SECRET_TENANTS entry ${index + 1} must look like tenant:SECRET_NAME`);
+    }
+    if (!grants.has(name)) grants.set(name, new Set());
+    grants.get(name).add(tenantId);
+  });
+  return grants;
+};
+
+// Throws on a malformed STORED_SECRET_TENANTS, so the server never starts
+// with grants it can't read
+export const assertSecretsConfigured = () => {
+  loadSecretGrants();
+};
+
+// Without auth every request is the anonymous tenant, which owns every stored secret
+const isGranted = (name, tenantId) => {
+  if (authDisabled() && tenantId === ANONYMOUS_TENANT) return true;
+  const tenants = loadSecretGrants().get(name);
+  return Boolean(tenants && (tenants.has(tenantId) || tenants.has(ALL_TENANTS)));
+};
+
+// Names of the stored secrets the tenant can reference
+export const listStoredSecretNames = (tenantId) => Object.keys(process.env)
+  .filter(key => key.startsWith(STORED_SECRET_PREFIX) && process.env[key])
+  .map(key => key.slice(STORED_SECRET_PREFIX.length))
+  .filter(name => isGranted(name, tenantId));
+
+export const hasStoredSecret = (name, tenantId) => Boolean(process.env[`${STORED_SECRET_PREFIX}${name}`]) && isGranted(name, tenantId);
+
+const getStoredSecret = (name) => process.env[`${STORED_SECRET_PREFIX}${name}`];
+
+// Environment variable names the agent's Python files read
+export const findDeclaredSecrets = (files) => {
+  const names = new Set(MODEL_KEY_NAMES);
+  const patterns = [
+    /(?:\bgetenv|\benviron\.get)\(\s*['"]([A-Za-z_][A-Za-z0-9_]*)['"]/g,
+    /\benviron\[\s*['"]([A-Za-z_][A-Za-z0-9_]*)['"]\s*\]/g
+  ];
+
+  Object.entries(files)
+    .filter(([filename]) => filename.endsWith('.py'))
+    .forEach(([, source]) => {
+      patterns.forEach(pattern => {
+        for (const match of source.matchAll(pattern)) names.add(match[1]);
+      });
+    });
+
+  return [...names];
+};
+
+// Work out which secrets this sandbox gets. `secretRefs` only resolve to the
+// stored secrets granted to `tenantId`.
+// Returns { env, injected, missing, ignored } where `env` maps variable names to values.
+export const resolveSecrets = ({ files, tenantId = ANONYMOUS_TENANT, secrets = {}, secretRefs = {}, declaredSecrets = [] }) => {
+  const declared = new Set([...findDeclaredSecrets(files), ...declaredSecrets]);
+  const env = {};
+  const missing = [];
+
+  for (const name of declared) {
+    if (secrets[name]) {
+      env[name] = secrets[name];
+    } else if (secretRefs[name] && hasStoredSecret(secretRefs[name], tenantId)) {
+      env[name] = getStoredSecret(secretRefs[name]);
+    } else if (!MODEL_KEY_NAMES.includes(name)) {
+      missing.push(name);
+    }
+  }
+
+  // ADK accepts either name for the model key
+  const modelKey = env.GOOGLE_API_KEY || env.ADK_API_KEY ||
+    (shareServerModelKey() ? process.env.GOOGLE_API_KEY || process.env.ADK_API_KEY : undefined);
+  if (modelKey) {
+    env.GOOGLE_API_KEY = env.GOOGLE_API_KEY || modelKey;
+    env.ADK_API_KEY = env.ADK_API_KEY || modelKey;
+  } else {
+    missing.push('GOOGLE_API_KEY');
+  }
+
+  const supplied = new Set([...Object.keys(secrets), ...Object.keys(secretRefs)]);
+  const ignored = [...supplied].filter(name => !declared.has(name));
+
+  return { env, injected: Object.keys(env), missing, ignored };
+};
+
+// A function that replaces every occurrence of the given secret values in a string
+export const createRedactor = (values) => {
+  const secretValues = [...new Set(values)]
+    .filter(value => typeof value === 'string' && value.length >= MIN_REDACTED_LENGTH)
+    .sort((a, b) => b.length - a.length); // Longest first so overlapping values are fully hidden
+
+  const redact = (text) => {
+    if (typeof text !== 'string' || !secretValues.length) return text;
+    return secretValues.reduce((result, value) => result.split(value).join(REDACTED), text);
+  };
+  return redact;
+};
+
+// Apply a redactor to every string inside a JSON-like value
+export const redactDeep = (value, redact) => {
+  if (typeof value === 'string') return redact(value);
+  if (Array.isArray(value)) return value.map(item => redactDeep(item, redact));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactDeep(item, redact)]));
+  }
+  return value;
+};
@@ -0,0 +1,237 @@
+import { randomUUID } from 'crypto';
+import { ANONYMOUS_TENANT } from './auth.js';
+import { getConfig } from './config.js';
+import { logger } from './logger.js';
+import { agentUiUrl } from './project.js';
+import { trackSessionEnd, trackSessionExpiry, trackSessionStart } from './quotas.js';
+
+// In-process registry of running agent sandboxes, keyed by run ID.
+// Entries only live as long as this server process does.
+const sessions = new Map();
+
+// Seconds since the ADK web server last wrote to its log. uvicorn logs every
+// request it serves there, so this is the age of the last UI or API traffic.
+const ADK_IDLE_PROBE = 'f=workspace/adk_web.log; if [ -f "$f" ]; then echo $(( $(date +%s) - $(stat -c %Y "$f") )); fi';
+
+let idleTimer = null;
+let idleCheck = null; // The check in progress, so slow sandboxes don't stack up checks
+
+// Kill the ADK web process (if any) and shut the sandbox down
+export const destroySandbox = async (sbx) => {
+  if (!sbx) return;
+
+  // Try to kill the ADK web process if it's running
+  try {
+    const killResult = await sbx.commands.run('if [ -f workspace/adk_web.pid ]; then kill $(cat workspace/adk_web.pid) 2>/dev/null || true; rm workspace/adk_web.pid; fi', { timeoutMs: getConfig().sandbox.stopTimeoutMs });
+    logger.debug('ADK web process stopped', { sandboxId: sbx.sandboxId, stdout: killResult.stdout });
+  } catch (killError) {
+    logger.warn('Stopping ADK web process failed', { sandboxId: sbx.sandboxId, error: killError });
+  }
+
+  // Destroy the sandbox
+  if (typeof sbx.kill === 'function') {
+    await sbx.kill();
+  } else if (typeof sbx.destroy === 'function') {
+    await sbx.destroy();
+  } else if (typeof sbx.close === 'function') {
+    await sbx.close();
+  }
+};
+
+// The agents the session's ADK UI serves, with a link that opens each one
+export const describeAgents = (session) => Object.keys(session.packages)
+  .map(name => ({ name, url: agentUiUrl(session.serverUrl, name) }));
+
+// Public view of a session, safe to send to clients
+export const describeSession = (session) => ({
+  id: session.id,
+  tenantId: session.tenantId,
+  status: session.status,
+  agentType: session.agentType,
+  agents: describeAgents(session),
+  mcpServers: session.mcpServers,
+  degraded: session.degraded,
+  importError: session.importError,
+  serverUrl: session.serverUrl,
+  sandboxId: session.sandboxId,
+  runId: session.runId,
+  secrets: Object.keys(session.secretEnv), // Names only, never values
+  createdAt: new Date(session.createdAt).toISOString(),
+  lastActivityAt: new Date(session.lastActivityAt).toISOString(),
+  expiresAt: new Date(session.expiresAt).toISOString(),
+  // Keep-alives can't extend the session past this
+  maxExpiresAt: new Date(session.maxExpiresAt).toISOString()
+});
+
+// Lifetime of a new session in ms: the requested one capped by policy, or the default
+export const resolveLifetimeMs = (lifetimeSeconds) => {
+  const { timeoutMs, maxLifetimeMs } = getConfig().sandbox;
+  return lifetimeSeconds === undefined ? timeoutMs : Math.min(lifetimeSeconds * 1000, maxLifetimeMs);
+};
+
+// The sandbox provider kills the sandbox on timeout; drop our handle at the same time
+const scheduleExpiry = (session) => {
+  clearTimeout(session.expiryTimer);
+  session.expiryTimer = setTimeout(() => {
+    session.status = 'expired';
+    sessions.delete(session.id);
+    trackSessionEnd(session.tenantId, session.id);
+  }, session.expiresAt - Date.now());
+  session.expiryTimer.unref();
+};
+
+// Register a freshly started sandbox and return its session record
+export const registerSession = ({
+  sbx,
+  tenantId = ANONYMOUS_TENANT,
+  agentType,
+  serverUrl,
+  packages,
+  dependencies = [],
+  mcpServers = [],
+  fallbackPolicy,
+  degraded = false,
+  importError = null,
+  secretEnv = {},
+  timeoutMs,
+  runId = null
+}) => {
+  const now = Date.now();
+  const session = {
+    id: randomUUID(),
+    tenantId,
+    sbx,
+    sandboxId: sbx.sandboxId || null,
+    status: 'running',
+    agentType,
+    serverUrl,
+    packages, // Agent package name -> files, as last written to the sandbox
+    dependencies, // Python packages with their installed versions
+    mcpServers, // Health check result of each MCP server
+    fallbackPolicy, // What to run when MCP imports fail, see FALLBACK_POLICIES
+    degraded, // True when the fallback agent runs instead of the submitted one
+    importError, // Why MCP imports failed when degraded
+    secretEnv, // Secrets passed to the agent's processes; never included in responses
+    runId, // The deploy's entry in the run history, see lib/runs.js
+    createdAt: now,
+    lastActivityAt: now, // Last request through this server, see touchSession
+    timeoutMs, // Lifetime the session was launched with; a keep-alive extends it by as much
+    expiresAt: now + timeoutMs,
+    maxExpiresAt: now + getConfig().sandbox.maxLifetimeMs,
+    expiryTimer: null
+  };
+  scheduleExpiry(session);
+
+  sessions.set(session.id, session);
+  trackSessionStart(tenantId, session.id, { startedAt: now, expiresAt: session.expiresAt });
+  return session;
+};
+
+export const getSession = (id) => sessions.get(id);
+
+// Record activity on a session, so the idle check leaves it running
+export const touchSession = (session) => {
+  session.lastActivityAt = Date.now();
+};
+
+// Push a session's expiry out to `extendMs` from now (by default its launch
+// lifetime), never past maxExpiresAt, and give the sandbox the same timeout
+export const extendSession = async (session, { extendMs = session.timeoutMs } = {}) => {
+  const now = Date.now();
+  touchSession(session);
+  const expiresAt = Math.min(now + extendMs, session.maxExpiresAt);
+  if (expiresAt <= session.expiresAt) return session;
+
+  await session.sbx.setTimeout(expiresAt - now);
+  session.expiresAt = expiresAt;
+  scheduleExpiry(session);
+  trackSessionExpiry(session.tenantId, session.id, expiresAt);
+  logger.info('Session extended', { sessionId: session.id, expiresAt: new Date(expiresAt).toISOString() });
+  return session;
+};
+
+// All sessions, or only the given tenant's
+export const listSessions = (tenantId) => Array.from(sessions.values())
+  .filter(session => tenantId === undefined || session.tenantId === tenantId);
+
+// Stop the ADK web server, kill the sandbox and forget the session.
+// Returns the final session record, or null if the ID is unknown.
+export const terminateSession = async (id) => {
+  const session = sessions.get(id);
+  if (!session) return null;
+
+  session.status = 'terminating';
+  clearTimeout(session.expiryTimer);
+
+  try {
+    await destroySandbox(session.sbx);
+    session.status = 'terminated';
+  } finally {
+    sessions.delete(id);
+    trackSessionEnd(session.tenantId, id);
+  }
+
+  return session;
+};
+
+// How long a session has gone without traffic: the shorter of the time since
+// the last request through this server and since the ADK server last logged
+// one. Resolves with null when the sandbox can't be asked.
+const measureIdleMs = async (session) => {
+  const sinceActivity = Date.now() - session.lastActivityAt;
+  let stdout;
+  try {
+    ({ stdout } = await session.sbx.commands.run(ADK_IDLE_PROBE, { timeoutMs: getConfig().sandbox.commandTimeoutMs }));
+  } catch (error) {
+    logger.debug('Idle check failed', { sessionId: session.id, error });
+    return null;
+  }
+  const logAgeSeconds = Number.parseInt(stdout, 10);
+  return Number.isNaN(logAgeSeconds) ? sinceActivity : Math.min(sinceActivity, logAgeSeconds * 1000);
+};
+
+// Terminate every running session that has been idle for idleTimeoutMs.
+// Resolves with the IDs of the sessions it stopped.
+export const stopIdleSessions = async () => {
+  const { idleTimeoutMs } = getConfig().sandbox;
+  if (!idleTimeoutMs) return [];
+
+  const stopped = [];
+  for (const session of [...sessions.values()]) {
+    if (session.status !== 'running') continue;
+    const idleMs = await measureIdleMs(session);
+    if (idleMs === null || idleMs < idleTimeoutMs) continue;
+    // The session may have been used or terminated while the sandbox was asked
+    if (session.status !== 'running' || Date.now() - session.lastActivityAt < idleTimeoutMs) continue;
+
+    logger.info('Stopping idle session', { sessionId: session.id, idleMs });
+    try {
+      await terminateSession(session.id);
+      stopped.push(session.id);
+    } catch (error) {
+      logger.error('Stopping idle session failed', { sessionId: session.id, error });
+    }
+  }
+  return stopped;
+};
+
+// Check for idle sessions every idleCheckIntervalMs until stopIdleMonitor()
+export const startIdleMonitor = () => {
+  const { idleTimeoutMs, idleCheckIntervalMs } = getConfig().sandbox;
+  if (!idleTimeoutMs || idleTimer) return;
+
+  idleTimer = setInterval(() => {
+    if (idleCheck) return;
+    idleCheck = stopIdleSessions()
+      .catch(error => logger.error('Idle session check failed', { error }))
+      .finally(() => {
+        idleCheck = null;
+      });
+  }, idleCheckIntervalMs);
+  idleTimer.unref();
+};
+
+export const stopIdleMonitor = () => {
+  clearInterval(idleTimer);
+  idleTimer = null;
+};
@@ -0,0 +1,533 @@
+// Files generated into every agent sandbox alongside the user's agent code.
+// Paths are relative to the sandbox's working directory. The scripts find the
+// workspace from their own location and read the ADK port from $ADK_PORT, so
+// the same layout runs under any sandbox provider.
+
+// Fallback non-MCP version of the agent, used when MCP imports fail
+export const FALLBACK_AGENT_PY = `from google.adk.agents import LlmAgent
+from google.adk.runners import Runner
+from google.adk.sessions import InMemorySessionService
+from google.genai import types  # For Content/Part
+import asyncio
+import os
+
+# Fallback agent without MCP tools
+root_agent = LlmAgent(
+    name="DocQueryAgent",
+    model="gemini-2.0-flash",
+    description="An LlmAgent that handles user queries about documentation.",
+    instruction="You are a helpful assistant that can answer questions and provide information. Note: MCP tools are not available in this fallback mode.",
+    tools=[]  # No tools in fallback mode
+)
+
+# Session service and runner setup - MUST INCLUDE app_name
+session_service = InMemorySessionService()
+runner = Runner(agent=root_agent, session_service=session_service, app_name="DocQueryAgent")
+
+async def main():
+    # Create a session
+    user_id = "user"
+    session = session_service.create_session(state={}, app_name="DocQueryAgent", user_id=user_id)
+    session_id = session.id
+
+    # Create an initial message (Content object)
+    new_message = types.Content(
+        role="user",
+        parts=[types.Part(text="Hello, agent!")]
+    )
+
+    # Run the agent
+    async for event in runner.run_async(
+        user_id=user_id,
+        session_id=session_id,
+        new_message=new_message
+    ):
+        print(event)
+
+if __name__ == "__main__":
+    asyncio.run(main())
+
+__all__ = ["root_agent"]
+`;
+
+// Fallback agent without MCP tools that keeps the original agent's name,
+// model, description and instruction. They are read from the agent's source
+// with ast, since importing it is what failed; anything that isn't a string
+// literal or a module-level string constant falls back to a default.
+export const PRESERVING_FALLBACK_AGENT_PY = `import ast
+import os
+
+from google.adk.agents import LlmAgent
+
+HERE = os.path.dirname(os.path.abspath(__file__))
+SETTINGS = ("name", "model", "description", "instruction")
+DEFAULTS = {
+    "name": "FallbackAgent",
+    "model": "gemini-2.0-flash",
+    "description": "Fallback agent without MCP tools.",
+    "instruction": "You are a helpful assistant.",
+}
+TOOLS_NOTE = "Note: the tools you normally use are unavailable right now. Answer without them, and say so when a request needs them."
+
+
+def string_value(node, constants):
+    if isinstance(node, ast.Name):
+        return constants.get(node.id)
+    try:
+        value = ast.literal_eval(node)
+    except (ValueError, TypeError, SyntaxError):
+        return None
+    return value if isinstance(value, str) else None
+
+
+def read_settings():
+    # start_adk.sh moves the original agent to agent_mcp.py and this file to agent.py
+    for filename in ("agent_mcp.py", "agent.py"):
+        path = os.path.join(HERE, filename)
+        if path == os.path.abspath(__file__) or not os.path.exists(path):
+            continue
+        with open(path) as source:
+            tree = ast.parse(source.read())
+        constants = {}
+        for node in tree.body:
+            if not isinstance(node, ast.Assign):
+                continue
+            names = [target.id for target in node.targets if isinstance(target, ast.Name)]
+            if "root_agent" in names and isinstance(node.value, ast.Call):
+                settings = {}
+                for keyword in node.value.keywords:
+                    value = string_value(keyword.value, constants) if keyword.arg in SETTINGS else None
+                    if value:
+                        settings[keyword.arg] = value
+                return settings
+            value = string_value(node.value, constants)
+            if value is not None:
+                constants.update({name: value for name in names})
+    return {}
+
+
+try:
+    settings = {**DEFAULTS, **read_settings()}
+except Exception as e:
+    print(f"Warning: Could not read the original agent's settings: {e}")
+    settings = dict(DEFAULTS)
+
+root_agent = LlmAgent(
+    name=settings["name"],
+    model=settings["model"],
+    description=settings["description"],
+    instruction=f"{settings['instruction']}\\n\\n{TOOLS_NOTE}",
+    tools=[],
+)
+
+__all__ = ["root_agent"]
+`;
+
+// The agent_fallback.py a fallback policy calls for, or null under `fail`
+export const buildFallbackAgent = (fallbackPolicy) => {
+  if (fallbackPolicy === 'fail') return null;
+  return fallbackPolicy === 'fallback' ? FALLBACK_AGENT_PY : PRESERVING_FALLBACK_AGENT_PY;
+};
+
+// Package init. It never falls back on its own: the start script is the only
+// place that swaps in agent_fallback.py, so every fallback is reported as
+// degraded. Any other import error of the agent surfaces in adk_web.log.
+export const INIT_PY = `from .agent import root_agent
+
+__all__ = ["root_agent"]
+`;
+
+// Log the MCP servers write their stderr to at runtime (see MCP_STDERR_HOOK_PY),
+// relative to the workspace. The deploy-time health check appends to it too.
+export const MCP_LOG_FILE = 'logs/mcp.log';
+
+// Written as sitecustomize.py into the workspace of MCP agents. Python imports
+// it at startup since the workspace is on PYTHONPATH. When MCP_STDERR_LOG is
+// set, which the start scripts only do for adk web, MCP servers the agent
+// starts with the default errlog write their stderr to that file instead of
+// the adk web output.
+export const MCP_STDERR_HOOK_PY = `import os
+import sys
+
+LOG_PATH = os.environ.get("MCP_STDERR_LOG")
+
+
+def install():
+    try:
+        import mcp
+        import mcp.client.stdio as stdio
+    except ImportError:
+        return
+
+    original = stdio.stdio_client
+    log = None
+
+    def stdio_client(server, errlog=sys.stderr):
+        nonlocal log
+        if errlog is sys.stderr or errlog is sys.__stderr__:
+            if log is None:
+                os.makedirs(os.path.dirname(LOG_PATH) or ".", exist_ok=True)
+                log = open(LOG_PATH, "a", buffering=1)
+            log.write(f"--- runtime: {server.command} {' '.join(server.args)}\\n")
+            errlog = log
+        return original(server, errlog)
+
+    stdio.stdio_client = stdio_client
+    if getattr(mcp, "stdio_client", None) is original:
+        mcp.stdio_client = stdio_client
+
+
+if LOG_PATH:
+    install()
+`;
+
+// Python script to check if the ADK port is open
+export const CHECK_PORT_PY = `import socket
+import sys
+import time
+
+def is_port_open(host, port, timeout=1):
+    sock = socket.socket(socket.AF_INET, socket.SOCK_STREAM)
+    sock.settimeout(timeout)
+    try:
+        result = sock.connect_ex((host, port))
+        sock.close()
+        return result == 0
+    except:
+        sock.close()
+        return False
+
+def wait_for_port(port, max_attempts=30, delay=1):
+    print(f"Waiting for port {port} to be available...")
+    for attempt in range(max_attempts):
+        if is_port_open('localhost', port):
+            print(f"Port {port} is now open!")
+            return True
+        time.sleep(delay)
+    print(f"Timed out waiting for port {port}")
+    return False
+
+if __name__ == '__main__':
+    port = int(sys.argv[1]) if len(sys.argv) > 1 else 8000
+    sys.exit(0 if wait_for_port(port) else 1)
+`;
+
+// Python snippet that verifies the MCP toolset can be imported
+export const MCP_IMPORT_TEST_PY = `
+try:
+    from google.adk.tools.mcp_tool.mcp_toolset import MCPToolset, StdioServerParameters
+    from mcp import ClientSession
+    print('✅ MCP imports successful')
+except ImportError as e:
+    print(f'❌ MCP import failed: {e}')
+    exit(1)
+`;
+
+// Starts each MCP server listed in the JSON file given as first argument, runs
+// the MCP initialize handshake and lists its tools, giving each server the
+// number of seconds given as second argument. Prints one JSON array of
+// { name, status, tools, error } results on stdout. The servers' stderr is
+// appended to logs/mcp.log.
+export const MCP_HEALTH_CHECK_PY = `import asyncio
+import json
+import os
+import sys
+
+from mcp import ClientSession, StdioServerParameters
+from mcp.client.stdio import stdio_client
+
+TIMEOUT_SECONDS = float(sys.argv[2]) if len(sys.argv) > 2 else 30
+ERROR_LOG = "${MCP_LOG_FILE}"
+
+
+async def list_tools(server, errlog):
+    env = {**os.environ, **{key: os.path.expandvars(value) for key, value in server["env"].items()}}
+    params = StdioServerParameters(command=server["command"], args=server["args"], env=env)
+    async with stdio_client(params, errlog=errlog) as (read, write):
+        async with ClientSession(read, write) as session:
+            await session.initialize()
+            result = await session.list_tools()
+            return [tool.name for tool in result.tools]
+
+
+async def main():
+    with open(sys.argv[1]) as config:
+        servers = json.load(config)
+
+    os.makedirs(os.path.dirname(ERROR_LOG), exist_ok=True)
+    errlog = open(ERROR_LOG, "a")
+
+    results = []
+    for server in servers:
+        errlog.write(f"--- {server['name']}: {server['command']} {' '.join(server['args'])}\\n")
+        errlog.flush()
+        try:
+            tools = await asyncio.wait_for(list_tools(server, errlog), TIMEOUT_SECONDS)
+            results.append({"name": server["name"], "status": "ok", "tools": tools, "error": None})
+        except Exception as e:
+            results.append({"name": server["name"], "status": "failed", "tools": [], "error": f"{type(e).__name__}: {e}"})
+    print(json.dumps(results))
+
+
+asyncio.run(main())
+`;
+
+// Runs the test cases in the JSON file given as first argument through the
+// root_agent of the agent package given as second argument, without adk web. Each case gets a fresh ADK session and prints
+// one "EVAL_RESULT {json}" line with its raw ADK events, latency and turns.
+export const EVAL_RUNNER_PY = `import asyncio
+import importlib
+import inspect
+import json
+import sys
+import time
+
+from dotenv import load_dotenv
+
+load_dotenv(".env")
+
+from google.adk.runners import Runner
+from google.adk.sessions import InMemorySessionService
+from google.genai import types
+
+APP_NAME = sys.argv[2]
+USER_ID = "eval"
+
+root_agent = importlib.import_module(APP_NAME).root_agent
+
+
+async def resolve(value):
+    # Session service methods are sync in older ADK versions
+    return await value if inspect.isawaitable(value) else value
+
+
+async def run_case(runner, session_service, case, result):
+    session = await resolve(session_service.create_session(app_name=APP_NAME, user_id=USER_ID))
+    message = types.Content(role="user", parts=[types.Part(text=case["input"])])
+    events = runner.run_async(user_id=USER_ID, session_id=session.id, new_message=message)
+    try:
+        async for event in events:
+            result["events"].append(event.model_dump(mode="json", exclude_none=True, by_alias=True))
+            # Every model response is one turn; tool results come back as user content
+            if event.content is not None and event.content.role == "model" and not event.partial:
+                result["turns"] += 1
+                if result["turns"] >= case["maxTurns"] and not event.is_final_response():
+                    result["maxTurnsExceeded"] = True
+                    break
+    finally:
+        await events.aclose()
+
+
+async def main():
+    with open(sys.argv[1]) as config:
+        settings = json.load(config)
+
+    session_service = InMemorySessionService()
+    runner = Runner(agent=root_agent, app_name=APP_NAME, session_service=session_service)
+
+    for index, case in enumerate(settings["cases"]):
+        result = {"index": index, "events": [], "turns": 0, "maxTurnsExceeded": False, "error": None}
+        started = time.monotonic()
+        try:
+            await asyncio.wait_for(run_case(runner, session_service, case, result), settings["caseTimeoutSeconds"])
+        except asyncio.TimeoutError:
+            result["error"] = f"Timed out after {settings['caseTimeoutSeconds']} seconds"
+        except Exception as e:
+            result["error"] = f"{type(e).__name__}: {e}"
+        result["latencyMs"] = round((time.monotonic() - started) * 1000)
+        print("EVAL_RESULT " + json.dumps(result), flush=True)
+
+
+asyncio.run(main())
+`;
+
+// ADK config file with the model API key
+export const buildAdkConfig = (env) => JSON.stringify({
+  "api_key": env.GOOGLE_API_KEY || env.ADK_API_KEY || ""
+}, null, 2);
+
+// Non-secret settings written to .env unless the request overrides them
+const ENV_FILE_DEFAULTS = {
+  LANGFUSE_HOST: 'https://cloud.langfuse.com'
+};
+
+// .env file with the secrets resolved for this sandbox, in python-dotenv syntax
+export const buildEnvFile = (env) => Object.entries({ ...ENV_FILE_DEFAULTS, ...env })
+  .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+  .join('\n') + '\n';
+
+// Shell step of start_adk.sh and restart_adk.sh that checks the MCP imports
+// and swaps the agent packages that use MCP tools to their fallback agents if
+// they fail. Under the `fail` fallback policy it exits instead.
+const mcpFallbackStep = (fallbackPolicy) => `# Test if MCP imports work and switch the agent packages that use MCP tools
+# to their fallback agents if needed
+MCP_AGENTS=$(grep -l "MCPToolset" */agent.py 2>/dev/null | xargs -r -n1 dirname)
+if [ -n "$MCP_AGENTS" ]; then
+    echo "Testing MCP imports..."
+    if ! python3 -c "
+try:
+    from google.adk.tools.mcp_tool.mcp_toolset import MCPToolset, StdioServerParameters
+    from mcp import ClientSession
+    print('MCP imports successful')
+except ImportError as e:
+    print(f'MCP import failed: {e}')
+    exit(1)
+" 2>/dev/null; then
+${fallbackPolicy === 'fail' ? `        echo "MCP imports failed and the fallback policy is fail, not starting the agent"
+        exit 1
+` : ''}        echo "MCP imports failed, switching to fallback agent..."
+        for agent_dir in $MCP_AGENTS; do
+            if [ -f "$agent_dir/agent_fallback.py" ]; then
+                mv "$agent_dir/agent.py" "$agent_dir/agent_mcp.py"
+                mv "$agent_dir/agent_fallback.py" "$agent_dir/agent.py"
+                echo "Switched to fallback agent without MCP tools: $agent_dir"
+            else
+                echo "Warning: No fallback agent available for $agent_dir"
+            fi
+        done
+    else
+        echo "MCP imports successful, using MCP-enabled agent"
+    fi
+fi
+`;
+
+// Startup script that properly detaches the process and binds to 0.0.0.0.
+// Under the `fail` fallback policy it exits instead of starting an agent
+// whose MCP imports fail.
+export const buildStartScript = ({ fallbackPolicy } = {}) => `#!/bin/bash
+set -e  # Exit on any error
+
+# Source virtual environment
+source ./venv/bin/activate
+
+# Change to workspace directory
+cd "$(dirname "$0")"
+ADK_PORT=\${ADK_PORT:-8000}
+
+# Check if ADK is installed correctly
+if ! command -v adk &> /dev/null; then
+    echo "ADK command not found. Installing..."
+    pip install -r requirements.txt
+fi
+
+# Kill any existing ADK web processes
+pkill -f "adk web --host 0.0.0.0 --port $ADK_PORT" || true
+
+# Add the workspace directory to PYTHONPATH
+export PYTHONPATH=$(pwd):$PYTHONPATH
+
+${mcpFallbackStep(fallbackPolicy)}
+# Start ADK web server
+echo "Starting ADK web server..."
+MCP_STDERR_LOG=${MCP_LOG_FILE} nohup adk web --host 0.0.0.0 --port $ADK_PORT > adk_web.log 2>&1 &
+echo $! > adk_web.pid
+
+# Wait for server to start using Python script
+python3 check_port.py $ADK_PORT
+exit_code=$?
+
+if [ $exit_code -eq 0 ]; then
+    echo "ADK web server started successfully"
+    cat adk_web.log
+    exit 0
+else
+    echo "Failed to start ADK web server"
+    cat adk_web.log
+    exit 1
+fi`;
+
+// Restart the ADK web server in place after the agent files change
+export const buildRestartScript = ({ fallbackPolicy } = {}) => `#!/bin/bash
+
+# Source virtual environment. The agent's secrets come from the caller's
+# environment and from .env, which ADK loads itself.
+cd "$(dirname "$0")"
+ADK_PORT=\${ADK_PORT:-8000}
+source ./venv/bin/activate
+export PYTHONPATH=$(pwd):$PYTHONPATH
+
+${mcpFallbackStep(fallbackPolicy)}
+# Stop the running server and wait for it to release the port
+if [ -f adk_web.pid ]; then
+    pid=$(cat adk_web.pid)
+    kill $pid 2>/dev/null || true
+    for i in {1..20}; do
+        kill -0 $pid 2>/dev/null || break
+        sleep 0.5
+    done
+fi
+pkill -f "adk web --host 0.0.0.0 --port $ADK_PORT" || true
+
+echo "Restarting ADK web server..."
+MCP_STDERR_LOG=${MCP_LOG_FILE} nohup adk web --host 0.0.0.0 --port $ADK_PORT >> adk_web.log 2>&1 &
+echo $! > adk_web.pid
+
+python3 check_port.py $ADK_PORT
+`;
+
+// Files only an exported project bundle has (see lib/export.js)
+
+// Image that installs the project and runs start_adk.sh. Agents with MCP
+// servers need Node.js for npx, so they get the same base image as the
+// docker sandbox provider.
+export const buildDockerfile = ({ pythonVersion, adkPort, npmPackages = [] }) => `FROM ${npmPackages.length ? `nikolaik/python-nodejs:python${pythonVersion}-nodejs20` : `python:${pythonVersion}-slim`}
+
+WORKDIR /app
+
+COPY requirements.txt .
+RUN python3 -m venv venv && venv/bin/pip install --no-cache-dir -r requirements.txt
+${npmPackages.length ? `
+# MCP servers the agent starts with npx
+RUN npm init -y > /dev/null && npm install --no-fund --no-audit ${npmPackages.map(name => `'${name}'`).join(' ')}
+` : ''}
+COPY . .
+RUN chmod +x start_adk.sh restart_adk.sh
+
+ENV ADK_PORT=${adkPort}
+EXPOSE ${adkPort}
+
+# start_adk.sh starts adk web in the background; keep the container on its log
+CMD ["bash", "-c", "./start_adk.sh && exec tail -n 0 -f adk_web.log"]
+`;
+
+// Secrets stay out of the image; .env is mounted at run time instead
+export const DOCKERIGNORE = `venv
+node_modules
+.env
+*.log
+*.pid
+`;
+
+export const buildBundleReadme = ({ agents, secrets, adkPort, pythonVersion, usesMcp }) => `# Agent project
+
+Google ADK project exported from Agent Flow Builder. It serves ${agents.length === 1 ? 'one agent' : `${agents.length} agents`}: ${agents.map(name => `\`${name}\``).join(', ')}.
+
+## Configure
+
+Copy \`.env.example\` to \`.env\` and fill in the values:
+
+${secrets.map(name => `- \`${name}\``).join('\n')}
+
+ADK reads \`.env\` when it starts. Keep it out of version control.
+
+## Run locally
+
+Needs Python ${pythonVersion}${usesMcp ? ' and Node.js with npx for the MCP servers' : ''}.
+
+\`\`\`bash
+python3 -m venv venv
+venv/bin/pip install -r requirements.txt
+./start_adk.sh
+\`\`\`
+
+Open http://localhost:${adkPort}. The server runs in the background and logs to \`adk_web.log\`. Stop it with \`kill $(cat adk_web.pid)\`.
+
+## Run with Docker
+
+\`\`\`bash
+docker build -t agent-project .
+docker run --rm -p ${adkPort}:${adkPort} -v "$(pwd)/.env:/app/.env:ro" agent-project
+\`\`\`
+
+The image has no secrets built in. The same image runs on any container platform; give it the variables from \`.env.example\` as environment variables or mount a \`.env\` file.
+`;
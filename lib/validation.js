@@ -0,0 +1,554 @@
+import path from 'path';
+import { ACCESSIBLE_FILE_ENCODINGS, ACCESSIBLE_FILE_LIMITS, decodeAccessibleFile } from './accessible-files.js';
+import { ARCHIVE_FORMATS } from './archive.js';
+import { collectRequestedDependencies } from './dependencies.js';
+import { EVALUATION_LIMITS, maxEvaluationCases } from './evaluation.js';
+import { LOG_LIMITS, LOG_SOURCES } from './logs.js';
+import { FALLBACK_POLICIES, MAX_MCP_SERVERS, MCP_SERVER_NAME_PATTERN, NPM_PACKAGE_PATTERN } from './mcp.js';
+import { CONVERSATION_ID_PATTERN, MESSAGE_LIMITS } from './messages.js';
+import { RUN_LIMITS, RUN_STATUSES } from './runs.js';
+import { AGENT_PACKAGE_PATTERN, MAX_AGENT_PACKAGES, RESERVED_PACKAGE_NAMES, resolveAgentPackages } from './project.js';
+import { SECRET_NAME_PATTERN, hasStoredSecret } from './secrets.js';
+
+// Limits for the `files` payload written into the sandbox
+export const FILE_LIMITS = {
+  maxFiles: 50,
+  maxTotalBytes: 2 * 1024 * 1024, // 2 MB across all files
+  allowedExtensions: ['.py', '.txt', '.json', '.yaml', '.yml', '.md', '.toml']
+};
+
+// Shortest session lifetime or keep-alive extension a request can ask for
+const MIN_LIFETIME_SECONDS = 60;
+
+// Thrown (or returned through validateBody) when a request fails validation.
+// `details` lists every offending field as { field, message }.
+export class ValidationError extends Error {
+  constructor(details) {
+    super('Invalid request');
+    this.name = 'ValidationError';
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Problems with a relative path, or null if it stays inside the directory it is written to
+const checkRelativePath = (filename) => {
+  if (!filename.trim()) return 'File name must not be empty';
+  if (filename.includes('\0')) return 'File name must not contain null bytes';
+  if (filename.includes('\\')) return 'File name must use forward slashes';
+  if (path.posix.isAbsolute(filename) || /^[a-zA-Z]:/.test(filename)) return 'Absolute paths are not allowed';
+
+  const segments = filename.split('/');
+  if (segments.some(segment => segment === '..')) return 'Path traversal is not allowed';
+  if (segments.some(segment => segment === '' || segment === '.')) return 'File name must be a normalized relative path';
+
+  return null;
+};
+
+// Problems with a single file path, or null if it is safe to write under the agent package
+const checkFilePath = (filename) => {
+  const pathProblem = checkRelativePath(filename);
+  if (pathProblem) return pathProblem;
+
+  const extension = path.posix.extname(filename).toLowerCase();
+  if (!FILE_LIMITS.allowedExtensions.includes(extension)) {
+    return `Extension "${extension || '(none)'}" is not allowed; use one of ${FILE_LIMITS.allowedExtensions.join(', ')}`;
+  }
+
+  return null;
+};
+
+// Validate a `files` map, returning a list of { field, message } problems
+export const validateFiles = (files, { field = 'files', requireAgent = true } = {}) => {
+  if (!isPlainObject(files)) {
+    return [{ field, message: 'Must be an object mapping file names to file contents' }];
+  }
+
+  const details = [];
+  const entries = Object.entries(files);
+
+  if (requireAgent && !('agent.py' in files)) {
+    details.push({ field: `${field}["agent.py"]`, message: 'agent.py is required' });
+  }
+
+  if (entries.length > FILE_LIMITS.maxFiles) {
+    details.push({ field, message: `At most ${FILE_LIMITS.maxFiles} files are allowed, got ${entries.length}` });
+  }
+
+  let totalBytes = 0;
+  for (const [filename, content] of entries) {
+    const fileField = `${field}[${JSON.stringify(filename)}]`;
+
+    const pathProblem = checkFilePath(filename);
+    if (pathProblem) details.push({ field: fileField, message: pathProblem });
+
+    if (typeof content !== 'string') {
+      details.push({ field: fileField, message: 'File contents must be a string' });
+      continue;
+    }
+    totalBytes += Buffer.byteLength(content, 'utf8');
+  }
+
+  if (totalBytes > FILE_LIMITS.maxTotalBytes) {
+    details.push({ field, message: `Files total ${totalBytes} bytes, the limit is ${FILE_LIMITS.maxTotalBytes}` });
+  }
+
+  return details;
+};
+
+// Validate an `agents` map of agent packages. Each package is checked like
+// `files`, and the file limits also hold across the whole project.
+export const validateAgents = (agents) => {
+  if (!isPlainObject(agents) || !Object.keys(agents).length) {
+    return [{ field: 'agents', message: 'Must be an object mapping agent names to their files' }];
+  }
+
+  const details = [];
+  const entries = Object.entries(agents);
+  if (entries.length > MAX_AGENT_PACKAGES) {
+    details.push({ field: 'agents', message: `At most ${MAX_AGENT_PACKAGES} agents are allowed, got ${entries.length}` });
+  }
+
+  let totalFiles = 0;
+  let totalBytes = 0;
+  for (const [name, files] of entries) {
+    const field = `agents[${JSON.stringify(name)}]`;
+    if (!AGENT_PACKAGE_PATTERN.test(name)) {
+      details.push({ field, message: 'Agent names must be Python identifiers of at most 64 characters' });
+    } else if (RESERVED_PACKAGE_NAMES.includes(name)) {
+      details.push({ field, message: `"${name}" is reserved, use another agent name` });
+    }
+    details.push(...validateFiles(files, { field }));
+
+    if (isPlainObject(files)) {
+      totalFiles += Object.keys(files).length;
+      totalBytes += Object.values(files).filter(content => typeof content === 'string')
+        .reduce((sum, content) => sum + Buffer.byteLength(content, 'utf8'), 0);
+    }
+  }
+
+  // A single package already reported its own limits
+  if (entries.length > 1 && totalFiles > FILE_LIMITS.maxFiles) {
+    details.push({ field: 'agents', message: `At most ${FILE_LIMITS.maxFiles} files are allowed across all agents, got ${totalFiles}` });
+  }
+  if (entries.length > 1 && totalBytes > FILE_LIMITS.maxTotalBytes) {
+    details.push({ field: 'agents', message: `Files total ${totalBytes} bytes across all agents, the limit is ${FILE_LIMITS.maxTotalBytes}` });
+  }
+
+  return details;
+};
+
+// Validate the optional `secrets`, `secretRefs` and `declaredSecrets` fields.
+// `secretRefs` may only name stored secrets granted to the requesting tenant.
+export const validateSecrets = ({ secrets, secretRefs, declaredSecrets }, { tenantId } = {}) => {
+  const details = [];
+
+  if (secrets !== undefined) {
+    if (!isPlainObject(secrets)) {
+      details.push({ field: 'secrets', message: 'Must be an object mapping environment variable names to values' });
+    } else {
+      for (const [name, value] of Object.entries(secrets)) {
+        const field = `secrets[${JSON.stringify(name)}]`;
+        if (!SECRET_NAME_PATTERN.test(name)) details.push({ field, message: 'Must be a valid environment variable name' });
+        if (typeof value !== 'string') details.push({ field, message: 'Secret values must be strings' });
+      }
+    }
+  }
+
+  if (secretRefs !== undefined) {
+    if (!isPlainObject(secretRefs)) {
+      details.push({ field: 'secretRefs', message: 'Must be an object mapping environment variable names to stored secret names' });
+    } else {
+      for (const [name, ref] of Object.entries(secretRefs)) {
+        const field = `secretRefs[${JSON.stringify(name)}]`;
+        if (!SECRET_NAME_PATTERN.test(name)) details.push({ field, message: 'Must be a valid environment variable name' });
+        if (typeof ref !== 'string' || !hasStoredSecret(ref, tenantId)) details.push({ field, message: `Unknown stored secret ${JSON.stringify(ref)}` });
+      }
+    }
+  }
+
+  if (declaredSecrets !== undefined) {
+    if (!Array.isArray(declaredSecrets) || declaredSecrets.some(name => typeof name !== 'string' || !SECRET_NAME_PATTERN.test(name))) {
+      details.push({ field: 'declaredSecrets', message: 'Must be an array of environment variable names' });
+    }
+  }
+
+  return details;
+};
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Validate the optional `mcpServers` manifest
+export const validateMcpServers = (mcpServers) => {
+  if (mcpServers === undefined) return [];
+  if (!Array.isArray(mcpServers)) {
+    return [{ field: 'mcpServers', message: 'Must be an array of MCP server definitions' }];
+  }
+
+  const details = [];
+  if (mcpServers.length > MAX_MCP_SERVERS) {
+    details.push({ field: 'mcpServers', message: `At most ${MAX_MCP_SERVERS} MCP servers are allowed, got ${mcpServers.length}` });
+  }
+
+  const names = new Set();
+  mcpServers.forEach((server, index) => {
+    const field = `mcpServers[${index}]`;
+    if (!isPlainObject(server)) {
+      details.push({ field, message: 'Must be an object' });
+      return;
+    }
+
+    const { name, package: packageName, command, args, env, seedFiles } = server;
+    if (typeof name !== 'string' || !MCP_SERVER_NAME_PATTERN.test(name)) {
+      details.push({ field: `${field}.name`, message: 'Must be 1-64 letters, digits, dashes or underscores' });
+    } else if (names.has(name)) {
+      details.push({ field: `${field}.name`, message: `Duplicate MCP server name "${name}"` });
+    }
+    names.add(name);
+
+    if (packageName === undefined && command === undefined) {
+      details.push({ field, message: 'Either package or command is required' });
+    }
+    if (packageName !== undefined && (typeof packageName !== 'string' || !NPM_PACKAGE_PATTERN.test(packageName))) {
+      details.push({ field: `${field}.package`, message: 'Must be an npm package name, optionally with @version' });
+    }
+    if (command !== undefined && (typeof command !== 'string' || !command.trim())) {
+      details.push({ field: `${field}.command`, message: 'Must be a non-empty string' });
+    }
+    if (args !== undefined && !isStringArray(args)) {
+      details.push({ field: `${field}.args`, message: 'Must be an array of strings' });
+    }
+
+    if (env !== undefined) {
+      if (!isPlainObject(env)) {
+        details.push({ field: `${field}.env`, message: 'Must be an object mapping environment variable names to values' });
+      } else {
+        for (const [key, value] of Object.entries(env)) {
+          if (!SECRET_NAME_PATTERN.test(key) || typeof value !== 'string') {
+            details.push({ field: `${field}.env[${JSON.stringify(key)}]`, message: 'Must be a valid environment variable name with a string value' });
+          }
+        }
+      }
+    }
+
+    if (seedFiles !== undefined) {
+      if (!isPlainObject(seedFiles)) {
+        details.push({ field: `${field}.seedFiles`, message: 'Must be an object mapping file names to file contents' });
+      } else {
+        for (const [filename, content] of Object.entries(seedFiles)) {
+          const seedField = `${field}.seedFiles[${JSON.stringify(filename)}]`;
+          const pathProblem = checkRelativePath(filename);
+          if (pathProblem) details.push({ field: seedField, message: pathProblem });
+          if (typeof content !== 'string') details.push({ field: seedField, message: 'File contents must be a string' });
+        }
+      }
+    }
+  });
+
+  return details;
+};
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// Validate the optional `accessibleFiles` seed set: paths mapped to a string
+// or { content, encoding } for binary files
+export const validateAccessibleFiles = (accessibleFiles) => {
+  if (accessibleFiles === undefined) return [];
+  if (!isPlainObject(accessibleFiles)) {
+    return [{ field: 'accessibleFiles', message: 'Must be an object mapping file paths to file contents' }];
+  }
+
+  const details = [];
+  const entries = Object.entries(accessibleFiles);
+  if (entries.length > ACCESSIBLE_FILE_LIMITS.maxSeedFiles) {
+    details.push({ field: 'accessibleFiles', message: `At most ${ACCESSIBLE_FILE_LIMITS.maxSeedFiles} files are allowed, got ${entries.length}` });
+  }
+
+  let totalBytes = 0;
+  for (const [filePath, value] of entries) {
+    const field = `accessibleFiles[${JSON.stringify(filePath)}]`;
+    const pathProblem = checkRelativePath(filePath);
+    if (pathProblem) details.push({ field, message: pathProblem });
+
+    if (isPlainObject(value)) {
+      const { content, encoding = 'utf8' } = value;
+      if (!ACCESSIBLE_FILE_ENCODINGS.includes(encoding)) {
+        details.push({ field: `${field}.encoding`, message: `Must be one of ${ACCESSIBLE_FILE_ENCODINGS.join(', ')}` });
+        continue;
+      }
+      if (typeof content !== 'string' || (encoding === 'base64' && !BASE64_PATTERN.test(content))) {
+        details.push({ field: `${field}.content`, message: `Must be a ${encoding === 'base64' ? 'base64 ' : ''}string` });
+        continue;
+      }
+    } else if (typeof value !== 'string') {
+      details.push({ field, message: 'Must be a string or { content, encoding }' });
+      continue;
+    }
+    totalBytes += decodeAccessibleFile(value).length;
+  }
+
+  if (totalBytes > ACCESSIBLE_FILE_LIMITS.maxSeedBytes) {
+    details.push({ field: 'accessibleFiles', message: `Files total ${totalBytes} bytes, the limit is ${ACCESSIBLE_FILE_LIMITS.maxSeedBytes}` });
+  }
+
+  return details;
+};
+
+// Optional durations in seconds, like a requested session lifetime. Longer
+// ones than the policy allows are capped rather than rejected.
+const validateSeconds = (value, field) => (value === undefined || (Number.isInteger(value) && value >= MIN_LIFETIME_SECONDS)
+  ? []
+  : [{ field, message: `Must be an integer of at least ${MIN_LIFETIME_SECONDS} seconds` }]);
+
+// Body of /api/execute, /api/execute/stream, /api/jobs and session file
+// reloads. `context` is the request's { tenantId } (see validateBody).
+export const validateDeployRequest = (body, context) => {
+  if (!isPlainObject(body)) {
+    return [{ field: 'body', message: 'Request body must be a JSON object' }];
+  }
+  let fileProblems;
+  if (body.agents !== undefined && body.files !== undefined) {
+    fileProblems = [{ field: 'agents', message: 'Send either files or agents, not both' }];
+  } else {
+    fileProblems = body.agents !== undefined ? validateAgents(body.agents) : validateFiles(body.files);
+  }
+  // Dependency files are only parsed once the files themselves are acceptable
+  const dependencyProblems = fileProblems.length ? [] : collectRequestedDependencies(body).problems;
+  const fallbackProblems = body.fallbackPolicy === undefined || FALLBACK_POLICIES.includes(body.fallbackPolicy)
+    ? []
+    : [{ field: 'fallbackPolicy', message: `Must be one of ${FALLBACK_POLICIES.join(', ')}` }];
+  const lifetimeProblems = validateSeconds(body.lifetimeSeconds, 'lifetimeSeconds');
+  return [
+    ...fileProblems,
+    ...dependencyProblems,
+    ...validateSecrets(body, context),
+    ...validateMcpServers(body.mcpServers),
+    ...validateAccessibleFiles(body.accessibleFiles),
+    ...fallbackProblems,
+    ...lifetimeProblems
+  ];
+};
+
+// Body of POST /api/export: a deploy request plus the archive format
+export const validateExportRequest = (body, context) => {
+  const details = validateDeployRequest(body, context);
+  if (isPlainObject(body) && body.format !== undefined && !Object.hasOwn(ARCHIVE_FORMATS, body.format)) {
+    details.push({ field: 'format', message: `Must be one of ${Object.keys(ARCHIVE_FORMATS).join(', ')}` });
+  }
+  return details;
+};
+
+// Body of POST /api/sessions/:id/keepalive, which may be empty
+export const validateKeepaliveRequest = (body) => {
+  if (!isPlainObject(body)) {
+    return [{ field: 'body', message: 'Request body must be a JSON object' }];
+  }
+  return validateSeconds(body.extendSeconds, 'extendSeconds');
+};
+
+// Body of POST /api/sessions/:id/messages
+export const validateMessageRequest = (body) => {
+  if (!isPlainObject(body)) {
+    return [{ field: 'body', message: 'Request body must be a JSON object' }];
+  }
+
+  const details = [];
+  const { message, agent, userId, sessionId, stream } = body;
+
+  if (typeof message !== 'string' || !message.trim()) {
+    details.push({ field: 'message', message: 'Must be a non-empty string' });
+  } else if (Buffer.byteLength(message, 'utf8') > MESSAGE_LIMITS.maxMessageBytes) {
+    details.push({ field: 'message', message: `Must be at most ${MESSAGE_LIMITS.maxMessageBytes} bytes` });
+  }
+  if (agent !== undefined && (typeof agent !== 'string' || !AGENT_PACKAGE_PATTERN.test(agent))) {
+    details.push({ field: 'agent', message: 'Must be the name of one of the session\'s agents' });
+  }
+  for (const [field, value] of [['userId', userId], ['sessionId', sessionId]]) {
+    if (value !== undefined && (typeof value !== 'string' || !CONVERSATION_ID_PATTERN.test(value))) {
+      details.push({ field, message: 'Must be 1-128 letters, digits, dots, dashes or underscores' });
+    }
+  }
+  if (stream !== undefined && typeof stream !== 'boolean') {
+    details.push({ field: 'stream', message: 'Must be a boolean' });
+  }
+
+  return details;
+};
+
+// Validate the `testCases` of an evaluation request
+const validateTestCases = (testCases) => {
+  if (!Array.isArray(testCases) || !testCases.length) {
+    return [{ field: 'testCases', message: 'Must be a non-empty array of test cases' }];
+  }
+
+  const details = [];
+  // Every case adds to the sandbox's lifetime, which sandbox.maxLifetimeMs caps
+  const maxTestCases = maxEvaluationCases();
+  if (testCases.length > maxTestCases) {
+    details.push({ field: 'testCases', message: `At most ${maxTestCases} test cases are allowed, got ${testCases.length}` });
+  }
+
+  testCases.forEach((testCase, index) => {
+    const field = `testCases[${index}]`;
+    if (!isPlainObject(testCase)) {
+      details.push({ field, message: 'Must be an object' });
+      return;
+    }
+
+    const { name, input, expect, maxTurns } = testCase;
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 200)) {
+      details.push({ field: `${field}.name`, message: 'Must be a non-empty string of at most 200 characters' });
+    }
+    if (typeof input !== 'string' || !input.trim()) {
+      details.push({ field: `${field}.input`, message: 'Must be a non-empty string' });
+    } else if (Buffer.byteLength(input, 'utf8') > MESSAGE_LIMITS.maxMessageBytes) {
+      details.push({ field: `${field}.input`, message: `Must be at most ${MESSAGE_LIMITS.maxMessageBytes} bytes` });
+    }
+    if (maxTurns !== undefined && (!Number.isInteger(maxTurns) || maxTurns < 1 || maxTurns > EVALUATION_LIMITS.maxTurns)) {
+      details.push({ field: `${field}.maxTurns`, message: `Must be an integer from 1 to ${EVALUATION_LIMITS.maxTurns}` });
+    }
+
+    if (!isPlainObject(expect)) {
+      details.push({ field: `${field}.expect`, message: 'Must be an object with contains and/or toolCalls' });
+      return;
+    }
+    const { contains = [], toolCalls = [] } = expect;
+    if (!isStringArray(contains) || contains.some(text => !text)) {
+      details.push({ field: `${field}.expect.contains`, message: 'Must be an array of non-empty strings' });
+    }
+    if (!Array.isArray(toolCalls) || toolCalls.some(call => !isPlainObject(call) || typeof call.name !== 'string' || !call.name
+      || (call.args !== undefined && !isPlainObject(call.args)))) {
+      details.push({ field: `${field}.expect.toolCalls`, message: 'Must be an array of { name, args? } objects' });
+    }
+    if (Array.isArray(contains) && Array.isArray(toolCalls) && !contains.length && !toolCalls.length) {
+      details.push({ field: `${field}.expect`, message: 'At least one expected substring or tool call is required' });
+    }
+  });
+
+  return details;
+};
+
+// Body of POST /api/evaluate: a deploy request plus its test cases
+export const validateEvaluateRequest = (body, context) => {
+  const details = validateDeployRequest(body, context);
+  if (!isPlainObject(body)) return details;
+
+  // The agent under test must be one of the project's packages
+  if (body.agent !== undefined && (typeof body.agent !== 'string'
+    || !isPlainObject(body.agents) || !Object.hasOwn(resolveAgentPackages(body), body.agent))) {
+    details.push({ field: 'agent', message: 'Must be the name of one of the agents in `agents`' });
+  }
+  return [...details, ...validateTestCases(body.testCases)];
+};
+
+// A path below a session's accessible_files directory
+export const validateAccessiblePath = (filePath, field = 'path') => {
+  const pathProblem = checkRelativePath(filePath);
+  return pathProblem ? [{ field, message: pathProblem }] : [];
+};
+
+// Query string of POST /api/sessions/:id/accessible-files
+export const validateUploadQuery = (query) => {
+  const { dir } = query;
+  if (dir === undefined) return [];
+  const pathProblem = typeof dir === 'string' ? checkRelativePath(dir) : 'Must be a single directory';
+  return pathProblem ? [{ field: 'dir', message: pathProblem }] : [];
+};
+
+const isNonNegativeInteger = (value) => /^\d+$/.test(value);
+
+// Query string of GET /api/sessions/:id/logs
+export const validateLogQuery = (query) => {
+  const details = [];
+  const { source, offset, limit, follow } = query;
+
+  if (source !== undefined && !Object.hasOwn(LOG_SOURCES, source)) {
+    details.push({ field: 'source', message: `Must be one of ${Object.keys(LOG_SOURCES).join(', ')}` });
+  }
+  if (offset !== undefined && !isNonNegativeInteger(offset)) {
+    details.push({ field: 'offset', message: 'Must be a non-negative integer' });
+  }
+  if (limit !== undefined && (!isNonNegativeInteger(limit) || Number(limit) < 1 || Number(limit) > LOG_LIMITS.maxLimit)) {
+    details.push({ field: 'limit', message: `Must be an integer from 1 to ${LOG_LIMITS.maxLimit}` });
+  }
+  if (follow !== undefined && !['true', 'false'].includes(follow)) {
+    details.push({ field: 'follow', message: 'Must be true or false' });
+  }
+
+  return details;
+};
+
+// Query string of GET /api/runs
+export const validateRunQuery = (query) => {
+  const details = [];
+  const { status, since, until, limit } = query;
+
+  if (status !== undefined && !RUN_STATUSES.includes(status)) {
+    details.push({ field: 'status', message: `Must be one of ${RUN_STATUSES.join(', ')}` });
+  }
+  for (const [field, value] of [['since', since], ['until', until]]) {
+    if (value !== undefined && (typeof value !== 'string' || Number.isNaN(Date.parse(value)))) {
+      details.push({ field, message: 'Must be a date or timestamp, e.g. 2024-05-01 or 2024-05-01T12:00:00Z' });
+    }
+  }
+  if (limit !== undefined && (!isNonNegativeInteger(limit) || Number(limit) < 1 || Number(limit) > RUN_LIMITS.maxListLimit)) {
+    details.push({ field: 'limit', message: `Must be an integer from 1 to ${RUN_LIMITS.maxListLimit}` });
+  }
+
+  return details;
+};
+
+// Body of POST /api/runs/:id/rerun, which may be empty. Inline secret values
+// and MCP server env values aren't kept with a run, so a re-run sends them
+// again: `secrets`, and `mcpServerEnv` mapping server names to their env.
+export const validateRerunRequest = (body) => {
+  if (!isPlainObject(body)) {
+    return [{ field: 'body', message: 'Request body must be a JSON object' }];
+  }
+  const details = validateSecrets({ secrets: body.secrets });
+  const { mcpServerEnv } = body;
+  if (mcpServerEnv !== undefined) {
+    if (!isPlainObject(mcpServerEnv)) {
+      details.push({ field: 'mcpServerEnv', message: 'Must be an object mapping MCP server names to their env values' });
+    } else {
+      for (const [name, env] of Object.entries(mcpServerEnv)) {
+        if (!isPlainObject(env) || Object.values(env).some(value => typeof value !== 'string')) {
+          details.push({ field: `mcpServerEnv[${JSON.stringify(name)}]`, message: 'Must be an object mapping environment variable names to string values' });
+        }
+      }
+    }
+  }
+  return details;
+};
+
+// The values a re-run of the stored `request` must send again: every env
+// value of its MCP servers
+export const validateRerunValues = (request, { mcpServerEnv = {} }) => (request.mcpServers || [])
+  .flatMap(server => (server.envNames || [])
+    .filter(name => typeof mcpServerEnv[server.name]?.[name] !== 'string')
+    .map(name => ({
+      field: `mcpServerEnv[${JSON.stringify(server.name)}][${JSON.stringify(name)}]`,
+      message: 'Required: runs don\'t keep MCP server env values'
+    })));
+
+// Express middleware that rejects the request with a structured 400 when
+// `validator(req.body, { tenantId })` reports any problems
+export const validateBody = (validator) => (req, res, next) => {
+  const details = validator(req.body, { tenantId: req.tenantId });
+  if (details.length) {
+    return next(new ValidationError(details));
+  }
+  next();
+};
+
+// Same as validateBody, for the query string
+export const validateQuery = (validator) => (req, res, next) => {
+  const details = validator(req.query);
+  if (details.length) {
+    return next(new ValidationError(details));
+  }
+  next();
+};
@@ -0,0 +1,190 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { ACCESSIBLE_FILES_DIR } from '../lib/accessible-files.js';
+import { MultipartError, parseMultipart } from '../lib/multipart.js';
+import { setSandboxProvider } from '../lib/providers/index.js';
+import { createFakeProvider } from './helpers/fake-sandbox.js';
+import { startServer } from './helpers/server.js';
+
+const MCP_AGENT = `from google.adk.agents import LlmAgent
+from google.adk.tools.mcp_tool.mcp_toolset import MCPToolset, StdioServerParameters
+
+root_agent = LlmAgent(name="reader", model="gemini-2.0-flash", instruction="Answer from the documents.")
+`;
+
+const PDF_BYTES = Buffer.from([0x25, 0x50, 0x44, 0x46, 0x00, 0xff, 0x10, 0x80]);
+
+// Answer the listing command from the files written into the fake sandbox
+const listFromWrites = (cmd, sandbox) => ({
+  stdout: [...sandbox.writes.entries()]
+    .filter(([filePath]) => filePath.startsWith(`${ACCESSIBLE_FILES_DIR}/`))
+    .map(([filePath, content]) => `f\t${Buffer.from(content).length}\t${filePath.slice(ACCESSIBLE_FILES_DIR.length + 1)}\0`)
+    .join('')
+});
+
+// Answer the regular file check from the files written into the fake sandbox
+const findFileFromWrites = (cmd, sandbox) => {
+  const target = cmd.match(/^find '(.*)' -maxdepth 0/)[1].replace(/'\\''/g, "'");
+  return { stdout: sandbox.writes.has(target) ? `${target}\n` : '' };
+};
+
+describe('accessible files', () => {
+  const fake = createFakeProvider();
+  let server;
+
+  const deploy = async (body = {}) => {
+    const response = await server.request('POST', '/api/execute', { files: { 'agent.py': MCP_AGENT }, ...body });
+    assert.equal(response.status, 200);
+    return response.body;
+  };
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    setSandboxProvider(fake.provider);
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    fake.reset();
+    fake.script(`find ${ACCESSIBLE_FILES_DIR}`, listFromWrites);
+    fake.script(`find '${ACCESSIBLE_FILES_DIR}/`, findFileFromWrites);
+  });
+
+  it('seeds the directory with the request\'s files instead of the samples', async () => {
+    await deploy({
+      accessibleFiles: {
+        'docs/handbook.md': '# Handbook\n',
+        'docs/contract.pdf': { content: PDF_BYTES.toString('base64'), encoding: 'base64' }
+      }
+    });
+
+    const [sbx] = fake.sandboxes;
+    assert.deepEqual(sbx.writes.get(`${ACCESSIBLE_FILES_DIR}/docs/handbook.md`), Buffer.from('# Handbook\n'));
+    assert.deepEqual(sbx.writes.get(`${ACCESSIBLE_FILES_DIR}/docs/contract.pdf`), PDF_BYTES);
+    assert.ok(!sbx.writes.has(`${ACCESSIBLE_FILES_DIR}/sample.txt`));
+
+    // Without a seed set, MCP agents still get the samples
+    await deploy();
+    assert.ok(fake.sandboxes[1].writes.has(`${ACCESSIBLE_FILES_DIR}/sample.txt`));
+  });
+
+  it('rejects seed files that are unsafe or not decodable', async () => {
+    const response = await server.request('POST', '/api/execute', {
+      files: { 'agent.py': MCP_AGENT },
+      accessibleFiles: {
+        '../escape.txt': 'x',
+        'image.png': { content: 'not base64!', encoding: 'base64' },
+        'data.bin': { content: 'abc', encoding: 'hex' },
+        'count.txt': 3
+      }
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details, [
+      { field: 'accessibleFiles["../escape.txt"]', message: 'Path traversal is not allowed' },
+      { field: 'accessibleFiles["image.png"].content', message: 'Must be a base64 string' },
+      { field: 'accessibleFiles["data.bin"].encoding', message: 'Must be one of utf8, base64' },
+      { field: 'accessibleFiles["count.txt"]', message: 'Must be a string or { content, encoding }' }
+    ]);
+    assert.equal(fake.sandboxes.length, 0);
+  });
+
+  it('lists, downloads, uploads and deletes files of a running session', async () => {
+    const { sessionId } = await deploy({ accessibleFiles: { 'notes.txt': 'first draft\n' } });
+    const base = `/api/sessions/${sessionId}/accessible-files`;
+
+    const form = new FormData();
+    form.append('file', new Blob([PDF_BYTES]), 'report.pdf');
+    form.append('file', new Blob(['a,b\n1,2\n']), 'table.csv');
+    const upload = await fetch(`${server.baseUrl}${base}?dir=inbox`, { method: 'POST', body: form });
+    assert.equal(upload.status, 201);
+    assert.deepEqual(await upload.json(), {
+      uploaded: [{ path: 'inbox/report.pdf', size: 8 }, { path: 'inbox/table.csv', size: 8 }]
+    });
+
+    const listing = await server.request('GET', base);
+    assert.equal(listing.status, 200);
+    assert.deepEqual(listing.body, {
+      root: 'accessible_files',
+      files: [
+        { path: 'inbox/report.pdf', type: 'file', size: 8 },
+        { path: 'inbox/table.csv', type: 'file', size: 8 },
+        { path: 'notes.txt', type: 'file', size: 12 }
+      ]
+    });
+
+    const download = await fetch(`${server.baseUrl}${base}/inbox/report.pdf`);
+    assert.equal(download.status, 200);
+    assert.equal(download.headers.get('content-type'), 'application/octet-stream');
+    assert.match(download.headers.get('content-disposition'), /^attachment; filename="report.pdf"/);
+    assert.deepEqual(Buffer.from(await download.arrayBuffer()), PDF_BYTES);
+
+    const deleted = await server.request('DELETE', `${base}/inbox/report.pdf`);
+    assert.equal(deleted.status, 200);
+    assert.deepEqual(deleted.body, { deleted: 'inbox/report.pdf' });
+    assert.equal((await server.request('GET', `${base}/inbox/report.pdf`)).status, 404);
+    assert.equal((await server.request('DELETE', `${base}/inbox/report.pdf`)).status, 404);
+  });
+
+  it('rejects malformed uploads and paths outside the directory', async () => {
+    const { sessionId } = await deploy();
+    const base = `/api/sessions/${sessionId}/accessible-files`;
+
+    const form = new FormData();
+    form.append('file', new Blob(['x']), 'x.txt');
+    const escaping = await fetch(`${server.baseUrl}${base}?dir=../..`, { method: 'POST', body: form });
+    assert.equal(escaping.status, 400);
+    assert.deepEqual((await escaping.json()).details, [{ field: 'dir', message: 'Path traversal is not allowed' }]);
+
+    const json = await server.request('POST', base, { file: 'x' });
+    assert.equal(json.status, 400);
+    assert.deepEqual(json.body.details, [{ field: 'body', message: 'Content-Type must be multipart/form-data' }]);
+
+    const fieldsOnly = new FormData();
+    fieldsOnly.append('note', 'no files here');
+    const empty = await fetch(`${server.baseUrl}${base}`, { method: 'POST', body: fieldsOnly });
+    assert.deepEqual((await empty.json()).details, [{ field: 'body', message: 'Upload at least one file' }]);
+
+    assert.equal((await server.request('GET', `${base}/..%2Fagent.py`)).status, 400);
+
+    // A directory exists but isn't a file to download: find prints nothing for it
+    const [sbx] = fake.sandboxes;
+    await sbx.files.write(`${ACCESSIBLE_FILES_DIR}/docs/handbook.md`, '# Handbook\n');
+    fake.script(`find '${ACCESSIBLE_FILES_DIR}/docs' -maxdepth 0 -type f`, { stdout: '' });
+    const directory = await server.request('GET', `${base}/docs`);
+    assert.equal(directory.status, 404);
+    assert.deepEqual(directory.body, { error: 'File docs not found' });
+    assert.equal(sbx.ran(`find '${ACCESSIBLE_FILES_DIR}/docs' -maxdepth 0 -type f`).length, 1);
+    assert.equal((await server.request('GET', '/api/sessions/unknown/accessible-files')).status, 404);
+  });
+});
+
+describe('parseMultipart', () => {
+  const body = Buffer.concat([
+    Buffer.from('--xyz\r\nContent-Disposition: form-data; name="title"\r\n\r\nQ3 report\r\n'),
+    Buffer.from('--xyz\r\nContent-Disposition: form-data; name="file"; filename="a \\"b\\".bin"\r\nContent-Type: application/octet-stream\r\n\r\n'),
+    Buffer.from([0x00, 0x0d, 0x0a, 0x2d, 0x2d]),
+    Buffer.from('\r\n--xyz--\r\n')
+  ]);
+
+  it('splits the body into fields and files', () => {
+    const parts = parseMultipart(body, 'multipart/form-data; boundary=xyz');
+    assert.deepEqual(parts.map(({ name, filename, contentType }) => ({ name, filename, contentType })), [
+      { name: 'title', filename: null, contentType: 'text/plain' },
+      { name: 'file', filename: 'a "b".bin', contentType: 'application/octet-stream' }
+    ]);
+    assert.equal(parts[0].data.toString(), 'Q3 report');
+    assert.deepEqual(parts[1].data, Buffer.from([0x00, 0x0d, 0x0a, 0x2d, 0x2d]));
+  });
+
+  it('rejects bodies that don\'t match their boundary', () => {
+    assert.throws(() => parseMultipart(body, 'multipart/form-data'), MultipartError);
+    assert.throws(() => parseMultipart(body.subarray(0, 80), 'multipart/form-data; boundary=xyz'), /truncated/);
+  });
+});
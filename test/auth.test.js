@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { setSandboxProvider } from '../lib/providers/index.js';
+import { createFakeProvider } from './helpers/fake-sandbox.js';
+import { startServer } from './helpers/server.js';
+
+const AGENT = `from google.adk.agents import Agent
+
+root_agent = Agent(name="greeter", model="gemini-2.0-flash", instruction="Say hello.")
+`;
+
+const GITHUB_AGENT = `import os
+from google.adk.agents import Agent
+
+token = os.getenv("GITHUB_TOKEN")
+
+root_agent = Agent(name="github", model="gemini-2.0-flash", instruction="Answer questions about repositories.")
+`;
+
+describe('API keys and tenant quotas', () => {
+  const fake = createFakeProvider();
+  let server;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    process.env.API_KEYS = 'acme:acme-key,beta:beta-key,gamma:gamma-key';
+    process.env.SECRET_GITHUB_TOKEN = 'ghp_acme_token';
+    process.env.SECRET_MEM0_API_KEY = 'm0-shared-key';
+    process.env.STORED_SECRET_TENANTS = 'acme:GITHUB_TOKEN,*:MEM0_API_KEY';
+    process.env.QUOTA_MAX_CONCURRENT = '1';
+    process.env.TENANT_QUOTAS = JSON.stringify({ beta: { requestsPerMinute: 2 } });
+    setSandboxProvider(fake.provider);
+    server = await startServer({ apiKey: 'acme-key' });
+  });
+
+  after(async () => {
+    await server.close();
+    for (const name of ['API_KEYS', 'QUOTA_MAX_CONCURRENT', 'TENANT_QUOTAS', 'SECRET_GITHUB_TOKEN', 'SECRET_MEM0_API_KEY', 'STORED_SECRET_TENANTS']) {
+      delete process.env[name];
+    }
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    fake.reset();
+  });
+
+  it('rejects requests without a valid key', async () => {
+    const missing = await server.request('GET', '/api/sessions', undefined, { Authorization: '' });
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.error, 'Missing API key');
+    assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+
+    const invalid = await server.request('GET', '/api/sessions', undefined, { Authorization: 'Bearer nope' });
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.body.error, 'Invalid API key');
+
+    const health = await server.request('GET', '/api/health', undefined, { Authorization: '' });
+    assert.equal(health.status, 200);
+  });
+
+  it('accepts the X-API-Key header', async () => {
+    const response = await server.request('GET', '/api/usage', undefined, { Authorization: '', 'X-API-Key': 'beta-key' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.tenant, 'beta');
+  });
+
+  it('enforces the concurrent sandbox quota with Retry-After', async () => {
+    const first = await server.request('POST', '/api/execute', { files: { 'agent.py': AGENT } });
+    assert.equal(first.status, 200);
+
+    const second = await server.request('POST', '/api/execute', { files: { 'agent.py': AGENT } });
+    assert.equal(second.status, 429);
+    assert.equal(second.body.quota, 'maxConcurrent');
+    assert.ok(Number(second.headers.get('retry-after')) > 0);
+    assert.equal(fake.sandboxes.length, 1);
+
+    const usage = await server.request('GET', '/api/usage');
+    assert.equal(usage.body.tenant, 'acme');
+    assert.equal(usage.body.usage.concurrentSandboxes, 1);
+    assert.equal(usage.body.usage.launchesLastHour, 1);
+
+    // Terminating the session frees the slot
+    await server.request('DELETE', `/api/sessions/${first.body.sessionId}`);
+    const third = await server.request('POST', '/api/execute', { files: { 'agent.py': AGENT } });
+    assert.equal(third.status, 200);
+  });
+
+  it('hides other tenants\' sessions and rate limits their requests', async () => {
+    const { body: { sessions: [session] } } = await server.request('GET', '/api/sessions');
+
+    const other = await server.request('GET', `/api/sessions/${session.id}`, undefined, { Authorization: 'Bearer beta-key' });
+    assert.equal(other.status, 404);
+
+    const list = await server.request('GET', '/api/sessions', undefined, { Authorization: 'Bearer beta-key' });
+    assert.equal(list.status, 429); // beta's third request this minute
+  });
+
+  it('only lets a tenant see and reference the stored secrets granted to it', async () => {
+    const gamma = { Authorization: 'Bearer gamma-key' };
+    assert.deepEqual((await server.request('GET', '/api/secrets')).body.secrets.sort(), ['GITHUB_TOKEN', 'MEM0_API_KEY']);
+    assert.deepEqual((await server.request('GET', '/api/secrets', undefined, gamma)).body.secrets, ['MEM0_API_KEY']);
+
+    const response = await server.request('POST', '/api/execute', {
+      files: { 'agent.py': GITHUB_AGENT },
+      secretRefs: { GITHUB_TOKEN: 'GITHUB_TOKEN' }
+    }, gamma);
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details, [{ field: 'secretRefs["GITHUB_TOKEN"]', message: 'Unknown stored secret "GITHUB_TOKEN"' }]);
+    assert.equal(fake.sandboxes.length, 0);
+  });
+});
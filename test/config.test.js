@@ -0,0 +1,180 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, before, describe, it, mock } from 'node:test';
+import { ConfigError, compileOriginPattern, loadConfig } from '../lib/config.js';
+import { startServer } from './helpers/server.js';
+
+const writeConfigFile = (settings) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-')), 'config.json');
+  fs.writeFileSync(file, typeof settings === 'string' ? settings : JSON.stringify(settings));
+  return file;
+};
+
+describe('loadConfig', () => {
+  it('picks the profile from APP_ENV or NODE_ENV', () => {
+    const development = loadConfig({});
+    assert.equal(development.profile, 'development');
+    assert.equal(development.port, 3001);
+    assert.ok(development.cors.origins.includes('http://localhost:5173'));
+    assert.deepEqual(development.sandbox, {
+      timeoutMs: 300000,
+      maxLifetimeMs: 3600000,
+      idleTimeoutMs: 180000,
+      idleCheckIntervalMs: 30000,
+      adkPort: 8000,
+      startupTimeoutMs: 60000,
+      commandTimeoutMs: 30000,
+      healthCheckTimeoutMs: 5000,
+      installTimeoutMs: 600000,
+      packageInstallTimeoutMs: 300000,
+      npmInstallTimeoutMs: 180000,
+      mcpHealthCheckTimeoutMs: 60000,
+      mcpHealthCheckServerTimeoutMs: 30000,
+      restartTimeoutMs: 60000,
+      messageTimeoutMs: 120000,
+      logReadTimeoutMs: 15000,
+      stopTimeoutMs: 10000,
+      preflightTimeoutMs: 10000,
+      pythonVersion: '3.9'
+    });
+    assert.deepEqual(development.pool, { size: 0, refill: true, maxIdleMs: 1200000, retryDelayMs: 30000, sweepIntervalMs: 60000 });
+    assert.deepEqual(development.evaluation, { setupTimeoutMs: 600000, runnerStartupMs: 60000, caseTimeoutSeconds: 120 });
+
+    const production = loadConfig({ NODE_ENV: 'vercel' });
+    assert.equal(production.profile, 'production');
+    assert.ok(!production.cors.origins.some(origin => origin.includes('localhost')));
+    assert.equal(loadConfig({ NODE_ENV: 'production', APP_ENV: 'test' }).profile, 'test');
+  });
+
+  it('layers the config file, its profile section and environment variables', () => {
+    const file = writeConfigFile({
+      port: 4000,
+      cors: { origins: ['https://app.example.com'] },
+      sandbox: { timeoutMs: 600000, pythonVersion: '3.11' },
+      pool: { maxIdleMs: 600000 },
+      profiles: { production: { port: 8080, sandbox: { adkPort: 8001 }, evaluation: { caseTimeoutSeconds: 60 } } }
+    });
+
+    const config = loadConfig({
+      APP_ENV: 'production',
+      CONFIG_FILE: file,
+      CORS_ORIGINS: 'https://*.preview.example.com, https://ops.example.com',
+      ADK_STARTUP_TIMEOUT_MS: '90000',
+      MESSAGE_TIMEOUT_MS: '180000',
+      WARM_POOL_SIZE: '2',
+      WARM_POOL_REFILL: 'off'
+    });
+    assert.equal(config.port, 8080);
+    assert.deepEqual(config.cors.origins, ['https://app.example.com', 'https://*.preview.example.com', 'https://ops.example.com']);
+    assert.deepEqual(config.sandbox, {
+      timeoutMs: 600000,
+      maxLifetimeMs: 3600000,
+      idleTimeoutMs: 180000,
+      idleCheckIntervalMs: 30000,
+      adkPort: 8001,
+      startupTimeoutMs: 90000,
+      commandTimeoutMs: 30000,
+      healthCheckTimeoutMs: 5000,
+      installTimeoutMs: 600000,
+      packageInstallTimeoutMs: 300000,
+      npmInstallTimeoutMs: 180000,
+      mcpHealthCheckTimeoutMs: 60000,
+      mcpHealthCheckServerTimeoutMs: 30000,
+      restartTimeoutMs: 60000,
+      messageTimeoutMs: 180000,
+      logReadTimeoutMs: 15000,
+      stopTimeoutMs: 10000,
+      preflightTimeoutMs: 10000,
+      pythonVersion: '3.11'
+    });
+    assert.deepEqual(config.pool, { size: 2, refill: false, maxIdleMs: 600000, retryDelayMs: 30000, sweepIntervalMs: 60000 });
+    assert.equal(config.evaluation.caseTimeoutSeconds, 60);
+    assert.equal(loadConfig({ CONFIG_FILE: file, PORT: '5000' }).port, 5000);
+  });
+
+  it('lists every problem with a malformed config', () => {
+    const file = writeConfigFile({
+      cors: { origins: ['*', 'https://*.app', 'cogentx.dev'] },
+      sandbox: { startupTimeoutMs: 600000 }
+    });
+
+    assert.throws(() => loadConfig({
+      CONFIG_FILE: file,
+      PORT: 'abc',
+      SANDBOX_PYTHON_VERSION: 'python3',
+      WARM_POOL_REFILL: 'sometimes',
+      EVAL_CASE_TIMEOUT_SECONDS: '0'
+    }), (error) => {
+      assert.ok(error instanceof ConfigError);
+      assert.equal(error.code, 'INVALID_CONFIG');
+      assert.deepEqual(error.problems, [
+        'port must be an integer between 1 and 65535',
+        'cors.origins "*" must not be "*", credentialed requests need explicit origins',
+        'cors.origins "https://*.app" may only use * below the registrable domain, e.g. https://*.example.com',
+        'cors.origins "cogentx.dev" must look like https://host or http://host:port, without a path',
+        'sandbox.startupTimeoutMs must not exceed sandbox.timeoutMs (300000)',
+        'sandbox.pythonVersion must look like 3.11',
+        'pool.refill must be true or false',
+        'evaluation.caseTimeoutSeconds must be a positive integer'
+      ]);
+      return true;
+    });
+  });
+
+  it('rejects unknown settings, profiles and unreadable files', () => {
+    const file = writeConfigFile({ sandbox: { timeout: 1000 }, corsOrigins: [], profiles: { staging: {} } });
+    assert.throws(() => loadConfig({ CONFIG_FILE: file }), (error) => {
+      assert.deepEqual(error.problems, [
+        'profiles.staging is not a profile, use one of development, test, production',
+        'sandbox.timeout is not a known setting',
+        'corsOrigins is not a known setting'
+      ]);
+      return true;
+    });
+
+    assert.throws(() => loadConfig({ CONFIG_FILE: writeConfigFile('{ nope') }), /CONFIG_FILE .* could not be read/);
+    assert.throws(() => loadConfig({ APP_ENV: 'staging' }), /Unknown APP_ENV "staging"/);
+  });
+});
+
+describe('compileOriginPattern', () => {
+  it('matches one host label per wildcard', () => {
+    const matcher = compileOriginPattern('https://agent-flow-builder-*.vercel.app');
+    assert.ok(matcher.test('https://agent-flow-builder-git-main-team.vercel.app'));
+    assert.ok(!matcher.test('https://agent-flow-builder-x.evil.vercel.app'));
+    assert.ok(!matcher.test('http://agent-flow-builder-x.vercel.app'));
+    assert.ok(!compileOriginPattern('https://cogentx.dev').test('https://cogentxadev'));
+  });
+});
+
+describe('CORS', () => {
+  let server;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    process.env.CORS_ORIGINS = 'https://*.preview.example.com';
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+    delete process.env.CORS_ORIGINS;
+  });
+
+  it('answers allowed origins and wildcard matches, and nothing else', async () => {
+    const allowed = await server.request('GET', '/api/health', undefined, { Origin: 'http://localhost:5173' });
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'http://localhost:5173');
+    assert.equal(allowed.headers.get('access-control-allow-credentials'), 'true');
+
+    const preview = await server.request('OPTIONS', '/api/execute', undefined, { Origin: 'https://pr-42.preview.example.com' });
+    assert.equal(preview.status, 204);
+    assert.equal(preview.headers.get('access-control-allow-origin'), 'https://pr-42.preview.example.com');
+
+    const unknown = await server.request('GET', '/api/health', undefined, { Origin: 'https://evil.example.com' });
+    assert.equal(unknown.headers.get('access-control-allow-origin'), null);
+  });
+});
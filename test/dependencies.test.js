@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { buildDependencyManifest, collectRequestedDependencies } from '../lib/dependencies.js';
+import { setSandboxProvider } from '../lib/providers/index.js';
+import { createFakeProvider } from './helpers/fake-sandbox.js';
+import { startServer } from './helpers/server.js';
+
+const AGENT = `import pandas
+from google.adk.agents import Agent
+
+root_agent = Agent(name="analyst", model="gemini-2.0-flash", instruction="Analyse data.")
+`;
+
+const PYPROJECT = `[build-system]
+requires = ["setuptools"]
+
+[project]
+name = "analyst"
+dependencies = [
+    "numpy>=1.26",
+    "qdrant-client[fastembed]",
+]
+`;
+
+describe('dependency manifest', () => {
+  it('collects requirements.txt, pyproject.toml and dependencies entries', () => {
+    const { requested, problems } = collectRequestedDependencies({
+      files: { 'requirements.txt': '# data\npandas==2.2.2  # pinned\n\n', 'pyproject.toml': PYPROJECT },
+      dependencies: ['httpx>=0.27; python_version >= "3.9"']
+    });
+
+    assert.deepEqual(problems, []);
+    assert.deepEqual(requested.map(({ name, field }) => [name, field]), [
+      ['pandas', 'files["requirements.txt"] line 2'],
+      ['numpy', 'files["pyproject.toml"] line 7'],
+      ['qdrant-client', 'files["pyproject.toml"] line 8'],
+      ['httpx', 'dependencies[0]']
+    ]);
+  });
+
+  it('rejects blocked packages, pip options and direct references', () => {
+    const { problems } = collectRequestedDependencies({
+      dependencies: [
+        'pip==24.0',
+        '--index-url https://evil.test/simple',
+        'pkg @ https://evil.test/pkg.whl',
+        'bad name',
+        'requests; python_version > "3"\nevilpkg',
+        'requests[socks\n]'
+      ]
+    });
+
+    assert.deepEqual(problems.map(({ message }) => message), [
+      'Package pip is not allowed',
+      'pip options are not allowed: --index-url',
+      'Direct URL and path references are not allowed',
+      'Not a valid requirement: bad name',
+      'Not a valid requirement: requests; python_version > "3"\nevilpkg',
+      'Not a valid requirement: requests[socks\n]'
+    ]);
+  });
+
+  it('merges requested packages over the base set', () => {
+    const manifest = buildDependencyManifest({ files: {}, dependencies: ['google_adk==1.2.0', 'pandas'], isMcpAgent: false });
+
+    assert.deepEqual(manifest.find(({ name }) => name === 'google-adk'), { name: 'google-adk', spec: 'google_adk==1.2.0', source: 'request' });
+    assert.ok(manifest.some(({ name, source }) => name === 'pandas' && source === 'request'));
+    assert.ok(!manifest.some(({ name }) => name === 'mcp'));
+  });
+});
+
+describe('POST /api/execute with dependencies', () => {
+  const fake = createFakeProvider();
+  let server;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    setSandboxProvider(fake.provider);
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    fake.reset();
+  });
+
+  it('installs the merged manifest once and reports resolved versions', async () => {
+    fake.script('pip list --format=json', {
+      stdout: JSON.stringify([{ name: 'google-adk', version: '1.5.0' }, { name: 'pandas', version: '2.2.2' }])
+    });
+
+    const response = await server.request('POST', '/api/execute', {
+      files: { 'agent.py': AGENT },
+      dependencies: ['pandas>=2']
+    });
+
+    assert.equal(response.status, 200);
+    const [sbx] = fake.sandboxes;
+    assert.match(sbx.writes.get('workspace/requirements.txt'), /^pandas>=2$/m);
+    assert.equal(sbx.ran('pip install').length, 1);
+
+    const { dependencies } = response.body.executionDetails;
+    assert.deepEqual(dependencies.find(({ name }) => name === 'pandas'), { name: 'pandas', requested: 'pandas>=2', source: 'request', version: '2.2.2' });
+    assert.equal(dependencies.find(({ name }) => name === 'google-adk').version, '1.5.0');
+  });
+
+  it('reports which packages failed to install', async () => {
+    fake.script('-r workspace/requirements.txt', { exitCode: 1, stderr: 'ERROR: No matching distribution found for not-a-real-package' });
+    fake.script("'not-a-real-package'", { exitCode: 1, stderr: 'ERROR: No matching distribution found for not-a-real-package' });
+
+    const response = await server.request('POST', '/api/execute', {
+      files: { 'agent.py': AGENT, 'requirements.txt': 'not-a-real-package\n' }
+    });
+
+    assert.equal(response.status, 422);
+    assert.equal(response.body.errorDetails.code, 'DEPENDENCY_INSTALL_FAILED');
+    const failed = response.body.dependencies.filter(({ status }) => status === 'failed');
+    assert.deepEqual(failed, [{
+      name: 'not-a-real-package',
+      requested: 'not-a-real-package',
+      source: 'request',
+      status: 'failed',
+      error: 'ERROR: No matching distribution found for not-a-real-package'
+    }]);
+    assert.equal(fake.sandboxes[0].killed, true);
+  });
+
+  it('rejects blocked packages before creating a sandbox', async () => {
+    const response = await server.request('POST', '/api/execute', {
+      files: { 'agent.py': AGENT },
+      dependencies: ['setuptools']
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details, [{ field: 'dependencies[0]', message: 'Package setuptools is not allowed' }]);
+    assert.equal(fake.sandboxes.length, 0);
+  });
+});
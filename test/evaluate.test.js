@@ -0,0 +1,168 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { gradeCase } from '../lib/evaluation.js';
+import { setSandboxProvider } from '../lib/providers/index.js';
+import { createFakeProvider } from './helpers/fake-sandbox.js';
+import { startServer } from './helpers/server.js';
+
+const AGENT = `from google.adk.agents import Agent
+
+root_agent = Agent(name="weather", model="gemini-2.0-flash", instruction="Report the weather.")
+`;
+
+const toolCall = (id, name, args) => ({ id, author: 'weather', content: { role: 'model', parts: [{ functionCall: { name, args } }] } });
+const toolResult = (id, name, response) => ({ id, author: 'weather', content: { role: 'user', parts: [{ functionResponse: { name, response } }] } });
+const text = (id, value) => ({ id, author: 'weather', content: { role: 'model', parts: [{ text: value }] } });
+
+const runnerOutput = (...results) => results
+  .map((result, index) => `EVAL_RESULT ${JSON.stringify({ index, turns: 2, maxTurnsExceeded: false, error: null, latencyMs: 800, ...result })}`)
+  .join('\n');
+
+const TEST_CASES = [
+  {
+    name: 'paris',
+    input: 'Weather in Paris?',
+    expect: { contains: ['21°c'], toolCalls: [{ name: 'get_weather', args: { city: 'Paris' } }] }
+  },
+  {
+    input: 'Weather in Oslo?',
+    expect: { toolCalls: [{ name: 'get_weather', args: { city: 'Oslo' } }] },
+    maxTurns: 3
+  }
+];
+
+describe('POST /api/evaluate', () => {
+  const fake = createFakeProvider();
+  let server;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    setSandboxProvider(fake.provider);
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    fake.reset();
+  });
+
+  it('runs every case in one sandbox without adk web and reports pass/fail', async () => {
+    fake.script('eval_runner.py', {
+      stdout: runnerOutput(
+        { events: [toolCall('e1', 'get_weather', { city: 'Paris' }), toolResult('e2', 'get_weather', { temperature: 21 }), text('e3', 'It is 21°C in Paris.')] },
+        { events: [toolCall('e1', 'get_weather', { city: 'Bergen' }), text('e2', 'Rainy.')] }
+      )
+    });
+
+    const response = await server.request('POST', '/api/evaluate', { files: { 'agent.py': AGENT }, testCases: TEST_CASES });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.total, 2);
+    assert.equal(response.body.passed, 1);
+    assert.equal(response.body.failed, 1);
+
+    const [paris, oslo] = response.body.cases;
+    assert.equal(paris.name, 'paris');
+    assert.equal(paris.passed, true);
+    assert.equal(paris.reply, 'It is 21°C in Paris.');
+    assert.equal(paris.latencyMs, 800);
+    assert.deepEqual(paris.transcript.map(({ type }) => type), ['tool_call', 'tool_result', 'text']);
+    assert.equal(oslo.name, 'case 2');
+    assert.equal(oslo.passed, false);
+    assert.deepEqual(oslo.assertions, [{ type: 'tool_call', expected: { name: 'get_weather', args: { city: 'Oslo' } }, passed: false }]);
+
+    assert.equal(fake.sandboxes.length, 1);
+    const [sbx] = fake.sandboxes;
+    assert.equal(sbx.ran('./start_adk.sh').length, 0);
+    assert.deepEqual(JSON.parse(sbx.writes.get('workspace/eval_cases.json')).cases, [
+      { input: 'Weather in Paris?', maxTurns: 10 },
+      { input: 'Weather in Oslo?', maxTurns: 3 }
+    ]);
+    assert.equal(sbx.killed, true);
+
+    // The sandbox outlives the setup and the runner's budget for both cases
+    const [runner] = sbx.ran('eval_runner.py');
+    assert.equal(runner.opts.timeoutMs, 60000 + 2 * 120000);
+    assert.equal(sbx.timeoutMs, 600000 + runner.opts.timeoutMs);
+
+    const sessions = await server.request('GET', '/api/sessions');
+    assert.deepEqual(sessions.body.sessions, []);
+    // Evaluations stay out of the run history
+    assert.deepEqual((await server.request('GET', '/api/runs')).body.runs, []);
+  });
+
+  it('fails the cases the runner did not finish', async () => {
+    fake.script('eval_runner.py', {
+      exitCode: 1,
+      stdout: runnerOutput({ events: [toolCall('e1', 'get_weather', { city: 'Paris' }), text('e2', 'It is 21°C in Paris.')] }),
+      stderr: 'Traceback (most recent call last):\nMemoryError'
+    });
+
+    const response = await server.request('POST', '/api/evaluate', { files: { 'agent.py': AGENT }, testCases: TEST_CASES });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.cases[0].passed, true);
+    assert.equal(response.body.cases[1].passed, false);
+    assert.match(response.body.cases[1].error, /Runner did not finish this case: .*MemoryError/s);
+  });
+
+  it('reports malformed runner output as an error of its case', async () => {
+    fake.script('eval_runner.py', {
+      stdout: `EVAL_RESULT {"index": 0, "events": [\n${runnerOutput({}, { events: [text('e1', 'Rainy in Oslo.')] }).split('\n')[1]}`
+    });
+
+    const response = await server.request('POST', '/api/evaluate', { files: { 'agent.py': AGENT }, testCases: TEST_CASES });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.cases[0].passed, false);
+    assert.match(response.body.cases[0].error, /^Malformed runner output: /);
+    assert.equal(response.body.cases[1].reply, 'Rainy in Oslo.');
+  });
+
+  it('caps the cases at what fits in the maximum sandbox lifetime', async () => {
+    // 60 minutes leave room for 10 minutes of setup, the runner's startup and 24 cases of 2 minutes
+    const testCases = Array.from({ length: 25 }, () => ({ input: 'Hi', expect: { contains: ['hello'] } }));
+    const response = await server.request('POST', '/api/evaluate', { files: { 'agent.py': AGENT }, testCases });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details, [{ field: 'testCases', message: 'At most 24 test cases are allowed, got 25' }]);
+  });
+
+  it('validates the test cases', async () => {
+    const response = await server.request('POST', '/api/evaluate', {
+      files: { 'agent.py': AGENT },
+      testCases: [{ input: '', expect: {} }, { input: 'Hi', expect: { contains: ['hello'] }, maxTurns: 0 }]
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details.map(({ field }) => field), [
+      'testCases[0].input',
+      'testCases[0].expect',
+      'testCases[1].maxTurns'
+    ]);
+    assert.equal(fake.sandboxes.length, 0);
+  });
+});
+
+describe('gradeCase', () => {
+  const testCase = { expect: { contains: ['sunny'], toolCalls: [{ name: 'get_weather' }] }, maxTurns: 2 };
+
+  it('fails a case that ran out of turns or errored even when the assertions pass', () => {
+    const events = [
+      { eventId: 'e1', type: 'tool_call', name: 'get_weather', args: { city: 'Paris' } },
+      { eventId: 'e2', type: 'text', text: 'Sunny!', partial: false }
+    ];
+
+    assert.equal(gradeCase(testCase, { events, error: null, maxTurnsExceeded: false }).passed, true);
+    assert.equal(gradeCase(testCase, { events, error: 'TimeoutError', maxTurnsExceeded: false }).passed, false);
+
+    const outOfTurns = gradeCase(testCase, { events, error: null, maxTurnsExceeded: true });
+    assert.equal(outOfTurns.passed, false);
+    assert.deepEqual(outOfTurns.assertions.at(-1), { type: 'max_turns', expected: 2, passed: false });
+  });
+});
@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { setSandboxProvider } from '../lib/providers/index.js';
+import { createFakeProvider } from './helpers/fake-sandbox.js';
+import { startServer } from './helpers/server.js';
+
+const STANDARD_AGENT = `from google.adk.agents import Agent
+
+root_agent = Agent(
+    name="greeter",
+    model="gemini-2.0-flash",
+    instruction="Say hello.",
+)
+`;
+
+const MCP_AGENT = `from google.adk.agents import LlmAgent
+from google.adk.tools.mcp_tool.mcp_toolset import MCPToolset, StdioServerParameters
+
+root_agent = LlmAgent(
+    name="files",
+    model="gemini-2.0-flash",
+    instruction="Answer questions about files.",
+    tools=[MCPToolset(connection_params=StdioServerParameters(command="npx", args=["-y", "@modelcontextprotocol/server-filesystem", "."]))],
+)
+`;
+
+describe('POST /api/execute', () => {
+  const fake = createFakeProvider();
+  let server;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    setSandboxProvider(fake.provider);
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    fake.reset();
+  });
+
+  it('deploys a standard agent and registers a session', async () => {
+    const response = await server.request('POST', '/api/execute', { files: { 'agent.py': STANDARD_AGENT } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.openUrl, 'https://8000-fake-1.sandbox.test');
+    assert.equal(response.body.executionDetails.status, 'running');
+
+    const [sbx] = fake.sandboxes;
+    assert.equal(sbx.writes.get('workspace/multi_tool_agent/agent.py'), STANDARD_AGENT);
+    assert.ok(sbx.writes.has('workspace/multi_tool_agent/__init__.py'));
+    assert.ok(sbx.writes.has('workspace/start_adk.sh'));
+    assert.ok(!sbx.writes.has('workspace/multi_tool_agent/agent_fallback.py'));
+    assert.equal(sbx.ran('accessible_files').length, 0);
+    assert.equal(sbx.ran('python3.9 -m venv').length, 1);
+    assert.equal(sbx.ran('pip install --disable-pip-version-check -r workspace/requirements.txt').length, 1);
+    assert.doesNotMatch(sbx.writes.get('workspace/requirements.txt'), /^mcp$/m);
+    assert.equal(sbx.ran('mcp_toolset import').length, 0);
+    assert.equal(sbx.ran('./start_adk.sh').length, 1);
+    assert.equal(sbx.killed, false);
+
+    const session = await server.request('GET', `/api/sessions/${response.body.sessionId}`);
+    assert.equal(session.status, 200);
+    assert.equal(session.body.agentType, 'standard');
+    assert.equal(session.body.serverUrl, response.body.openUrl);
+  });
+
+  it('writes a fallback agent and checks MCP imports for MCP agents', async () => {
+    const response = await server.request('POST', '/api/execute', { files: { 'agent.py': MCP_AGENT } });
+
+    assert.equal(response.status, 200);
+
+    const [sbx] = fake.sandboxes;
+    assert.match(sbx.writes.get('workspace/multi_tool_agent/agent_fallback.py'), /root_agent = LlmAgent/);
+    // Only the start script swaps in the fallback, so it is always reported
+    assert.doesNotMatch(sbx.writes.get('workspace/multi_tool_agent/__init__.py'), /agent_fallback/);
+    assert.equal(sbx.ran('mcp_toolset import MCPToolset').length, 1);
+    assert.match(sbx.writes.get('workspace/requirements.txt'), /^mcp$/m);
+    assert.match(sbx.writes.get('workspace/requirements.txt'), /^httpx-sse$/m);
+
+    const session = await server.request('GET', `/api/sessions/${response.body.sessionId}`);
+    assert.equal(session.body.agentType, 'mcp');
+  });
+
+  it('installs the google-adk and MCP packages one by one when the manifest install fails', async () => {
+    fake.script('-r workspace/requirements.txt', { exitCode: 1, stderr: 'ERROR: No matching distribution found for httpx-sse' });
+    fake.script("'httpx-sse'", { exitCode: 1, stderr: 'ERROR: No matching distribution found for httpx-sse' });
+
+    const response = await server.request('POST', '/api/execute', { files: { 'agent.py': MCP_AGENT } });
+    // A base package failing is the server's problem, not the request's
+    assert.equal(response.status, 500);
+    assert.equal(response.body.errorDetails.code, 'DEPENDENCY_INSTALL_FAILED');
+    const [sbx] = fake.sandboxes;
+    for (const spec of ['google-adk', 'mem0', 'langfuse', 'memzero', 'm0', 'mcp', 'aiohttp', 'anyio', 'pydantic', 'websockets', 'httpx-sse']) {
+      assert.equal(sbx.ran(`pip install --disable-pip-version-check '${spec}' `).length, 1, spec);
+    }
+    assert.deepEqual(response.body.dependencies.filter(({ status }) => status === 'failed').map(({ name }) => name), ['httpx-sse']);
+    assert.ok(response.body.dependencies.some(({ name, status }) => name === 'google-adk' && status === 'installed'));
+    assert.equal(sbx.killed, true);
+  });
+
+  it('cleans up the sandbox when the startup script fails', async () => {
+    fake.script('./start_adk.sh', { exitCode: 1, stdout: 'Failed to start ADK web server' });
+    const before = await server.request('GET', '/api/sessions');
+
+    const response = await server.request('POST', '/api/execute', { files: { 'agent.py': STANDARD_AGENT } });
+
+    assert.equal(response.status, 500);
+    assert.match(response.body.error, /exited with code 1/);
+
+    const [sbx] = fake.sandboxes;
+    assert.equal(sbx.ran('kill $(cat workspace/adk_web.pid)').length, 1);
+    assert.equal(sbx.killed, true);
+
+    const after = await server.request('GET', '/api/sessions');
+    assert.equal(after.body.sessions.length, before.body.sessions.length);
+  });
+
+  it('rejects a request without agent.py before creating a sandbox', async () => {
+    const response = await server.request('POST', '/api/execute', { files: { 'tools.py': 'x = 1\n' } });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details, [{ field: 'files["agent.py"]', message: 'agent.py is required' }]);
+    assert.equal(fake.sandboxes.length, 0);
+  });
+});
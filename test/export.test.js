@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import { gunzipSync } from 'zlib';
+import { after, before, describe, it, mock } from 'node:test';
+import { startServer } from './helpers/server.js';
+
+const AGENT = `import os
+from google.adk.agents import Agent
+
+root_agent = Agent(name="greeter", model="gemini-2.0-flash", instruction=os.getenv("GREETING_STYLE", "Say hello."))
+`;
+
+const MCP_AGENT = `from google.adk.agents import LlmAgent
+from google.adk.tools.mcp_tool.mcp_toolset import MCPToolset, StdioServerParameters
+
+root_agent = LlmAgent(name="files", model="gemini-2.0-flash", instruction="Answer questions about files.", tools=[MCPToolset(connection_params=StdioServerParameters(command="npx", args=["-y", "@modelcontextprotocol/server-filesystem", "."]))])
+`;
+
+// Files of a tar.gz archive as { path: { content, mode } }
+const untar = (archive) => {
+  const tar = gunzipSync(archive);
+  const entries = {};
+  let paxPath = null;
+  for (let offset = 0; offset + 512 <= tar.length && tar[offset];) {
+    const field = (start, length) => tar.subarray(offset + start, offset + start + length).toString('utf8').replace(/\0.*$/s, '');
+    const size = Number.parseInt(field(124, 12), 8);
+    const type = field(156, 1);
+    const content = tar.subarray(offset + 512, offset + 512 + size).toString('utf8');
+    if (type === 'x') {
+      paxPath = content.match(/ path=(.*)\n/)[1];
+    } else {
+      entries[paxPath || field(0, 100)] = { content, mode: Number.parseInt(field(100, 8), 8) };
+      paxPath = null;
+    }
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return entries;
+};
+
+describe('POST /api/export', () => {
+  let server;
+
+  const download = async (body) => {
+    const response = await fetch(`${server.baseUrl}/api/export`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { response, archive: Buffer.from(await response.arrayBuffer()) };
+  };
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  it('bundles the deploy workspace with a Dockerfile and no secret values', async () => {
+    const { response, archive } = await download({
+      files: { 'agent.py': AGENT, 'requirements.txt': 'requests==2.32.3\n' },
+      secrets: { GREETING_STYLE: 'formal-secret-value', GOOGLE_API_KEY: 'AIza-not-for-export' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/gzip');
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="agent-project.tar.gz"');
+
+    const entries = untar(archive);
+    assert.deepEqual(Object.keys(entries).sort(), [
+      'agent-project/.dockerignore',
+      'agent-project/.env.example',
+      'agent-project/Dockerfile',
+      'agent-project/README.md',
+      'agent-project/check_port.py',
+      'agent-project/multi_tool_agent/__init__.py',
+      'agent-project/multi_tool_agent/agent.py',
+      'agent-project/multi_tool_agent/requirements.txt',
+      'agent-project/requirements.txt',
+      'agent-project/restart_adk.sh',
+      'agent-project/start_adk.sh'
+    ]);
+    assert.equal(entries['agent-project/multi_tool_agent/agent.py'].content, AGENT);
+    assert.equal(entries['agent-project/start_adk.sh'].mode, 0o755);
+    assert.match(entries['agent-project/requirements.txt'].content, /^requests==2\.32\.3$/m);
+    assert.match(entries['agent-project/.env.example'].content, /^GREETING_STYLE=""$/m);
+    assert.match(entries['agent-project/.env.example'].content, /^GOOGLE_API_KEY=""$/m);
+    assert.match(entries['agent-project/Dockerfile'].content, /^FROM python:3\.9-slim$/m);
+    assert.match(entries['agent-project/.dockerignore'].content, /^\.env$/m);
+    assert.ok(!archive.includes('formal-secret-value') && !gunzipSync(archive).includes('formal-secret-value'));
+    assert.ok(!gunzipSync(archive).includes('AIza-not-for-export'));
+  });
+
+  it('exports multi-agent and MCP projects as zip', async () => {
+    const { response, archive } = await download({
+      agents: { files: { 'agent.py': MCP_AGENT }, greeter: { 'agent.py': AGENT } },
+      format: 'zip'
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/zip');
+    assert.equal(archive.subarray(0, 4).toString('binary'), 'PK\x03\x04');
+    // Entry names are stored uncompressed
+    for (const name of ['files/agent_fallback.py', 'greeter/__init__.py', 'accessible_files/hello.txt']) {
+      assert.ok(archive.includes(`agent-project/${name}`), name);
+    }
+  });
+
+  it('rejects unknown formats', async () => {
+    const response = await server.request('POST', '/api/export', { files: { 'agent.py': AGENT }, format: 'rar' });
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details, [{ field: 'format', message: 'Must be one of tar.gz, zip' }]);
+  });
+});
@@ -0,0 +1,95 @@
+import { CommandExitError } from '../../lib/providers/process.js';
+
+// In-memory stand-in for a sandbox. Records every file write and command,
+// and answers commands from the scripted responses of its provider.
+export class FakeSandbox {
+  constructor({ id, timeoutMs, envs, respond }) {
+    this.sandboxId = id;
+    this.timeoutMs = timeoutMs;
+    this.envs = envs;
+    this.killed = false;
+    this.writes = new Map(); // path -> content, latest write wins
+    this.removed = [];
+    this.commandLog = []; // { cmd, opts }
+
+    this.commands = {
+      run: async (cmd, opts = {}) => {
+        this.commandLog.push({ cmd, opts });
+        const result = { exitCode: 0, stdout: '', stderr: '', ...respond(cmd, this) };
+        if (result.stdout) opts.onStdout?.(result.stdout);
+        if (result.stderr) opts.onStderr?.(result.stderr);
+        if (result.exitCode !== 0) throw new CommandExitError(result);
+        return result;
+      }
+    };
+
+    this.files = {
+      write: async (path, data) => {
+        this.writes.set(path, data);
+        return { name: path.split('/').pop(), type: 'file', path };
+      },
+      read: async (path) => {
+        if (!this.writes.has(path)) throw new Error(`File not found: ${path}`);
+        return this.writes.get(path);
+      },
+      remove: async (path) => {
+        this.writes.delete(path);
+        this.removed.push(path);
+      },
+      exists: async (path) => this.writes.has(path)
+    };
+  }
+
+  // Commands whose text contains `fragment` (or matches it, for a RegExp)
+  ran(fragment) {
+    return this.commandLog.filter(({ cmd }) =>
+      fragment instanceof RegExp ? fragment.test(cmd) : cmd.includes(fragment));
+  }
+
+  getHost(port) {
+    return `${port}-${this.sandboxId}.sandbox.test`;
+  }
+
+  async setTimeout(timeoutMs) {
+    this.timeoutMs = timeoutMs;
+  }
+
+  async kill() {
+    this.killed = true;
+  }
+}
+
+// A sandbox provider backed by FakeSandbox. `script(matcher, response)` sets
+// the result of matching commands; `response` is { exitCode, stdout, stderr }
+// or a function of (cmd, sandbox) returning one. Later scripts win.
+export const createFakeProvider = () => {
+  const sandboxes = [];
+  let scripts = [];
+
+  const respond = (cmd, sandbox) => {
+    const match = [...scripts].reverse().find(({ matcher }) =>
+      matcher instanceof RegExp ? matcher.test(cmd) : cmd.includes(matcher));
+    if (!match) return {};
+    return typeof match.response === 'function' ? match.response(cmd, sandbox) : match.response;
+  };
+
+  return {
+    sandboxes,
+    script(matcher, response) {
+      scripts.push({ matcher, response });
+    },
+    reset() {
+      sandboxes.length = 0;
+      scripts = [];
+    },
+    provider: {
+      name: 'fake',
+      create: async ({ timeoutMs, envs }) => {
+        const sandbox = new FakeSandbox({ id: `fake-${sandboxes.length + 1}`, timeoutMs, envs, respond });
+        sandboxes.push(sandbox);
+        return sandbox;
+      },
+      publicUrl: (sbx, port) => `https://${sbx.getHost(port)}`
+    }
+  };
+};
@@ -0,0 +1,41 @@
+// Boot the Express app on a random port for integration tests. Without an
+// `apiKey` the server runs with auth disabled and room for plenty of sandboxes.
+export const startServer = async ({ apiKey } = {}) => {
+  process.env.NODE_ENV = 'test';
+  if (!apiKey) {
+    process.env.AUTH_DISABLED = 'true';
+    process.env.QUOTA_MAX_CONCURRENT ??= '100';
+  }
+  const { default: app } = await import('../../app.js');
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, body, headers = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      // Not JSON, e.g. an event stream
+    }
+    return { status: response.status, headers: response.headers, text, body: json };
+  };
+
+  return {
+    baseUrl,
+    request,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
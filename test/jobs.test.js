@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { setSandboxProvider } from '../lib/providers/index.js';
+import { createFakeProvider } from './helpers/fake-sandbox.js';
+import { startServer } from './helpers/server.js';
+
+const AGENT = `from google.adk.agents import Agent
+
+root_agent = Agent(name="greeter", model="gemini-2.0-flash", instruction="Say hello.")
+`;
+
+describe('deployment jobs', () => {
+  const fake = createFakeProvider();
+  let server;
+
+  const startJob = async (body = { files: { 'agent.py': AGENT } }) => {
+    const response = await server.request('POST', '/api/jobs', body);
+    assert.equal(response.status, 202);
+    return response.body;
+  };
+
+  // Poll the job until it has finished deploying
+  const waitForJob = async (id) => {
+    for (;;) {
+      const { body } = await server.request('GET', `/api/jobs/${id}`);
+      if (body.state === 'running' || body.state === 'failed') return body;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    process.env.API_KEYS = 'acme:acme-key,beta:beta-key';
+    process.env.QUOTA_MAX_CONCURRENT = '100';
+    setSandboxProvider(fake.provider);
+    server = await startServer({ apiKey: 'acme-key' });
+  });
+
+  after(async () => {
+    await server.close();
+    delete process.env.API_KEYS;
+    delete process.env.QUOTA_MAX_CONCURRENT;
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    fake.reset();
+  });
+
+  it('moves a job through its states to a running session', async () => {
+    const queued = await startJob();
+    assert.equal(queued.state, 'queued');
+    assert.deepEqual(queued.transitions.map(({ state }) => state), ['queued']);
+    assert.equal(queued.result, null);
+
+    const job = await waitForJob(queued.id);
+    assert.deepEqual(job.transitions.map(({ state }) => state), ['queued', 'provisioning', 'installing', 'starting', 'running']);
+    assert.equal(job.phase, 'startup');
+    assert.equal(job.error, null);
+    assert.ok(job.result.sessionId);
+    assert.equal(job.runId, job.result.runId);
+
+    const session = await server.request('GET', `/api/sessions/${job.result.sessionId}`);
+    assert.equal(session.status, 200);
+    assert.equal((await server.request('GET', `/api/runs/${job.runId}`)).body.trigger, 'job');
+  });
+
+  it('pages through the job\'s logs with logsSince', async () => {
+    const { id } = await startJob();
+    const job = await waitForJob(id);
+    assert.equal(job.logsSince, 0);
+    assert.equal(job.nextLogIndex, job.logs.length);
+    assert.ok(job.logs.length > 3);
+
+    const { body: later } = await server.request('GET', `/api/jobs/${id}?logsSince=3`);
+    assert.equal(later.logsSince, 3);
+    assert.deepEqual(later.logs, job.logs.slice(3));
+    assert.equal(later.nextLogIndex, job.nextLogIndex);
+
+    const { body: caughtUp } = await server.request('GET', `/api/jobs/${id}?logsSince=${job.nextLogIndex}`);
+    assert.deepEqual(caughtUp.logs, []);
+  });
+
+  it('reports why a job failed and the run that recorded it', async () => {
+    fake.script('./start_adk.sh', { exitCode: 1, stdout: 'Failed to start ADK web server' });
+
+    const { id } = await startJob();
+    const job = await waitForJob(id);
+
+    assert.equal(job.state, 'failed');
+    assert.equal(job.transitions.at(-1).state, 'failed');
+    assert.match(job.error, /exited with code 1/);
+    assert.equal(job.result, null);
+    assert.ok(job.runId);
+    assert.equal((await server.request('GET', `/api/runs/${job.runId}`)).body.status, 'failed');
+    assert.equal(fake.sandboxes[0].killed, true);
+  });
+
+  it('answers 404 for unknown jobs and other tenants\' jobs', async () => {
+    assert.equal((await server.request('GET', '/api/jobs/00000000-0000-0000-0000-000000000000')).status, 404);
+
+    const { id } = await startJob();
+    const other = await server.request('GET', `/api/jobs/${id}`, undefined, { Authorization: 'Bearer beta-key' });
+    assert.equal(other.status, 404);
+    assert.deepEqual(other.body, { error: 'Job not found' });
+
+    assert.equal((await waitForJob(id)).state, 'running');
+  });
+});
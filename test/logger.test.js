@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { logger } from '../lib/logger.js';
+import { setSandboxProvider } from '../lib/providers/index.js';
+import { createFakeProvider } from './helpers/fake-sandbox.js';
+import { startServer } from './helpers/server.js';
+
+const AGENT = `import os
+from google.adk.agents import Agent
+
+token = os.getenv("WEATHER_TOKEN")
+root_agent = Agent(name="weather", model="gemini-2.0-flash", instruction="Report the weather.")
+`;
+
+describe('structured logging', () => {
+  const fake = createFakeProvider();
+  let server;
+  let lines;
+
+  const entries = () => lines.map(line => JSON.parse(line));
+
+  before(async () => {
+    setSandboxProvider(fake.provider);
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+    delete process.env.LOG_LEVEL;
+  });
+
+  beforeEach(() => {
+    fake.reset();
+    lines = [];
+    mock.restoreAll();
+    mock.method(console, 'log', (line) => lines.push(line));
+    mock.method(console, 'error', (line) => lines.push(line));
+    delete process.env.LOG_LEVEL;
+  });
+
+  it('returns a correlation ID and tags every log entry of the request with it', async () => {
+    const response = await server.request('POST', '/api/execute', {
+      files: { 'agent.py': AGENT },
+      secrets: { WEATHER_TOKEN: 'tok_supersecret' }
+    }, { 'X-Request-Id': 'req-42' });
+    mock.restoreAll();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-request-id'), 'req-42');
+
+    const logged = entries();
+    assert.ok(logged.length > 5);
+    assert.ok(logged.every(entry => entry.requestId === 'req-42' && entry.tenantId === 'anonymous'));
+
+    const phases = logged.filter(entry => entry.msg === 'Phase finished').map(entry => entry.phase);
+    assert.deepEqual(phases, ['preflight', 'sandbox', 'files', 'venv', 'install', 'config', 'startup']);
+    assert.deepEqual(logged.at(-1), {
+      ...logged.at(-1),
+      level: 'info',
+      msg: 'Request finished',
+      method: 'POST',
+      path: '/api/execute',
+      status: 200
+    });
+    assert.ok(!lines.some(line => line.includes('tok_supersecret')));
+  });
+
+  it('replaces unsafe request IDs and attaches the ID to streamed events', async () => {
+    const response = await server.request('POST', '/api/execute/stream', { files: { 'agent.py': AGENT } }, { 'X-Request-Id': 'bad id\n' });
+    mock.restoreAll();
+
+    const requestId = response.headers.get('x-request-id');
+    assert.match(requestId, /^[0-9a-f-]{36}$/);
+    const [, data] = response.text.match(/^event: phase_start\ndata: (.*)$/m);
+    assert.equal(JSON.parse(data).requestId, requestId);
+  });
+
+  it('writes only entries at or above LOG_LEVEL', () => {
+    process.env.LOG_LEVEL = 'warn';
+    logger.info('Not written');
+    logger.warn('Written', { error: new Error('boom') });
+    mock.restoreAll();
+
+    assert.equal(lines.length, 1);
+    const [entry] = entries();
+    assert.equal(entry.level, 'warn');
+    assert.deepEqual(entry.error, { name: 'Error', message: 'boom' });
+    assert.equal(entry.requestId, undefined);
+  });
+
+  it('redacts the server\'s stored secrets', () => {
+    process.env.SECRET_GITHUB_TOKEN = 'ghp_storedsecret';
+    logger.info('Cloning', { url: 'https://ghp_storedsecret@github.com/acme/agent' });
+    delete process.env.SECRET_GITHUB_TOKEN;
+    mock.restoreAll();
+
+    assert.equal(entries()[0].url, 'https://[REDACTED]@github.com/acme/agent');
+  });
+});
@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { setSandboxProvider } from '../lib/providers/index.js';
+import { createFakeProvider } from './helpers/fake-sandbox.js';
+import { startServer } from './helpers/server.js';
+
+const AGENT = `import os
+from google.adk.agents import Agent
+
+token = os.getenv("WEATHER_TOKEN")
+root_agent = Agent(name="weather", model="gemini-2.0-flash", instruction="Report the weather.")
+`;
+
+const MCP_AGENT = `from google.adk.agents import LlmAgent
+from google.adk.tools.mcp_tool.mcp_toolset import MCPToolset, StdioServerParameters
+
+root_agent = LlmAgent(name="files", model="gemini-2.0-flash", instruction="Answer questions about files.", tools=[MCPToolset()])
+`;
+
+// Answers the log read command the way wc and tail would for `lines`.
+// The last entry has no trailing newline unless it is empty.
+const serveLog = (lines) => (cmd) => {
+  const content = lines.join('\n');
+  const complete = content.split('\n').length - 1;
+  const start = Number(cmd.match(/tail -n \+(\d+)/)[1]) - 1;
+  const count = Number(cmd.match(/head -n (\d+)/)[1]);
+  const selected = content.split('\n').slice(start, start + count);
+  return { stdout: `${complete}\n${selected.join('\n')}` };
+};
+
+describe('GET /api/sessions/:id/logs', () => {
+  const fake = createFakeProvider();
+  let server;
+  let sessionId;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    setSandboxProvider(fake.provider);
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(async () => {
+    fake.reset();
+    const response = await server.request('POST', '/api/execute', {
+      files: { 'agent.py': AGENT },
+      secrets: { WEATHER_TOKEN: 'tok_supersecret' }
+    });
+    sessionId = response.body.sessionId;
+  });
+
+  it('pages through the adk web log and redacts secrets', async () => {
+    fake.script('adk_web.log', serveLog(['INFO: started', 'GET /run_sse tok_supersecret', 'ERROR: tool failed', 'partial line']));
+
+    const first = await server.request('GET', `/api/sessions/${sessionId}/logs?limit=2`);
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body, {
+      source: 'adk',
+      offset: 0,
+      lines: ['INFO: started', 'GET /run_sse [REDACTED]'],
+      nextOffset: 2,
+      totalLines: 3
+    });
+
+    // The unterminated last line waits until it is complete
+    const second = await server.request('GET', `/api/sessions/${sessionId}/logs?offset=2&limit=2`);
+    assert.deepEqual(second.body.lines, ['ERROR: tool failed']);
+    assert.equal(second.body.nextOffset, 3);
+  });
+
+  it('reads the pip log by source', async () => {
+    fake.script('logs/pip.log', serveLog(['Collecting google-adk', '']));
+
+    const response = await server.request('GET', `/api/sessions/${sessionId}/logs?source=pip`);
+    assert.equal(response.body.source, 'pip');
+    assert.deepEqual(response.body.lines, ['Collecting google-adk']);
+
+    const [sbx] = fake.sandboxes;
+    assert.match(sbx.ran('pip install')[0].cmd, /--log workspace\/logs\/pip\.log/);
+
+    const invalid = await server.request('GET', `/api/sessions/${sessionId}/logs?source=npm&limit=0&follow=yes`);
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details.map(({ field }) => field), ['source', 'limit', 'follow']);
+  });
+
+  it('reads what the MCP servers print while the agent runs from the mcp log', async () => {
+    const mcp = await server.request('POST', '/api/execute', { files: { 'agent.py': MCP_AGENT } });
+    assert.equal(mcp.status, 200);
+    const mcpSbx = fake.sandboxes.at(-1);
+    assert.match(mcpSbx.writes.get('workspace/sitecustomize.py'), /MCP_STDERR_LOG/);
+    assert.match(mcpSbx.writes.get('workspace/start_adk.sh'), /^MCP_STDERR_LOG=logs\/mcp\.log nohup adk web /m);
+    assert.ok(!fake.sandboxes[0].writes.has('workspace/sitecustomize.py'));
+
+    fake.script('logs/mcp.log', serveLog([
+      '--- filesystem: npx -y @modelcontextprotocol/server-filesystem accessible_files',
+      '--- runtime: npx -y @modelcontextprotocol/server-filesystem accessible_files',
+      'Error: EACCES: permission denied, open \'accessible_files/report.pdf\'',
+      ''
+    ]));
+    const crash = await server.request('GET', `/api/sessions/${mcp.body.sessionId}/logs?source=mcp&offset=1`);
+    assert.equal(crash.body.source, 'mcp');
+    assert.deepEqual(crash.body.lines, [
+      '--- runtime: npx -y @modelcontextprotocol/server-filesystem accessible_files',
+      'Error: EACCES: permission denied, open \'accessible_files/report.pdf\''
+    ]);
+  });
+
+  it('tails the log until the session is terminated', async () => {
+    const lines = ['old 1', 'old 2', 'old 3', ''];
+    let reads = 0;
+    fake.script('adk_web.log', (cmd) => {
+      reads++;
+      if (reads === 3) lines.splice(3, 0, 'new 4');
+      if (reads === 4) server.request('DELETE', `/api/sessions/${sessionId}`);
+      return serveLog(lines)(cmd);
+    });
+
+    const response = await server.request('GET', `/api/sessions/${sessionId}/logs?follow=true&limit=2`);
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+    const events = [...response.text.matchAll(/^event: (\w+)\ndata: (.*)$/gm)].map(([, event, data]) => ({ event, ...JSON.parse(data) }));
+    assert.deepEqual(events.filter(({ event }) => event === 'log').map(({ offset, line }) => [offset, line]), [
+      [1, 'old 2'],
+      [2, 'old 3'],
+      [3, 'new 4']
+    ]);
+    assert.equal(events.at(-1).event, 'end');
+  });
+
+  it('answers 404 for unknown sessions', async () => {
+    const response = await server.request('GET', '/api/sessions/nope/logs');
+    assert.equal(response.status, 404);
+  });
+});
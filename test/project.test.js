@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { setSandboxProvider } from '../lib/providers/index.js';
+import { createFakeProvider } from './helpers/fake-sandbox.js';
+import { startServer } from './helpers/server.js';
+
+const RESEARCHER = `from google.adk.agents import Agent
+from .tools.search import search
+
+root_agent = Agent(name="researcher", model="gemini-2.0-flash", instruction="Research the topic.", tools=[search])
+`;
+
+const WRITER = `from google.adk.agents import Agent
+
+root_agent = Agent(name="writer", model="gemini-2.0-flash", instruction="Write the article.")
+`;
+
+const PROJECT = {
+  researcher: {
+    'agent.py': RESEARCHER,
+    'tools/__init__.py': '',
+    'tools/search.py': 'def search(query: str) -> str:\n    return query\n',
+    'requirements.txt': 'beautifulsoup4\n'
+  },
+  writer: {
+    'agent.py': WRITER,
+    'prompts/style.md': '# Style\n'
+  }
+};
+
+const sse = (...events) => events.map(event => `data: ${JSON.stringify(event)}\n\n`).join('');
+
+describe('multi-agent projects', () => {
+  const fake = createFakeProvider();
+  let server;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    setSandboxProvider(fake.provider);
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    fake.reset();
+  });
+
+  it('deploys every agent package and lists the agents the UI serves', async () => {
+    const response = await server.request('POST', '/api/execute', { agents: PROJECT });
+
+    assert.equal(response.status, 200);
+    const { openUrl } = response.body;
+    assert.deepEqual(response.body.agents, [
+      { name: 'researcher', url: `${openUrl}/dev-ui/?app=researcher` },
+      { name: 'writer', url: `${openUrl}/dev-ui/?app=writer` }
+    ]);
+
+    const [sbx] = fake.sandboxes;
+    assert.equal(sbx.writes.get('workspace/researcher/tools/search.py'), PROJECT.researcher['tools/search.py']);
+    assert.equal(sbx.writes.get('workspace/writer/prompts/style.md'), '# Style\n');
+    assert.ok(sbx.writes.has('workspace/researcher/__init__.py'));
+    assert.ok(sbx.writes.has('workspace/writer/__init__.py'));
+    assert.ok(!sbx.writes.has('workspace/multi_tool_agent/agent.py'));
+    assert.match(sbx.writes.get('workspace/requirements.txt'), /^beautifulsoup4$/m);
+
+    const session = await server.request('GET', `/api/sessions/${response.body.sessionId}`);
+    assert.deepEqual(session.body.agents.map(({ name }) => name), ['researcher', 'writer']);
+  });
+
+  it('checks each package\'s root_agent before creating a sandbox', async () => {
+    const response = await server.request('POST', '/api/execute', {
+      agents: { ...PROJECT, writer: { 'agent.py': 'agent = None\n' } }
+    });
+
+    assert.equal(response.status, 422);
+    assert.equal(response.body.error, 'Pre-flight check failed: writer/agent.py agent.py must define a module-level root_agent');
+    assert.deepEqual(response.body.diagnostics, [{
+      agent: 'writer',
+      file: 'agent.py',
+      line: null,
+      column: null,
+      severity: 'error',
+      message: 'agent.py must define a module-level root_agent'
+    }]);
+    assert.equal(fake.sandboxes.length, 0);
+
+    const report = await server.request('POST', '/api/validate', { agents: PROJECT });
+    assert.equal(report.body.ok, true);
+    assert.deepEqual(report.body.agents.map(({ name, rootAgent }) => [name, rootAgent.defined]), [['researcher', true], ['writer', true]]);
+  });
+
+  it('rejects malformed projects', async () => {
+    const response = await server.request('POST', '/api/execute', {
+      files: { 'agent.py': WRITER },
+      agents: PROJECT
+    });
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details, [{ field: 'agents', message: 'Send either files or agents, not both' }]);
+
+    const invalid = await server.request('POST', '/api/execute', {
+      agents: { 'my-agent': { 'agent.py': WRITER }, venv: { 'agent.py': WRITER }, writer: { 'prompt.md': '' } }
+    });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details, [
+      { field: 'agents["my-agent"]', message: 'Agent names must be Python identifiers of at most 64 characters' },
+      { field: 'agents["venv"]', message: '"venv" is reserved, use another agent name' },
+      { field: 'agents["writer"]["agent.py"]', message: 'agent.py is required' }
+    ]);
+  });
+
+  it('sends messages to the named agent and reloads files per package', async () => {
+    const { body } = await server.request('POST', '/api/execute', { agents: PROJECT });
+    const [sbx] = fake.sandboxes;
+    fake.script('/run_sse', { stdout: sse({ id: 'e1', author: 'writer', content: { role: 'model', parts: [{ text: 'Draft ready.' }] } }) });
+
+    const message = await server.request('POST', `/api/sessions/${body.sessionId}/messages`, { message: 'Write it', agent: 'writer' });
+    assert.equal(message.status, 200);
+    assert.equal(message.body.agent, 'writer');
+    assert.equal(message.body.reply, 'Draft ready.');
+    assert.match(sbx.ran('/run_sse')[0].cmd, /\/apps\/writer\/users\//);
+
+    const unknown = await server.request('POST', `/api/sessions/${body.sessionId}/messages`, { message: 'Hi', agent: 'editor' });
+    assert.equal(unknown.status, 404);
+
+    const reload = await server.request('PUT', `/api/sessions/${body.sessionId}/files`, {
+      agents: { ...PROJECT, writer: { 'agent.py': WRITER.replace('Write the article.', 'Write a short article.') } }
+    });
+    assert.equal(reload.status, 200);
+    assert.deepEqual(reload.body.changed, ['writer/agent.py']);
+    assert.deepEqual(reload.body.removed, ['writer/prompts/style.md']);
+    assert.deepEqual(sbx.removed, ['workspace/writer/prompts/style.md']);
+
+    const regrouped = await server.request('PUT', `/api/sessions/${body.sessionId}/files`, { agents: { writer: PROJECT.writer } });
+    assert.equal(regrouped.status, 409);
+    assert.deepEqual(regrouped.body.agents, ['researcher', 'writer']);
+  });
+});
@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { DockerSandbox } from '../lib/providers/docker.js';
+import { LocalSandbox } from '../lib/providers/local.js';
+
+// Whether a process is gone; a zombie waiting to be reaped counts as gone
+const processEnded = (pid) => {
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    return error.code === 'ESRCH';
+  }
+  try {
+    return fs.readFileSync(`/proc/${pid}/stat`, 'utf8').split(') ')[1].startsWith('Z');
+  } catch (error) {
+    return true;
+  }
+};
+
+describe('local sandbox provider', () => {
+  let root;
+  let sbx;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'local-sandbox-test-'));
+    sbx = new LocalSandbox({ root, hostPort: 18000, envs: {} });
+  });
+
+  afterEach(async () => {
+    await sbx.kill();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('keeps file paths inside the sandbox directory', async () => {
+    assert.equal(sbx.resolve('workspace/agent.py'), path.join(root, 'workspace/agent.py'));
+    assert.equal(sbx.resolve('workspace/../notes.txt'), path.join(root, 'notes.txt'));
+    assert.equal(sbx.resolve('.'), root);
+
+    for (const escaping of ['../outside.txt', 'workspace/../../outside.txt', '/etc/passwd', `${root}-sibling/file`]) {
+      assert.throws(() => sbx.resolve(escaping), /is outside the sandbox/, escaping);
+    }
+    await assert.rejects(sbx.files.write('../escape.txt', 'x'), /is outside the sandbox/);
+    await assert.rejects(sbx.files.read('/etc/hostname'), /is outside the sandbox/);
+    assert.ok(!fs.existsSync(path.join(root, '..', 'escape.txt')));
+  });
+
+  it('ends every process a command left running when killed', { timeout: 10000 }, async () => {
+    const { stdout } = await sbx.commands.run('nohup sleep 30 > /dev/null 2>&1 & echo $!');
+    const pid = Number(stdout.trim());
+    assert.equal(processEnded(pid), false);
+
+    await sbx.kill();
+    while (!processEnded(pid)) await new Promise(resolve => setTimeout(resolve, 20));
+    assert.ok(!fs.existsSync(root));
+    await assert.rejects(sbx.commands.run('true'), /has been killed/);
+  });
+});
+
+describe('docker sandbox provider', () => {
+  const sbx = new DockerSandbox({ containerId: 'container-1', hostPort: 18000 });
+
+  it('keeps file paths inside the container\'s home directory', async () => {
+    assert.equal(sbx.resolve('workspace/agent.py'), '/home/user/workspace/agent.py');
+    assert.equal(sbx.resolve('/home/user/workspace/.env'), '/home/user/workspace/.env');
+
+    for (const escaping of ['../outside.txt', 'workspace/../../../etc/passwd', '/etc/passwd', '/home/username/file']) {
+      assert.throws(() => sbx.resolve(escaping), /is outside the sandbox/, escaping);
+    }
+    // Refused before any docker command runs
+    await assert.rejects(sbx.files.write('../../etc/cron.d/job', 'x'), /is outside the sandbox/);
+    await assert.rejects(sbx.files.remove('/'), /is outside the sandbox/);
+  });
+});
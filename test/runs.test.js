@@ -0,0 +1,205 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { setSandboxProvider } from '../lib/providers/index.js';
+import { createRunStore, summarizeRun } from '../lib/runs.js';
+import { createFakeProvider } from './helpers/fake-sandbox.js';
+import { startServer } from './helpers/server.js';
+
+const AGENT = `import os
+from google.adk.agents import Agent
+
+token = os.getenv("WEATHER_API_KEY")
+
+root_agent = Agent(name="weather", model="gemini-2.0-flash", instruction="Report the weather.")
+`;
+
+describe('run history', () => {
+  const fake = createFakeProvider();
+  const runDir = fs.mkdtempSync(path.join(os.tmpdir(), 'runs-test-'));
+  let server;
+
+  const deploy = (body = {}) =>
+    server.request('POST', '/api/execute', { files: { 'agent.py': AGENT }, secrets: { WEATHER_API_KEY: 'wx-secret-value' }, ...body });
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    process.env.RUN_STORE = 'json';
+    process.env.RUN_STORE_DIR = runDir;
+    setSandboxProvider(fake.provider);
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+    delete process.env.RUN_STORE;
+    delete process.env.RUN_STORE_DIR;
+    fs.rmSync(runDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fake.reset();
+  });
+
+  it('records a deploy with its inputs, phases and outcome', async () => {
+    const deployed = await deploy({ dependencies: ['requests'] });
+    assert.equal(deployed.status, 200);
+    const { runId } = deployed.body;
+    assert.ok(runId);
+
+    const response = await server.request('GET', `/api/runs/${runId}`);
+    assert.equal(response.status, 200);
+    const run = response.body;
+    assert.equal(run.status, 'succeeded');
+    assert.equal(run.trigger, 'execute');
+    assert.equal(run.agentType, 'standard');
+    assert.deepEqual(run.agents, ['multi_tool_agent']);
+    assert.equal(run.sessionId, deployed.body.sessionId);
+    assert.match(run.inputsHash, /^[0-9a-f]{64}$/);
+    assert.ok(run.durationMs >= 0);
+    assert.deepEqual(run.phases.map(({ phase, status }) => [phase, status]), [
+      ['preflight', 'ok'],
+      ['sandbox', 'ok'],
+      ['files', 'ok'],
+      ['venv', 'ok'],
+      ['install', 'ok'],
+      ['config', 'ok'],
+      ['startup', 'ok']
+    ]);
+    assert.ok(run.logs.some(event => event.type === 'phase_start'));
+    assert.deepEqual(run.request.files, { 'agent.py': AGENT });
+    assert.deepEqual(run.request.dependencies, ['requests']);
+
+    // Secret values stay out of the store, only their names are kept
+    assert.deepEqual(run.request.secretNames, ['WEATHER_API_KEY']);
+    const stored = fs.readFileSync(path.join(runDir, `${runId}.json`), 'utf8');
+    assert.ok(!stored.includes('wx-secret-value'));
+
+    const session = await server.request('GET', `/api/sessions/${deployed.body.sessionId}`);
+    assert.equal(session.body.runId, runId);
+  });
+
+  it('records why a deploy failed', async () => {
+    fake.script('./start_adk.sh', { exitCode: 1, stdout: 'Failed to start ADK web server' });
+    const failed = await deploy();
+    assert.equal(failed.status, 500);
+
+    const { body: run } = await server.request('GET', `/api/runs/${failed.body.runId}`);
+    assert.equal(run.status, 'failed');
+    assert.equal(run.sessionId, null);
+    assert.match(run.error.message, /exited with code 1/);
+    assert.deepEqual(run.phases.at(-1), { phase: 'startup', status: 'failed', durationMs: run.phases.at(-1).durationMs, error: run.error.message });
+    assert.ok(run.logs.some(event => event.type === 'output' && event.line.includes('Failed to start ADK web server')));
+
+    const { body } = await server.request('GET', '/api/runs?status=failed');
+    assert.deepEqual(body.runs.map(summary => summary.id), [failed.body.runId]);
+    assert.equal(body.runs[0].request, undefined);
+  });
+
+  it('lists runs newest first and filters them by time', async () => {
+    const first = await deploy();
+    const second = await deploy({ lifetimeSeconds: 600 });
+
+    const { body } = await server.request('GET', '/api/runs?limit=2');
+    assert.deepEqual(body.runs.map(run => run.id), [second.body.runId, first.body.runId]);
+    assert.notEqual(body.runs[0].inputsHash, body.runs[1].inputsHash);
+
+    const future = await server.request('GET', `/api/runs?since=${new Date(Date.now() + 60000).toISOString()}`);
+    assert.deepEqual(future.body.runs, []);
+
+    const invalid = await server.request('GET', '/api/runs?status=done&since=yesterday&limit=0');
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details.map(detail => detail.field), ['status', 'since', 'limit']);
+  });
+
+  it('re-runs a recorded request', async () => {
+    const original = await deploy();
+    const { body: originalRun } = await server.request('GET', `/api/runs/${original.body.runId}`);
+
+    const rerun = await server.request('POST', `/api/runs/${original.body.runId}/rerun`, { secrets: { WEATHER_API_KEY: 'wx-new-value' } });
+    assert.equal(rerun.status, 200);
+    assert.equal(rerun.body.rerunOf, original.body.runId);
+    assert.notEqual(rerun.body.sessionId, original.body.sessionId);
+
+    const { body: run } = await server.request('GET', `/api/runs/${rerun.body.runId}`);
+    assert.equal(run.trigger, 'rerun');
+    assert.equal(run.rerunOf, original.body.runId);
+    assert.equal(run.inputsHash, originalRun.inputsHash);
+    const [, sbx] = fake.sandboxes;
+    assert.ok(sbx.writes.get('workspace/.env').includes('wx-new-value'));
+
+    assert.equal((await server.request('POST', '/api/runs/00000000-0000-0000-0000-000000000000/rerun')).status, 404);
+    assert.equal((await server.request('GET', '/api/runs/not-a-run-id')).status, 404);
+  });
+
+  it('keeps MCP server env values out of the store and asks a re-run for them', async () => {
+    const mcpServers = [{ name: 'brave', package: '@modelcontextprotocol/server-brave-search', env: { BRAVE_API_KEY: 'brave-secret-value' } }];
+    const original = await deploy({ mcpServers });
+    assert.equal(original.status, 200);
+
+    const { body: run } = await server.request('GET', `/api/runs/${original.body.runId}`);
+    assert.deepEqual(run.request.mcpServers, [{ name: 'brave', package: '@modelcontextprotocol/server-brave-search', envNames: ['BRAVE_API_KEY'] }]);
+    assert.ok(!fs.readFileSync(path.join(runDir, `${run.id}.json`), 'utf8').includes('brave-secret-value'));
+
+    const missing = await server.request('POST', `/api/runs/${run.id}/rerun`, { secrets: { WEATHER_API_KEY: 'wx-new-value' } });
+    assert.equal(missing.status, 400);
+    assert.deepEqual(missing.body.details, [
+      { field: 'mcpServerEnv["brave"]["BRAVE_API_KEY"]', message: 'Required: runs don\'t keep MCP server env values' }
+    ]);
+
+    const rerun = await server.request('POST', `/api/runs/${run.id}/rerun`, {
+      secrets: { WEATHER_API_KEY: 'wx-new-value' },
+      mcpServerEnv: { brave: { BRAVE_API_KEY: 'brave-new-value' } }
+    });
+    assert.equal(rerun.status, 200);
+    const [, sbx] = fake.sandboxes;
+    assert.deepEqual(JSON.parse(sbx.writes.get('workspace/mcp_servers.json'))[0].env, { BRAVE_API_KEY: 'brave-new-value' });
+    assert.equal((await server.request('GET', `/api/runs/${rerun.body.runId}`)).body.inputsHash, run.inputsHash);
+  });
+});
+
+describe('JSON run store', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-store-test-'));
+  const run = {
+    id: '3f0c9b7e-5d2a-4c1e-9a8b-7f6e5d4c3b2a',
+    tenantId: 'acme',
+    trigger: 'execute',
+    status: 'succeeded',
+    createdAt: '2024-05-01T14:02:11.000Z',
+    logs: [{ type: 'output', line: 'Installing packages' }]
+  };
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('lists runs from its summary index without reading the run files', async () => {
+    await createRunStore({ store: 'json', dir }).save(run);
+    fs.writeFileSync(path.join(dir, `${run.id}.json`), 'not json');
+
+    // A fresh store, as after a restart
+    const store = createRunStore({ store: 'json', dir });
+    assert.deepEqual(await store.list(), [JSON.parse(JSON.stringify(summarizeRun(run)))]);
+
+    await store.remove(run.id);
+    assert.deepEqual(await createRunStore({ store: 'json', dir }).list(), []);
+  });
+
+  it('rebuilds a missing index from the run files', async () => {
+    await createRunStore({ store: 'json', dir }).save(run);
+    fs.rmSync(path.join(dir, 'index.json'));
+
+    const [summary] = await createRunStore({ store: 'json', dir }).list();
+    assert.equal(summary.id, run.id);
+    assert.equal(summary.logs, undefined);
+  });
+});
@@ -0,0 +1,164 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { setSandboxProvider } from '../lib/providers/index.js';
+import { createRedactor, findDeclaredSecrets, resolveSecrets } from '../lib/secrets.js';
+import { createFakeProvider } from './helpers/fake-sandbox.js';
+import { startServer } from './helpers/server.js';
+
+const GITHUB_AGENT = `import os
+from google.adk.agents import Agent
+
+token = os.getenv("GITHUB_PERSONAL_ACCESS_TOKEN")
+
+root_agent = Agent(
+    name="github",
+    model="gemini-2.0-flash",
+    instruction="Answer questions about repositories.",
+)
+`;
+
+describe('secret resolution', () => {
+  before(() => {
+    process.env.SECRET_GITHUB_TOKEN = 'ghp_stored_token';
+    process.env.STORED_SECRET_TENANTS = 'acme:GITHUB_TOKEN';
+  });
+
+  after(() => {
+    delete process.env.SECRET_GITHUB_TOKEN;
+    delete process.env.STORED_SECRET_TENANTS;
+  });
+
+  it('finds the environment variables agent code reads', () => {
+    const names = findDeclaredSecrets({
+      'agent.py': 'import os\na = os.getenv("A_KEY")\nb = os.environ.get(\'B_KEY\', "")\nc = os.environ["C_KEY"]\n',
+      'notes.md': 'os.getenv("NOT_CODE")'
+    });
+
+    assert.deepEqual(names.sort(), ['ADK_API_KEY', 'A_KEY', 'B_KEY', 'C_KEY', 'GOOGLE_API_KEY']);
+  });
+
+  it('injects only declared secrets, from the request or stored references', () => {
+    const resolved = resolveSecrets({
+      files: { 'agent.py': GITHUB_AGENT },
+      tenantId: 'acme',
+      secrets: { GOOGLE_API_KEY: 'caller-model-key', OPENAI_API_KEY: 'sk-unused' },
+      secretRefs: { GITHUB_PERSONAL_ACCESS_TOKEN: 'GITHUB_TOKEN' }
+    });
+
+    assert.deepEqual(resolved.env, {
+      GOOGLE_API_KEY: 'caller-model-key',
+      ADK_API_KEY: 'caller-model-key',
+      GITHUB_PERSONAL_ACCESS_TOKEN: 'ghp_stored_token'
+    });
+    assert.deepEqual(resolved.missing, []);
+    assert.deepEqual(resolved.ignored, ['OPENAI_API_KEY']);
+  });
+
+  it('reports declared secrets without a value', () => {
+    const resolved = resolveSecrets({ files: { 'agent.py': GITHUB_AGENT } });
+
+    assert.deepEqual(resolved.env, {});
+    assert.deepEqual(resolved.missing.sort(), ['GITHUB_PERSONAL_ACCESS_TOKEN', 'GOOGLE_API_KEY']);
+  });
+
+  it('shares the server\'s model key only when the operator opts in', () => {
+    const files = { 'agent.py': GITHUB_AGENT };
+    const previousKey = process.env.GOOGLE_API_KEY;
+    process.env.GOOGLE_API_KEY = 'server-model-key';
+    try {
+      assert.ok(resolveSecrets({ files }).missing.includes('GOOGLE_API_KEY'));
+
+      process.env.SHARE_SERVER_MODEL_KEY = 'true';
+      const shared = resolveSecrets({ files });
+      assert.equal(shared.env.GOOGLE_API_KEY, 'server-model-key');
+      assert.equal(shared.env.ADK_API_KEY, 'server-model-key');
+      assert.ok(!shared.missing.includes('GOOGLE_API_KEY'));
+    } finally {
+      if (previousKey === undefined) delete process.env.GOOGLE_API_KEY;
+      else process.env.GOOGLE_API_KEY = previousKey;
+      delete process.env.SHARE_SERVER_MODEL_KEY;
+    }
+  });
+
+  it('doesn\'t resolve stored secrets granted to other tenants', () => {
+    const resolved = resolveSecrets({
+      files: { 'agent.py': GITHUB_AGENT },
+      tenantId: 'beta',
+      secretRefs: { GITHUB_PERSONAL_ACCESS_TOKEN: 'GITHUB_TOKEN' }
+    });
+
+    assert.deepEqual(resolved.env, {});
+    assert.ok(resolved.missing.includes('GITHUB_PERSONAL_ACCESS_TOKEN'));
+  });
+
+  it('redacts every occurrence of secret values', () => {
+    const redact = createRedactor(['ghp_stored_token', 'ab']);
+
+    assert.equal(redact('token=ghp_stored_token, again ghp_stored_token, ab'), 'token=[REDACTED], again [REDACTED], ab');
+  });
+});
+
+describe('POST /api/execute with secrets', () => {
+  const fake = createFakeProvider();
+  let server;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    process.env.SECRET_GITHUB_TOKEN = 'ghp_stored_token';
+    setSandboxProvider(fake.provider);
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+    delete process.env.SECRET_GITHUB_TOKEN;
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    fake.reset();
+  });
+
+  it('writes only declared secrets into the sandbox', async () => {
+    const response = await server.request('POST', '/api/execute', {
+      files: { 'agent.py': GITHUB_AGENT },
+      secrets: { GOOGLE_API_KEY: 'caller-model-key', OPENAI_API_KEY: 'sk-unused' },
+      secretRefs: { GITHUB_PERSONAL_ACCESS_TOKEN: 'GITHUB_TOKEN' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.executionDetails.secrets.sort(), ['ADK_API_KEY', 'GITHUB_PERSONAL_ACCESS_TOKEN', 'GOOGLE_API_KEY']);
+
+    const [sbx] = fake.sandboxes;
+    const envFile = sbx.writes.get('workspace/.env');
+    assert.match(envFile, /^GITHUB_PERSONAL_ACCESS_TOKEN="ghp_stored_token"$/m);
+    assert.match(envFile, /^GOOGLE_API_KEY="caller-model-key"$/m);
+    assert.doesNotMatch(envFile, /OPENAI_API_KEY/);
+    assert.doesNotMatch(sbx.writes.get('workspace/start_adk.sh'), /caller-model-key/);
+  });
+
+  it('redacts secret values from error responses', async () => {
+    fake.script('./start_adk.sh', { exitCode: 1, stderr: 'bad credentials: ghp_stored_token' });
+
+    const response = await server.request('POST', '/api/execute', {
+      files: { 'agent.py': GITHUB_AGENT },
+      secretRefs: { GITHUB_PERSONAL_ACCESS_TOKEN: 'GITHUB_TOKEN' }
+    });
+
+    assert.equal(response.status, 500);
+    assert.doesNotMatch(response.text, /ghp_stored_token/);
+    assert.match(response.body.error, /bad credentials: \[REDACTED\]/);
+  });
+
+  it('rejects references to unknown stored secrets', async () => {
+    const response = await server.request('POST', '/api/execute', {
+      files: { 'agent.py': GITHUB_AGENT },
+      secretRefs: { GITHUB_PERSONAL_ACCESS_TOKEN: 'NOPE' }
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.details, [{ field: 'secretRefs["GITHUB_PERSONAL_ACCESS_TOKEN"]', message: 'Unknown stored secret "NOPE"' }]);
+    assert.equal(fake.sandboxes.length, 0);
+  });
+});
@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import { setSandboxProvider } from '../lib/providers/index.js';
+import { getSession, stopIdleSessions } from '../lib/sessions.js';
+import { createFakeProvider } from './helpers/fake-sandbox.js';
+import { startServer } from './helpers/server.js';
+
+const AGENT = `from google.adk.agents import Agent
+
+root_agent = Agent(name="greeter", model="gemini-2.0-flash", instruction="Say hello.")
+`;
+
+const MINUTE_MS = 60 * 1000;
+
+describe('session lifetime', () => {
+  const fake = createFakeProvider();
+  let server;
+
+  const deploy = async (body = {}) => {
+    const response = await server.request('POST', '/api/execute', { files: { 'agent.py': AGENT }, ...body });
+    assert.equal(response.status, 200);
+    return response.body;
+  };
+
+  // Milliseconds from now until an ISO timestamp
+  const msUntil = (timestamp) => Date.parse(timestamp) - Date.now();
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    process.env.SANDBOX_MAX_LIFETIME_MS = String(10 * MINUTE_MS);
+    process.env.SANDBOX_IDLE_TIMEOUT_MS = String(2 * MINUTE_MS);
+    setSandboxProvider(fake.provider);
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+    delete process.env.SANDBOX_MAX_LIFETIME_MS;
+    delete process.env.SANDBOX_IDLE_TIMEOUT_MS;
+  });
+
+  beforeEach(() => {
+    fake.reset();
+  });
+
+  it('caps the requested lifetime by policy', async () => {
+    const standard = await deploy();
+    assert.ok(Math.abs(msUntil(standard.expiresAt) - 5 * MINUTE_MS) < 5000);
+
+    const long = await deploy({ lifetimeSeconds: 3600 });
+    assert.ok(Math.abs(msUntil(long.expiresAt) - 10 * MINUTE_MS) < 5000);
+    assert.equal(fake.sandboxes[1].timeoutMs, 10 * MINUTE_MS);
+
+    const invalid = await server.request('POST', '/api/execute', { files: { 'agent.py': AGENT }, lifetimeSeconds: 5 });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details, [{ field: 'lifetimeSeconds', message: 'Must be an integer of at least 60 seconds' }]);
+  });
+
+  it('extends a running session on keep-alive, up to its maximum lifetime', async () => {
+    const { sessionId } = await deploy({ lifetimeSeconds: 120 });
+    const [sbx] = fake.sandboxes;
+
+    const extended = await server.request('POST', `/api/sessions/${sessionId}/keepalive`, { extendSeconds: 300 });
+    assert.equal(extended.status, 200);
+    assert.ok(Math.abs(msUntil(extended.body.expiresAt) - 5 * MINUTE_MS) < 5000);
+    assert.ok(Math.abs(sbx.timeoutMs - 5 * MINUTE_MS) < 5000);
+
+    const capped = await server.request('POST', `/api/sessions/${sessionId}/keepalive`, { extendSeconds: 3600 });
+    assert.equal(capped.body.expiresAt, capped.body.maxExpiresAt);
+
+    // A keep-alive never shortens the session
+    const shorter = await server.request('POST', `/api/sessions/${sessionId}/keepalive`);
+    assert.equal(shorter.body.expiresAt, capped.body.maxExpiresAt);
+
+    assert.equal((await server.request('POST', `/api/sessions/${sessionId}/keepalive`, { extendSeconds: 'soon' })).status, 400);
+    assert.equal((await server.request('POST', '/api/sessions/unknown/keepalive')).status, 404);
+  });
+
+  it('stops sessions whose ADK server has had no traffic', async () => {
+    const idle = await deploy();
+    const busy = await deploy();
+    const [idleSandbox, busySandbox] = fake.sandboxes;
+    fake.script('stat -c %Y', (cmd, sandbox) => ({ stdout: sandbox === idleSandbox ? '600\n' : '5\n' }));
+
+    // Nothing has gone through this server for a while either
+    getSession(idle.sessionId).lastActivityAt -= 5 * MINUTE_MS;
+    getSession(busy.sessionId).lastActivityAt -= 5 * MINUTE_MS;
+
+    assert.deepEqual(await stopIdleSessions(), [idle.sessionId]);
+    assert.equal(idleSandbox.killed, true);
+    assert.equal(busySandbox.killed, false);
+    assert.equal((await server.request('GET', `/api/sessions/${idle.sessionId}`)).status, 404);
+
+    // A keep-alive counts as activity even when the ADK server is quiet
+    fake.script('stat -c %Y', { stdout: '600\n' });
+    await server.request('POST', `/api/sessions/${busy.sessionId}/keepalive`);
+    assert.deepEqual(await stopIdleSessions(), []);
+  });
+});